@@ -0,0 +1,192 @@
+// ================== DELIVERY ENGINE ==================
+// ส่วนกลางของการส่งออกนอกระบบ ใช้ร่วมกันทั้ง delivery channels (LINE / อีเมล / webhook) และ webhook subscriptions
+// ไม่ผูกกับ mongoose: model ของคิวส่งเข้ามาเอง (ต้องมี findByIdAndUpdate / find แบบ mongoose) จึงทดสอบได้โดยไม่ต้องมี DB
+//
+// สถานะของรายการส่ง: pending -> (sent | retrying | failed), retrying -> (sent | retrying | failed)
+// ชื่อสถานะสุดท้ายและ field เวลาแต่ละคิวตั้งเองใน policy (webhook subscription ใช้ delivered / dead)
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const DELIVERY_TIMEOUT_MS = Number(process.env.DELIVERY_TIMEOUT_MS) || 10000;
+const LINE_API_BASE = 'https://api.line.me';
+const LINE_TEXT_LIMIT = 5000;
+
+function recipientList(to) {
+  return [].concat(to || []).map(value => String(value).trim()).filter(Boolean);
+}
+
+// X-PX-Signature: t=<unix วินาที>,v1=<hex hmac-sha256 ของ "<t>.<raw body>">
+function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// sender(config, payload, meta) -> { response_status } ส่งไม่ผ่าน throw error ของ axios / nodemailer
+// meta = { event, event_id, attempt } ใช้กับ webhook เท่านั้น
+const senders = {
+  async line(config, message) {
+    const recipients = recipientList(config.to);
+    const multicast = recipients.length > 1;
+    const base = (config.api_base || LINE_API_BASE).replace(/\/+$/, '');
+    const response = await axios.post(
+      `${base}/v2/bot/message/${multicast ? 'multicast' : 'push'}`,
+      {
+        to: multicast ? recipients : recipients[0],
+        messages: [{ type: 'text', text: `${message.title}\n${message.body}`.slice(0, LINE_TEXT_LIMIT) }]
+      },
+      { headers: { Authorization: `Bearer ${config.access_token}` }, timeout: DELIVERY_TIMEOUT_MS }
+    );
+    return { response_status: response.status };
+  },
+
+  async email(config, message) {
+    const transport = nodemailer.createTransport({
+      host: config.host,
+      port: Number(config.port) || 587,
+      secure: !!config.secure,
+      auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+      connectionTimeout: DELIVERY_TIMEOUT_MS,
+      greetingTimeout: DELIVERY_TIMEOUT_MS,
+      socketTimeout: DELIVERY_TIMEOUT_MS
+    });
+    try {
+      const info = await transport.sendMail({
+        from: config.from,
+        to: recipientList(config.to).join(', '),
+        subject: message.title,
+        text: `${message.body}\n\n${message.timestamp}`
+      });
+      return { response_status: Number(String(info.response || '').slice(0, 3)) || undefined };
+    } finally {
+      transport.close();
+    }
+  },
+
+  // มี secret = เซ็นด้วย signWebhookPayload ไม่ตาม redirect (ลายเซ็นผูกกับปลายทางที่ลงทะเบียนไว้)
+  async webhook(config, payload, meta = {}) {
+    const body = JSON.stringify(payload);
+    const headers = { ...config.headers, 'Content-Type': 'application/json', 'User-Agent': 'px-dh-webhooks/1' };
+    if (meta.event) headers['X-PX-Event'] = meta.event;
+    if (meta.event_id) headers['X-PX-Event-Id'] = meta.event_id;
+    if (meta.attempt) headers['X-PX-Delivery-Attempt'] = String(meta.attempt);
+    if (config.secret) headers['X-PX-Signature'] = signWebhookPayload(config.secret, body);
+
+    const response = await axios.post(config.url, body, { headers, timeout: DELIVERY_TIMEOUT_MS, maxRedirects: 0 });
+    return { response_status: response.status };
+  }
+};
+
+// status ของปลายทาง: HTTP (axios) หรือ SMTP reply code (nodemailer)
+function deliveryErrorStatus(err) {
+  return (err.response && err.response.status) || err.responseCode || undefined;
+}
+
+// 4xx = ส่งซ้ำก็ไม่ผ่าน (token ผิด, ผู้รับไม่มี) ยกเว้น 408/429, SMTP 5xx = ปฏิเสธถาวร
+// error ระดับเครือข่าย/timeout/5xx ลองใหม่ได้
+function isRetryableDelivery(err) {
+  if (err.response) {
+    const status = err.response.status;
+    return status >= 500 || status === 408 || status === 429;
+  }
+  if (err.responseCode) return err.responseCode < 500;
+  return true;
+}
+
+function describeDeliveryError(err) {
+  const body = err.response && err.response.data;
+  const detail = body && (typeof body === 'string' ? body : body.message || JSON.stringify(body));
+  return String(detail ? `${err.message}: ${detail}` : err.message).slice(0, 500);
+}
+
+// policy: { max_attempts, backoff_ms, max_backoff_ms, retryable(err), sent_status, failed_status, sent_field, failed_field }
+// exponential จาก backoff_ms สูงสุด max_backoff_ms แล้ว jitter ±20% กันปลายทางโดนยิงพร้อมกัน
+function backoffMs(policy, attempts, random = Math.random) {
+  const delay = Math.min(policy.backoff_ms * 2 ** (attempts - 1), policy.max_backoff_ms);
+  return Math.round(delay * (0.8 + random() * 0.4));
+}
+
+// ผลของการส่งครั้งที่ attempts -> update ของรายการส่ง
+// outcome = { response_status, duration_ms } ถ้าสำเร็จ หรือ { error, duration_ms } ถ้าไม่สำเร็จ
+function attemptUpdate(policy, attempts, outcome, now = new Date(), random = Math.random) {
+  if (!outcome.error) {
+    const set = {
+      status: policy.sent_status,
+      attempts,
+      next_attempt_at: null,
+      last_error: null,
+      response_status: outcome.response_status
+    };
+    if (policy.sent_field) set[policy.sent_field] = now;
+    return {
+      $set: set,
+      $push: { attempt_log: { at: now, ok: true, response_status: outcome.response_status, duration_ms: outcome.duration_ms } }
+    };
+  }
+
+  const error = describeDeliveryError(outcome.error);
+  const responseStatus = deliveryErrorStatus(outcome.error);
+  const retry = attempts < policy.max_attempts && policy.retryable(outcome.error);
+  const set = {
+    status: retry ? 'retrying' : policy.failed_status,
+    attempts,
+    next_attempt_at: retry ? new Date(now.getTime() + backoffMs(policy, attempts, random)) : null,
+    last_error: error,
+    response_status: responseStatus
+  };
+  if (policy.failed_field) set[policy.failed_field] = retry ? null : now;
+  return {
+    $set: set,
+    $push: { attempt_log: { at: now, ok: false, response_status: responseStatus, error, duration_ms: outcome.duration_ms } }
+  };
+}
+
+// ส่ง 1 ครั้งแล้วบันทึกผลลง model (ไม่ throw ผลลัพธ์อยู่ใน document ที่คืนกลับ)
+// send(attempt) คืน { response_status } หรือ throw
+async function runDeliveryAttempt(Model, delivery, policy, send) {
+  const attempts = delivery.attempts + 1;
+  const started = Date.now();
+  let outcome;
+  try {
+    const result = await send(attempts);
+    outcome = { response_status: result.response_status, duration_ms: Date.now() - started };
+  } catch (err) {
+    outcome = { error: err, duration_ms: Date.now() - started };
+  }
+  return Model.findByIdAndUpdate(delivery._id, attemptUpdate(policy, attempts, outcome), { new: true }).lean();
+}
+
+// ปลายทางหายไปแล้ว (channel/subscription ถูกลบหรือปิด) ไม่ต้องลองอีก
+async function abandonDelivery(Model, delivery, policy, reason) {
+  const set = { status: policy.failed_status, next_attempt_at: null, last_error: reason };
+  if (policy.failed_field) set[policy.failed_field] = new Date();
+  return Model.findByIdAndUpdate(delivery._id, { $set: set }, { new: true }).lean();
+}
+
+// รายการ retrying ที่ถึงเวลาแล้ว ส่งทีละรายการตามลำดับเวลา
+async function retryDueDeliveries(Model, attempt, limit = 100) {
+  const due = await Model.find({ status: 'retrying', next_attempt_at: { $lte: new Date() } })
+                         .sort({ next_attempt_at: 1 })
+                         .limit(limit)
+                         .lean();
+  for (const delivery of due) {
+    await attempt(delivery);
+  }
+  return due.length;
+}
+
+module.exports = {
+  DELIVERY_TIMEOUT_MS,
+  LINE_API_BASE,
+  recipientList,
+  signWebhookPayload,
+  senders,
+  deliveryErrorStatus,
+  isRetryableDelivery,
+  describeDeliveryError,
+  backoffMs,
+  attemptUpdate,
+  runDeliveryAttempt,
+  abandonDelivery,
+  retryDueDeliveries
+};
@@ -5,8 +5,7 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 
 const app = express();
-app.use(express.json());
-app.use(cors({ origin: '*' })); // สำหรับ dev เท่านั้น
+app.use(express.json({ limit: '5mb' }));
 
 // ================= MongoDB =================
 const mongoUri = process.env.MONGODB_URI;
@@ -19,1544 +18,8142 @@ mongoose.connect(mongoUri, {
     useNewUrlParser: true,
     useUnifiedTopology: true
 })
-.then(() => console.log('✅ Connected to MongoDB Atlas'))
+.then(() => {
+    console.log('✅ Connected to MongoDB Atlas');
+    ensureTimestampStorage();
+    ensureAdminUser();
+    migrateLegacyNotifications();
+    loadTouHolidays();
+    ensureDefaultMeter();
+    ensureDefaultAlertRules();
+    ensureReadingUniqueIndex();
+})
 .catch(err => {
     console.error('❌ MongoDB connection error:', err);
     process.exit(1);
 });
 
-// ================= Schema =================
-const px_dh_schema = new mongoose.Schema({
-    voltage: Number,
-    current: Number,
-    power: Number,
-    active_power_phase_a: Number,
-    active_power_phase_b: Number,
-    active_power_phase_c: Number,
-    voltage1: Number,
-    voltage2: Number,
-    voltage3: Number,
-    voltageln: Number,
-    voltagell: Number,
-    timestamp: { type: Date, default: () => new Date(Date.now() + 7*60*60*1000) }, // UTC+7
-}, { timestamps: true });
-
-const PowerPXDH11 = mongoose.model("power_px_dh11", px_dh_schema);
+// ================= Session & Auth =================
+// คนใช้ session (เก็บใน MongoStore) เครื่อง/สคริปต์ใช้ API key (x-api-key หรือ Authorization: Bearer)
+// role: viewer (ดูข้อมูล) < operator (ตั้งค่า/สั่งงาน) < admin (ผู้ใช้, key, ลบทั้งหมด, migration)
+// ingest เป็น role ของ key ที่ส่ง reading ได้อย่างเดียว
+// ทุก route ต้องมี requireRole (assertRouteRoles ตรวจตอนเริ่ม server)
+const session = require('express-session');
+const MongoStore = require('connect-mongo');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const USER_ROLES = ['viewer', 'operator', 'admin'];
+const API_KEY_ROLES = [...USER_ROLES, 'ingest'];
+const ROLE_GRANTS = {
+    viewer: ['viewer'],
+    operator: ['viewer', 'operator', 'ingest'],
+    admin: ['viewer', 'operator', 'admin', 'ingest'],
+    ingest: ['ingest']
+};
+const MIN_PASSWORD_LENGTH = 8;
+const API_KEY_TOUCH_MS = 60 * 1000;
+
+// CORS_ORIGINS=https://app.example.com,http://localhost:5173 ไม่ตั้ง = ไม่เปิด cross-origin
+// ส่ง cookie ข้าม origin ได้ (credentials) จึงต้องระบุ origin ตรงๆ ไม่รับ * (ไม่งั้นเว็บไหนก็ใช้ session ของ admin ได้)
+function getCorsOrigins() {
+    return (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(o => o && o !== '*');
+}
 
-// ================= Notification Schemas (แยก collection) =================
+if ((process.env.CORS_ORIGINS || '').split(',').some(o => o.trim() === '*')) {
+    console.warn('⚠️ CORS_ORIGINS=* is ignored because cross-origin requests carry credentials; list origins explicitly');
+}
 
-// 1. Peak Notifications
-const peakNotificationSchema = new mongoose.Schema({
-    title: { type: String, required: true },
-    body: { type: String, required: true },
-    power: { type: Number, required: true },
-    timestamp: { type: Date, default: () => new Date(Date.now() + 7*60*60*1000) },
-    read: { type: Boolean, default: false }
-}, { timestamps: true });
+function isAllowedOrigin(origin) {
+    return !origin || getCorsOrigins().includes(origin);
+}
 
-const PeakNotification = mongoose.model("peak_notifications", peakNotificationSchema);
+app.use(cors({
+    origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+    credentials: true
+}));
 
-// 2. Daily Diff Notifications
-const dailyDiffNotificationSchema = new mongoose.Schema({
-    title: { type: String, required: true },
-    body: { type: String, required: true },
-    yesterday: {
-        date: String,
-        energy_kwh: Number,
-        electricity_bill: Number,
-        samples: Number
-    },
-    dayBefore: {
-        date: String,
-        energy_kwh: Number,
-        electricity_bill: Number,
-        samples: Number
-    },
-    diff: {
-        kWh: Number,
-        electricity_bill: Number
-    },
-    timestamp: { type: Date, default: () => new Date(Date.now() + 7*60*60*1000) },
-    read: { type: Boolean, default: false }
-}, { timestamps: true });
+// หลัง reverse proxy ตั้ง TRUST_PROXY (เช่น 1 หรือ loopback) req.ip จะเป็น IP จริงของผู้ใช้ (ใช้จำกัดการ login)
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
-const DailyDiffNotification = mongoose.model("daily_diff_notifications", dailyDiffNotificationSchema);
+// production ต้องตั้ง SESSION_SECRET เอง ที่อื่นถ้าลืมตั้งใช้ค่าสุ่มต่อ process (ปลอม cookie ไม่ได้ แต่ restart แล้วต้อง login ใหม่)
+if (!process.env.SESSION_SECRET) {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('❌ SESSION_SECRET not set in .env (required when NODE_ENV=production)');
+        process.exit(1);
+    }
+    console.warn('⚠️ SESSION_SECRET not set, using a random secret; sessions end when the server restarts');
+}
 
-// 3. Test Notifications
-const testNotificationSchema = new mongoose.Schema({
-    title: { type: String, required: true },
-    body: { type: String, required: true },
-    timestamp: { type: Date, default: () => new Date(Date.now() + 7*60*60*1000) },
-    read: { type: Boolean, default: false }
+const sessionMiddleware = session({
+    secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    resave: false,
+    saveUninitialized: false,
+    store: MongoStore.create({ mongoUrl: process.env.MONGODB_URI }),
+    cookie: {
+        maxAge: 24*60*60*1000,
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.SESSION_COOKIE_SECURE === 'true'
+    }
+});
+app.use(sessionMiddleware);
+
+const userSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    password_hash: { type: String, required: true },
+    role: { type: String, enum: USER_ROLES, default: 'viewer' },
+    disabled: { type: Boolean, default: false },
+    last_login_at: Date
 }, { timestamps: true });
 
-const TestNotification = mongoose.model("test_notifications", testNotificationSchema);
-
-const dailyBillNotificationSchema = new mongoose.Schema({
-    title: { type: String, required: true },
-    body: { type: String, required: true },
-    date: { type: String, required: true }, // YYYY-MM-DD
-    energy_kwh: { type: Number, required: true },
-    electricity_bill: { type: Number, required: true },
-    samples: { type: Number, default: 0 },
-    rate_per_kwh: { type: Number, default: 4.4 },
-    timestamp: { type: Date, default: () => new Date(Date.now() + 7*60*60*1000) },
-    read: { type: Boolean, default: false }
+const User = mongoose.model("users", userSchema);
+
+// เก็บแค่ hash ของ key ตัวจริงแสดงครั้งเดียวตอนสร้าง
+const apiKeySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    prefix: { type: String, required: true },
+    key_hash: { type: String, required: true, unique: true },
+    role: { type: String, enum: API_KEY_ROLES, required: true },
+    created_by: String,
+    last_used_at: Date,
+    revoked_at: { type: Date, default: null }
 }, { timestamps: true });
 
-const DailyBillNotification = mongoose.model("daily_bill_notifications", dailyBillNotificationSchema);
+const ApiKey = mongoose.model("api_keys", apiKeySchema);
 
-// ================= Helper Functions =================
-function calculateBill(energyKwh, ratePerKwh = 4.4) {
-    return Number((energyKwh * ratePerKwh).toFixed(2));
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
 }
 
-function getDayRangeUTC(dateStr) {
-    const start = new Date(`${dateStr}T00:00:00Z`);
-    const end = new Date(`${dateStr}T23:59:59Z`);
-    return { start, end };
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
 }
-function getDayRangeUTCFromThailand(dateStr) {
-    const startTH = new Date(`${dateStr}T00:00:00`);
-    const endTH = new Date(`${dateStr}T23:59:59`);
-    return { start: new Date(startTH.getTime() - 7*3600*1000),
-             end: new Date(endTH.getTime() - 7*3600*1000) };
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
 }
-function getMonthRange(yearMonth) {
-    const start = new Date(`${yearMonth}-01T00:00:00Z`);
-    const nextMonth = new Date(start);
-    nextMonth.setMonth(nextMonth.getMonth() + 1);
-    return { start, end: nextMonth };
+
+function generateApiKey() {
+    return `pxk_${crypto.randomBytes(24).toString('base64url')}`;
 }
 
-// ================= Routes =================
+// key เดิมจาก INGEST_API_KEYS ยังใช้ได้ในฐานะ role ingest
+function getEnvIngestKeys() {
+    return (process.env.INGEST_API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
+}
 
-// Health check
-app.get('/', (req, res) => {
-    res.json({
-        status: 'OK',
-        service: 'px_dh Daily Bill API',
-        version: '1.1.0',
-        timestamp: new Date().toISOString()
-    });
-});
+function requestApiKey(req) {
+    const header = req.headers['x-api-key'];
+    if (header) return String(header);
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1].trim() : null;
+}
 
-// ================= Daily Bill =================
-app.get('/daily-bill', async (req, res) => {
-    try {
-        const today = new Date().toLocaleDateString('en-CA');
-        const selectedDate = req.query.date || today;
+// ใครเป็นคนเรียก: { type, id, name, role } หรือ null (error เก็บใน req.authError)
+async function resolvePrincipal(req) {
+    const key = requestApiKey(req);
+    if (key) {
+        if (getEnvIngestKeys().includes(key)) return { type: 'api_key', id: null, name: 'INGEST_API_KEYS', role: 'ingest' };
 
-        if (!/^\d{4}-\d{2}-\d{2}$/.test(selectedDate)) {
-            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD', example: '2025-09-30' });
+        const apiKey = await ApiKey.findOne({ key_hash: hashApiKey(key), revoked_at: null }).lean();
+        if (!apiKey) {
+            req.authError = 'Invalid or revoked API key';
+            return null;
         }
+        if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at > API_KEY_TOUCH_MS) {
+            ApiKey.updateOne({ _id: apiKey._id }, { $set: { last_used_at: new Date() } }).catch(() => {});
+        }
+        return { type: 'api_key', id: String(apiKey._id), name: apiKey.name, role: apiKey.role };
+    }
 
-        const { start, end } = getDayRangeUTC(selectedDate);
+    const sessionUser = req.session && req.session.user;
+    if (!sessionUser) return null;
 
-        const data = await PowerPXDH11.find({ timestamp: { $gte: start, $lte: end } })
-                                      .sort({ timestamp: 1 })
-                                      .select('power timestamp');
+    // โหลดใหม่ทุกครั้ง เปลี่ยน role/ปิดบัญชีแล้วมีผลทันที
+    const user = await User.findById(sessionUser.id).select('username role disabled').lean();
+    if (!user || user.disabled) {
+        req.authError = 'Session is no longer valid';
+        return null;
+    }
+    return { type: 'user', id: String(user._id), name: user.username, role: user.role };
+}
 
-        if (!data.length) {
-            return res.status(404).json({
-                error: `No data found for ${selectedDate}`,
-                date: selectedDate,
-                total_energy_kwh: 0,
-                electricity_bill: 0
-            });
-        }
+async function authenticate(req, res, next) {
+    try {
+        req.auth = await resolvePrincipal(req);
+        next();
+    } catch (err) {
+        console.error('❌ Authentication error:', err);
+        res.status(500).json({ success: false, error: 'Authentication failed' });
+    }
+}
 
-        let totalEnergyKwh = 0;
-        let maxPower = 0;
-        let minPower = Infinity;
-        let totalPowerSum = 0;
+app.use(authenticate);
 
-        for (let i = 0; i < data.length; i++) {
-            const p = data[i].power;
-            totalPowerSum += p;
-            if (p > maxPower) maxPower = p;
-            if (p < minPower) minPower = p;
+function hasRole(principal, role) {
+    return Boolean(principal) && ROLE_GRANTS[principal.role].includes(role);
+}
 
-            if (i === 0) continue;
-            const intervalHours = (data[i].timestamp - data[i-1].timestamp) / 1000 / 3600;
-            totalEnergyKwh += ((data[i].power + data[i-1].power) / 2) * intervalHours;
+// role = 'public' | 'viewer' | 'operator' | 'admin' | 'ingest'
+function requireRole(role) {
+    const middleware = (req, res, next) => {
+        if (role === 'public') return next();
+        if (!req.auth) {
+            return res.status(401).json({ success: false, error: req.authError || 'Authentication required' });
+        }
+        if (!hasRole(req.auth, role)) {
+            return res.status(403).json({ success: false, error: `Requires ${role} role` });
         }
+        next();
+    };
+    middleware.requiredRole = role;
+    return middleware;
+}
 
-        const avgPower = totalPowerSum / data.length;
-        const electricityBill = calculateBill(totalEnergyKwh);
+// route ที่ลืมผูก role จะไม่ถูกเปิดแบบไม่รู้ตัว
+function assertRouteRoles(router) {
+    const missing = [];
+    for (const layer of router.stack) {
+        if (!layer.route) continue;
+        if (!layer.route.stack.some(l => l.handle.requiredRole)) {
+            missing.push(`${Object.keys(layer.route.methods).join(',').toUpperCase()} ${layer.route.path}`);
+        }
+    }
+    if (missing.length) throw new Error(`Routes without requireRole: ${missing.join('; ')}`);
+}
 
-        res.json({
-            date: selectedDate,
-            samples: data.length,
-            total_energy_kwh: Number(totalEnergyKwh.toFixed(2)),
-            avg_power_kw: Number(avgPower.toFixed(2)),
-            max_power_kw: Number(maxPower.toFixed(2)),
-            min_power_kw: Number(minPower.toFixed(2)),
-            electricity_bill: electricityBill,
-            rate_per_kwh: 4.4
-        });
+// ยังไม่มีผู้ใช้เลย -> สร้าง admin จาก ADMIN_USERNAME / ADMIN_PASSWORD
+async function ensureAdminUser() {
+    try {
+        if (await User.exists({})) return;
+        const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+        if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+            console.warn('⚠️ No users yet; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+            return;
+        }
+        await User.create({ username: ADMIN_USERNAME, password_hash: await hashPassword(ADMIN_PASSWORD), role: 'admin' });
+        console.log(`✅ Created admin user ${ADMIN_USERNAME}`);
     } catch (err) {
-        console.error('❌ /daily-bill error:', err);
-        res.status(500).json({ error: 'Failed to process data', message: err.message });
+        console.error('❌ Error creating admin user:', err);
     }
-});
-
-app.get('/daily-bill/:date', async (req, res) => {
-    req.query.date = req.params.date;
-    return app._router.handle(req, res);
-});
+}
 
-// ================= Daily Calendar =================
-app.get('/calendar', async (req, res) => {
-  try {
-    const agg = await PowerPXDH11.aggregate([
-      {
-        $project: {
-          power: 1,
-          localDate: {
-            $dateToString: { format: "%Y-%m-%d", date: "$timestamp", timezone: "UTC" }
-          }
-        }
-      },
-      {
-        $group: {
-          _id: "$localDate",
-          avgPower: { $avg: "$power" },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]);
+// ================= Time =================
+// ขอบวัน/ชั่วโมงทุก route คิดผ่านตรงนี้
+// "site clock" = Date ที่ค่า getUTC* เป็นเวลาท้องถิ่นของไซต์ (SITE_TIME_ZONE) ใช้กับ rollup, TOU และชั่วโมงของวัน
+// timestamp ที่เก็บใน DB มี 2 แบบ:
+//   local : แบบเดิม เก็บเป็น site clock (เวลาไทยเลื่อน +7 ชม.)
+//   utc   : เวลาจริง หลังรัน POST /api/migrations/utc-timestamps
+// ?tz= (IANA เช่น Asia/Bangkok, UTC) เปลี่ยนขอบวันของ route ที่รับ date ได้ (ค่าเริ่มต้น = เวลาไซต์)
+// rollup เป็นรายชั่วโมงของเวลาไซต์ (ถือว่าเวลาไซต์ไม่มี DST) tz จึงต้องห่างจากเวลาไซต์เป็นชั่วโมงเต็ม
+const SITE_TIME_ZONE = process.env.TIME_ZONE || 'Asia/Bangkok';
+
+let timestampStorage = process.env.TIMESTAMP_STORAGE === 'utc' ? 'utc' : 'local';
+
+const tzFormatters = new Map();
+
+function tzFormatter(tz) {
+    if (!tzFormatters.has(tz)) {
+        tzFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+            timeZone: tz, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    return tzFormatters.get(tz);
+}
 
-    if (!agg.length) return res.status(404).json({ error: "No data found" });
+function isValidTimeZone(tz) {
+    try {
+        tzFormatter(tz);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
 
-    const events = [];
+// offset (ms) ของ tz ณ เวลาจริงนั้น
+function tzOffsetMs(tz, instant) {
+    const t = new Date(instant).getTime();
+    const p = {};
+    for (const { type, value } of tzFormatter(tz).formatToParts(new Date(t))) p[type] = Number(value);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (t - (((t % 1000) + 1000) % 1000));
+}
 
-    for (const item of agg) {
-      const dayData = await PowerPXDH11.find({
-        timestamp: {
-          $gte: new Date(`${item._id}T00:00:00Z`),
-          $lt: new Date(`${item._id}T23:59:59Z`)
-        }
-      }).sort({ timestamp: 1 }).select("power timestamp");
+// เวลาจริง -> นาฬิกาท้องถิ่นของ tz
+function toZonedClock(instant, tz = SITE_TIME_ZONE) {
+    const t = new Date(instant).getTime();
+    return new Date(t + tzOffsetMs(tz, t));
+}
 
-      let totalEnergyKwh = 0;
-      for (let i = 1; i < dayData.length; i++) {
-        const p1 = dayData[i - 1].power;
-        const p2 = dayData[i].power;
-        const intervalHrs = (dayData[i].timestamp - dayData[i - 1].timestamp) / 1000 / 3600;
-        totalEnergyKwh += ((p1 + p2) / 2) * intervalHrs;
-      }
+// นาฬิกาท้องถิ่นของ tz -> เวลาจริง
+function fromZonedClock(clock, tz = SITE_TIME_ZONE) {
+    const t = new Date(clock).getTime();
+    const guess = t - tzOffsetMs(tz, t);
+    return new Date(t - tzOffsetMs(tz, guess));
+}
 
-      totalEnergyKwh = Number(totalEnergyKwh.toFixed(2));
-      const bill = calculateBill(totalEnergyKwh);
+function toStorageTimestamp(instant) {
+    return timestampStorage === 'utc' ? new Date(instant) : toZonedClock(instant);
+}
 
-      events.push({
-        title: `${totalEnergyKwh} Unit`,
-        start: item._id,
-        extendedProps: { type: "energy", display_text: `${totalEnergyKwh} Unit` }
-      });
+function fromStorageTimestamp(ts) {
+    return timestampStorage === 'utc' ? new Date(ts) : fromZonedClock(ts);
+}
 
-      events.push({
-        title: `${bill}฿`,
-        start: item._id,
-        extendedProps: { type: "bill", display_text: `${bill}฿` }
-      });
-    }
+function storageToSiteClock(ts) {
+    return timestampStorage === 'utc' ? toZonedClock(ts) : new Date(ts);
+}
 
-    res.json(events);
-  } catch (err) {
-    console.error("❌ /calendar error:", err);
-    res.status(500).json({ error: "Failed to get calendar data", message: err.message });
-  }
-});
+function siteClockToStorage(clock) {
+    return timestampStorage === 'utc' ? fromZonedClock(clock) : new Date(clock);
+}
 
-// ================= Daily Diff =================
-app.get('/daily-diff', async (req, res) => {
-    try {
-        const today = new Date();
-        const yesterday = new Date(today);
-        yesterday.setDate(today.getDate() - 1);
-        const dayBefore = new Date(today);
-        dayBefore.setDate(today.getDate() - 2);
-
-        const formatDate = (date) => date.toLocaleDateString('en-CA');
-
-        const getDailyEnergy = async (dateStr) => {
-            const { start, end } = getDayRangeUTC(dateStr);
-            const dayData = await PowerPXDH11.find({ timestamp: { $gte: start, $lte: end } })
-                                             .sort({ timestamp: 1 })
-                                             .select('power timestamp');
-
-            if (!dayData.length) return { energy_kwh: 0, samples: 0, electricity_bill: 0 };
-
-            let totalEnergyKwh = 0;
-            let count = 0;
-            let totalPower = 0;
-            for (let i = 0; i < dayData.length; i++) {
-                const p = dayData[i].power;
-                totalPower += p;
-                count++;
-                if (i === 0) continue;
-                const intervalHours = (dayData[i].timestamp - dayData[i-1].timestamp) / 1000 / 3600;
-                totalEnergyKwh += ((dayData[i].power + dayData[i-1].power) / 2) * intervalHours;
-            }
+// reading จาก DB -> timestamp เป็นนาฬิกาของ tz (ไว้คิดชั่วโมง/พลังงาน)
+function withZonedClock(docs, tz = SITE_TIME_ZONE) {
+    if (timestampStorage === 'local' && tz === SITE_TIME_ZONE) return docs;
+    return docs.map(d => d && { ...d, timestamp: toZonedClock(fromStorageTimestamp(d.timestamp), tz) });
+}
 
-            return { energy_kwh: Number(totalEnergyKwh.toFixed(2)), samples: count, electricity_bill: calculateBill(totalEnergyKwh) };
-        };
+function siteDateOf(ts) {
+    return storageToSiteClock(ts).toISOString().slice(0, 10);
+}
 
-        const yestData = await getDailyEnergy(formatDate(yesterday));
-        const dayBeforeData = await getDailyEnergy(formatDate(dayBefore));
+function siteHourOf(ts) {
+    return storageToSiteClock(ts).getUTCHours();
+}
 
-        const diffKwh = Number((dayBeforeData.energy_kwh - yestData.energy_kwh ).toFixed(2));
-        const diffBill = Number((dayBeforeData.electricity_bill - yestData.electricity_bill).toFixed(2));
+function todayIn(tz = SITE_TIME_ZONE) {
+    return toZonedClock(new Date(), tz).toISOString().slice(0, 10);
+}
 
-        res.json({
-            yesterday: { date: formatDate(yesterday), ...yestData },
-            dayBefore: { date: formatDate(dayBefore), ...dayBeforeData },
-            diff: { kWh: diffKwh, electricity_bill: diffBill }
-        });
+function addDays(dateStr, days) {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
 
-    } catch (err) {
-        console.error('❌ /daily-diff error:', err);
-        res.status(500).json({ error: 'Failed to get daily diff', message: err.message });
-    }
-});
+// ช่วงของวันตาม tz ในรูปแบบที่ใช้ query DB (end = ก่อนเที่ยงคืนถัดไป 1 ms)
+function getDayRange(dateStr, tz = SITE_TIME_ZONE) {
+    const start = toStorageTimestamp(fromZonedClock(`${dateStr}T00:00:00Z`, tz));
+    const next = toStorageTimestamp(fromZonedClock(`${addDays(dateStr, 1)}T00:00:00Z`, tz));
+    return { start, end: new Date(next.getTime() - 1) };
+}
 
-function addEnergyToHours(prev, curr, hourlyEnergy) {
-    let start = new Date(prev.timestamp);
-    const end = new Date(curr.timestamp);
-    const power = (prev.power + curr.power) / 2;
+function getMonthRange(yearMonth) {
+    const start = new Date(`${yearMonth}-01T00:00:00Z`);
+    const nextMonth = new Date(start);
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+    return { start, end: nextMonth };
+}
 
-    while (start < end) {
-        const nextHour = new Date(start);
-        nextHour.setMinutes(60, 0, 0);
-        const intervalEnd = nextHour < end ? nextHour : end;
-        const intervalHours = (intervalEnd - start) / 1000 / 3600;
+// ISO พร้อม offset ของ tz เช่น 2025-10-03T08:00:00+07:00
+function formatInstant(instant, tz = SITE_TIME_ZONE) {
+    const t = new Date(instant).getTime();
+    const offset = tzOffsetMs(tz, t);
+    const minutes = Math.abs(offset) / 60000;
+    const sign = offset < 0 ? '-' : '+';
+    return `${new Date(t + offset).toISOString().slice(0, 19)}${sign}` +
+        `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
 
-        const hourKey = start.getHours();
-        if (!hourlyEnergy[hourKey]) hourlyEnergy[hourKey] = 0;
-        hourlyEnergy[hourKey] += power * intervalHours;
+function formatStoredTimestamp(ts, tz = SITE_TIME_ZONE) {
+    return ts ? formatInstant(fromStorageTimestamp(ts), tz) : null;
+}
 
-        start = intervalEnd;
+// ?tz= ใช้ได้ทุก route (ค่าเริ่มต้น = เวลาไซต์)
+function resolveTimeZone(req, res, next) {
+    const tz = req.query.tz || SITE_TIME_ZONE;
+    if (!isValidTimeZone(tz)) {
+        return res.status(400).json({ error: `Unknown time zone: ${tz}`, example: 'tz=Asia/Bangkok' });
+    }
+    const now = Date.now();
+    if ((tzOffsetMs(tz, now) - tzOffsetMs(SITE_TIME_ZONE, now)) % 3600000 !== 0) {
+        return res.status(400).json({ error: `tz must differ from ${SITE_TIME_ZONE} by whole hours` });
     }
+    req.tz = tz;
+    next();
 }
 
-// ================= Hourly Bill =================
-app.get('/hourly-bill/:date', async (req, res) => {
-    try {
-        const selectedDate = req.params.date;
-        if (!/^\d{4}-\d{2}-\d{2}$/.test(selectedDate)) {
-            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
-        }
-
-        const start = new Date(`${selectedDate}T00:00:00`);
-        const end = new Date(`${selectedDate}T23:59:59`);
+app.use(resolveTimeZone);
 
-        const data = await PowerPXDH11.find({ timestamp: { $gte: start, $lte: end } })
-                                      .sort({ timestamp: 1 })
-                                      .select('power timestamp');
+// rollup คิดตามวันของไซต์ งานที่ผูกกับรอบบิล (รายเดือน/รายปี) จึงรับเฉพาะเวลาไซต์
+function requireSiteTimeZone(req, res, next) {
+    if (req.tz !== SITE_TIME_ZONE) {
+        return res.status(400).json({ error: `This report follows the site time zone (${SITE_TIME_ZONE}); tz=${req.tz} is not supported` });
+    }
+    next();
+}
 
-        const hourlyEnergy = Array.from({length:24}, ()=>0);
+// ================= Schema =================
+// reading เก่าที่ไม่มี meter_id ถือเป็นของมิเตอร์หลัก (ดู meterFilter)
+const DEFAULT_METER_ID = process.env.DEFAULT_METER_ID || 'main';
 
-        if (data.length === 0) {
-            return res.json({
-                date: selectedDate,
-                hourly: hourlyEnergy.map((e,h)=>({
-                    hour: `${h.toString().padStart(2,'0')}:00`,
-                    energy_kwh: 0,
-                    electricity_bill: 0
-                }))
-            });
-        }
+const px_dh_schema = new mongoose.Schema({
+    meter_id: { type: String, default: DEFAULT_METER_ID },
+    voltage: Number,
+    current: Number,
+    power: Number,
+    active_power_phase_a: Number,
+    active_power_phase_b: Number,
+    active_power_phase_c: Number,
+    voltage1: Number,
+    voltage2: Number,
+    voltage3: Number,
+    voltageln: Number,
+    voltagell: Number,
+    timestamp: { type: Date, default: () => toStorageTimestamp(new Date()) }, // ดูโหมดการเก็บใน Time
+}, { timestamps: true });
 
-        function addEnergy(prev, curr) {
-            let startTime = new Date(prev.timestamp);
-            const endTime = new Date(curr.timestamp);
-            const avgPower = (prev.power + curr.power)/2;
+px_dh_schema.index({ timestamp: 1 });
+// { meter_id, timestamp } เป็น unique สร้างใน ensureReadingUniqueIndex (ต้องเก็บกวาดข้อมูลเก่าก่อน)
 
-            while (startTime < endTime) {
-                const nextHour = new Date(startTime);
-                nextHour.setMinutes(60,0,0);
-                const intervalEnd = nextHour < endTime ? nextHour : endTime;
-                const intervalHours = (intervalEnd - startTime)/1000/3600;
+const PowerPXDH11 = mongoose.model("power_px_dh11", px_dh_schema);
 
-                const hour = startTime.getHours();
-                hourlyEnergy[hour] += avgPower * intervalHours;
+const READING_UNIQUE_INDEX = 'meter_id_1_timestamp_1';
+const LEGACY_READING_UNIQUE_INDEX = 'timestamp_1';
 
-                startTime = intervalEnd;
+// ingest กันซ้ำด้วย unique index (retry พร้อมกันสองชุดจะได้ไม่เขียนซ้ำ) ก่อนสร้าง:
+// reading เก่าที่ไม่มี meter_id ให้เป็นของมิเตอร์หลัก แล้วลบตัวซ้ำ (เก็บตัวที่บันทึกก่อน)
+// ก่อนมีหลายมิเตอร์ unique อยู่ที่ timestamp อย่างเดียว ต้องเปลี่ยนเป็น index ธรรมดา ไม่งั้นมิเตอร์อื่นเวลาเดียวกันเขียนไม่ได้
+async function ensureReadingUniqueIndex() {
+    try {
+        const indexes = await PowerPXDH11.collection.indexes();
+        const existing = indexes.find(i => i.name === READING_UNIQUE_INDEX);
+        const legacy = indexes.find(i => i.name === LEGACY_READING_UNIQUE_INDEX && i.unique);
+        if (existing && existing.unique && !legacy) return;
+
+        if (!existing || !existing.unique) {
+            const backfilled = await PowerPXDH11.updateMany({ meter_id: null }, { $set: { meter_id: DEFAULT_METER_ID } });
+            if (backfilled.modifiedCount) console.log(`🧹 Assigned ${backfilled.modifiedCount} legacy readings to ${DEFAULT_METER_ID}`);
+
+            const duplicates = PowerPXDH11.aggregate([
+                { $group: { _id: { meter_id: '$meter_id', timestamp: '$timestamp' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+                { $match: { count: { $gt: 1 } } }
+            ]).allowDiskUse(true).cursor();
+
+            let removed = 0;
+            for await (const group of duplicates) {
+                const [, ...extra] = group.ids.sort((a, b) => String(a).localeCompare(String(b)));
+                removed += (await PowerPXDH11.deleteMany({ _id: { $in: extra } })).deletedCount;
             }
-        }
+            if (removed) console.log(`🧹 Removed ${removed} duplicate readings`);
 
-        for (let i = 1; i < data.length; i++) {
-            addEnergy(data[i-1], data[i]);
+            if (existing) await PowerPXDH11.collection.dropIndex(READING_UNIQUE_INDEX);
+            await PowerPXDH11.collection.createIndex({ meter_id: 1, timestamp: 1 }, { unique: true, name: READING_UNIQUE_INDEX });
         }
 
-        const now = new Date();
-        if (selectedDate === now.toISOString().slice(0,10)) {
-            for (let h = now.getHours()+1; h < 24; h++) {
-                hourlyEnergy[h] = 0;
-            }
+        if (legacy) {
+            await PowerPXDH11.collection.dropIndex(LEGACY_READING_UNIQUE_INDEX);
+            await PowerPXDH11.collection.createIndex({ timestamp: 1 }, { name: LEGACY_READING_UNIQUE_INDEX });
         }
+        console.log('✅ Unique reading index ready');
+    } catch (err) {
+        console.error('❌ Failed to create unique reading index:', err.message);
+    }
+}
 
-        const hourlyArray = hourlyEnergy.map((energy, h) => ({
-            hour: `${h.toString().padStart(2,'0')}:00`,
-            energy_kwh: Number(energy.toFixed(2)),
-            electricity_bill: Number((energy*4.4).toFixed(2))
-        }));
-
-        res.json({
-            date: selectedDate,
-            hourly: hourlyArray
-        });
+// ================= Notifications =================
+// ทุกชนิดอยู่ใน collection เดียว (notifications) แยกด้วย type (mongoose discriminator)
+// เพิ่มชนิดใหม่ = registerNotificationType ที่เดียว (schema ของ payload, path ของ route แบบเดิม)
+// create / list / mark-read / delete / stats / export / push preferences ใช้ registry นี้หมด
+const notificationSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    body: { type: String, required: true },
+    meter_id: { type: String },
+    timestamp: { type: Date, default: () => toStorageTimestamp(new Date()) },
+    read: { type: Boolean, default: false }
+}, { timestamps: true, discriminatorKey: 'type' });
+
+// เรียงใหม่สุดก่อน (timestamp, _id) ให้ cursor ต่อหน้าได้ตรงทุกชนิด
+notificationSchema.index({ timestamp: -1, _id: -1 });
+notificationSchema.index({ type: 1, timestamp: -1, _id: -1 });
+notificationSchema.index({ read: 1, timestamp: -1 });
+
+const Notification = mongoose.model("notifications", notificationSchema);
+
+const NOTIFICATION_TYPES = {};
+
+// label ใช้ใน log, path = /api/notifications/<path> แบบเดิม, legacy_collection = collection แยกก่อนรวม
+// per_meter = false สำหรับชนิดที่ไม่ผูกกับมิเตอร์ (กรองด้วย meter ไม่ได้), filters = field เพิ่มที่กรองผ่าน query ได้
+function registerNotificationType(type, { label, path, legacy_collection, per_meter = true, filters = [], schema = {} }) {
+    NOTIFICATION_TYPES[type] = {
+        type,
+        label,
+        path,
+        legacy_collection,
+        per_meter,
+        filters,
+        model: Notification.discriminator(`${type}_notification`, new mongoose.Schema(schema), { value: type })
+    };
+}
 
-    } catch (err) {
-        console.error('❌ /hourly-bill error:', err);
-        res.status(500).json({ error: 'Failed to get hourly bill', message: err.message });
+registerNotificationType('peak', {
+    label: 'Peak',
+    path: 'peak',
+    legacy_collection: 'peak_notifications',
+    schema: {
+        power: { type: Number, required: true }
     }
 });
 
-// ================= Minute Power Range =================
-app.get('/minute-power-range', async (req, res) => {
-    try {
-        const { date, startHour, endHour } = req.query;
+const dayEnergySummary = {
+    date: String,
+    energy_kwh: Number,
+    electricity_bill: Number,
+    samples: Number
+};
+
+registerNotificationType('daily_diff', {
+    label: 'Daily Diff',
+    path: 'daily-diff',
+    legacy_collection: 'daily_diff_notifications',
+    per_meter: false,
+    schema: {
+        yesterday: dayEnergySummary,
+        dayBefore: dayEnergySummary,
+        diff: {
+            kWh: Number,
+            electricity_bill: Number
+        }
+    }
+});
 
-        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-            return res.status(400).json({
-                error: "Missing or invalid date",
-                example: "/minute-power-range?date=2025-10-03&startHour=8&endHour=17"
-            });
+registerNotificationType('daily_bill', {
+    label: 'Daily Bill',
+    path: 'daily-bill',
+    legacy_collection: 'daily_bill_notifications',
+    schema: {
+        date: { type: String, required: true }, // YYYY-MM-DD
+        energy_kwh: { type: Number, required: true },
+        electricity_bill: { type: Number, required: true },
+        samples: { type: Number, default: 0 },
+        rate_per_kwh: { type: Number, default: 4.4 },
+        tariff_id: { type: String },
+        tariff_version: {
+            version_id: String,
+            version: Number,
+            valid_from: String,
+            valid_to: String
+        },
+        tier_breakdown: [{
+            _id: false,
+            tier: mongoose.Schema.Types.Mixed, // เลขขั้น หรือ 'on_peak' / 'off_peak' สำหรับ TOU
+            from_kwh: Number,
+            to_kwh: Number,
+            rate: Number,
+            energy_kwh: Number,
+            amount: Number
+        }],
+        month_to_date_kwh: { type: Number },
+        breakdown: {
+            energy_charge: Number,
+            ft_rate: Number,
+            ft_charge: Number,
+            service_charge: Number,
+            subtotal: Number,
+            vat_rate: Number,
+            vat: Number,
+            total: Number
+        },
+        tou: {
+            on_peak_kwh: Number,
+            off_peak_kwh: Number,
+            on_peak_cost: Number,
+            off_peak_cost: Number
+        },
+        forecast: {
+            month: String,
+            energy_kwh: Number,
+            electricity_bill: Number,
+            low: Number,
+            high: Number
         }
+    }
+});
 
-        let { start, end } = getDayRangeUTC(date);
+registerNotificationType('test', {
+    label: 'Test',
+    path: 'test',
+    legacy_collection: 'test_notifications',
+    per_meter: false
+});
 
-        if (startHour !== undefined) start.setUTCHours(Number(startHour), 0, 0, 0);
-        if (endHour !== undefined) end.setUTCHours(Number(endHour), 59, 59, 999);
+// แจ้งเตือนจาก alert rules ที่ผู้ใช้ตั้ง
+registerNotificationType('alert', {
+    label: 'Alert',
+    path: 'alert',
+    legacy_collection: 'alert_notifications',
+    filters: ['severity', 'rule_type'],
+    schema: {
+        rule_id: { type: mongoose.Schema.Types.ObjectId },
+        rule_name: String,
+        rule_type: String,
+        severity: String,
+        field: String,
+        value: Number,
+        threshold: Number,
+        triggered_at: Date
+    }
+});
 
-        const data = await PowerPXDH11.find({
-            timestamp: { $gte: start, $lte: end }
-        }).sort({ timestamp: 1 })
-          .select('timestamp power voltage current active_power_phase_a active_power_phase_b active_power_phase_c');
+// การใช้ไฟต่างจาก baseline ของ hour-of-week (ดู Anomaly Detection) hour ว่าง = ทั้งวัน
+registerNotificationType('anomaly', {
+    label: 'Anomaly',
+    path: 'anomaly',
+    filters: ['direction'],
+    schema: {
+        date: String,
+        hour: Number,
+        energy_kwh: Number,
+        expected_kwh: Number,
+        ratio: Number,
+        score: Number,
+        direction: String
+    }
+});
 
-        const result = data.map(d => ({
-            timestamp: d.timestamp.toISOString(),
-            power: d.power,
-            voltage: d.voltage,
-            current: d.current,
-            active_power_phase_a: d.active_power_phase_a,
-            active_power_phase_b: d.active_power_phase_b,
-            active_power_phase_c: d.active_power_phase_c
-        }));
+// มิเตอร์ไม่ส่ง reading เกินเวลาที่กำหนด (ดู METER OFFLINE JOB) recovered_at ว่าง = ยัง offline อยู่
+registerNotificationType('meter_offline', {
+    label: 'Meter Offline',
+    path: 'meter-offline',
+    schema: {
+        last_reading_at: Date,
+        silent_minutes: Number,
+        recovered_at: Date
+    }
+});
 
-        res.json(result);
+// ================= Tariff Engine =================
+// อัตราค่าไฟฟ้าแบบก้าวหน้า (คิดตามหน่วยใช้สะสมทั้งเดือน)
+// upTo = หน่วยสะสมสูงสุดของขั้นนั้น, null = ขั้นสุดท้ายไม่จำกัด
+const TARIFF_PLANS = {
+    pea_1_1: {
+        id: 'pea_1_1',
+        name: 'PEA 1.1 Residential (<= 150 kWh/month)',
+        type: 'progressive',
+        service_charge: 8.19,
+        tiers: [
+            { upTo: 15, rate: 2.3488 },
+            { upTo: 25, rate: 2.9882 },
+            { upTo: 35, rate: 3.2405 },
+            { upTo: 100, rate: 3.6237 },
+            { upTo: 150, rate: 3.7171 },
+            { upTo: 400, rate: 4.2218 },
+            { upTo: null, rate: 4.4217 }
+        ]
+    },
+    pea_1_2: {
+        id: 'pea_1_2',
+        name: 'PEA 1.2 Residential (> 150 kWh/month)',
+        type: 'progressive',
+        service_charge: 24.62,
+        tiers: [
+            { upTo: 150, rate: 3.2484 },
+            { upTo: 400, rate: 4.2218 },
+            { upTo: null, rate: 4.4217 }
+        ]
+    },
+    // TOU: on-peak จันทร์-ศุกร์ 09:00-22:00, เสาร์-อาทิตย์และวันหยุดเป็น off-peak ทั้งวัน
+    pea_1_3: {
+        id: 'pea_1_3',
+        name: 'PEA 1.3 Residential TOU (< 22 kV)',
+        type: 'tou',
+        service_charge: 38.22,
+        on_peak_rate: 5.7982,
+        off_peak_rate: 2.6369,
+        on_peak_windows: [
+            { days: [1, 2, 3, 4, 5], start: '09:00', end: '22:00' }
+        ],
+        holidays_off_peak: true
+    },
+    flat: {
+        id: 'flat',
+        name: 'Flat rate',
+        type: 'progressive',
+        service_charge: 0,
+        tiers: [
+            { upTo: null, rate: 4.4 }
+        ]
+    }
+};
 
+// แผนในโค้ด ใช้เมื่อยังไม่มีเวอร์ชันใน collection tariffs (ดู resolveTariff)
+// TARIFF_PLAN เลือกแผน, TARIFF_TIERS (JSON) ใช้แทนขั้นบันไดของแผนนั้น
+// TOU_ON_PEAK_WINDOWS (JSON) ใช้แทนช่วง on-peak ของแผน TOU
+function getActiveTariff(code = getTariffCode()) {
+    const base = TARIFF_PLANS[code] || TARIFF_PLANS.pea_1_2;
+    const override = base.type === 'tou' ? process.env.TOU_ON_PEAK_WINDOWS : process.env.TARIFF_TIERS;
+    if (!override) return base;
+
+    try {
+        const parsed = JSON.parse(override);
+        const changes = base.type === 'tou' ? { on_peak_windows: parsed } : { tiers: parsed };
+        return { ...base, ...changes, id: `${base.id}_custom`, name: `${base.name} (custom)` };
     } catch (err) {
-        console.error('❌ /minute-power-range error:', err);
-        res.status(500).json({ error: err.message });
+        console.error('❌ Invalid tariff override, using plan defaults:', err.message);
+        return base;
     }
-});
+}
 
-// ================= Hourly Summary =================
-app.get('/hourly-summary', async (req, res) => {
+function getTariffCode() {
+    return process.env.TARIFF_PLAN || 'pea_1_2';
+}
+
+function describeTariff(tariff) {
+    return {
+        id: tariff.id,
+        name: tariff.name,
+        type: tariff.type,
+        version: tariff.version || null,
+        version_id: tariff.version_id || null,
+        valid_from: tariff.valid_from || null,
+        valid_to: tariff.valid_to || null
+    };
+}
+
+// คิดค่าพลังงานของ energyKwh ที่ต่อท้ายยอดสะสม monthToDateKwh
+// = bill(monthToDate + energy) - bill(monthToDate) เลยได้ส่วนแบ่งค่าไฟส่วนเพิ่มของช่วงนั้น
+function calculateTieredCharge(tariff, energyKwh, monthToDateKwh = 0) {
+    const from = Math.max(0, monthToDateKwh);
+    const to = from + Math.max(0, energyKwh);
+    const tiers = [];
+    let amount = 0;
+    let lower = 0;
+
+    tariff.tiers.forEach((tier, i) => {
+        const upper = tier.upTo == null ? Infinity : tier.upTo;
+        const kwh = Math.min(to, upper) - Math.max(from, lower);
+        if (kwh > 0) {
+            amount += kwh * tier.rate;
+            tiers.push({
+                tier: i + 1,
+                from_kwh: lower,
+                to_kwh: tier.upTo,
+                rate: tier.rate,
+                energy_kwh: Number(kwh.toFixed(2)),
+                amount: Number((kwh * tier.rate).toFixed(2))
+            });
+        }
+        lower = upper;
+    });
+
+    return { amount, tiers };
+}
+
+// TOU ไม่มีขั้นบันได: on-peak/off-peak คนละอัตรา ไม่ขึ้นกับยอดสะสม
+function calculateTouCharge(tariff, split) {
+    if (split.on_peak_kwh === undefined || split.off_peak_kwh === undefined) {
+        throw new Error(`Tariff ${tariff.id} is TOU and needs on-peak/off-peak energy`);
+    }
+
+    const onPeakCost = split.on_peak_kwh * tariff.on_peak_rate;
+    const offPeakCost = split.off_peak_kwh * tariff.off_peak_rate;
+    const periods = [
+        { tier: 'on_peak', rate: tariff.on_peak_rate, kwh: split.on_peak_kwh, amount: onPeakCost },
+        { tier: 'off_peak', rate: tariff.off_peak_rate, kwh: split.off_peak_kwh, amount: offPeakCost }
+    ];
+
+    return {
+        amount: onPeakCost + offPeakCost,
+        tiers: periods.filter(p => p.kwh > 0).map(p => ({
+            tier: p.tier,
+            rate: p.rate,
+            energy_kwh: Number(p.kwh.toFixed(2)),
+            amount: Number(p.amount.toFixed(2))
+        })),
+        tou: {
+            on_peak_kwh: Number(split.on_peak_kwh.toFixed(2)),
+            off_peak_kwh: Number(split.off_peak_kwh.toFixed(2)),
+            on_peak_cost: Number(onPeakCost.toFixed(2)),
+            off_peak_cost: Number(offPeakCost.toFixed(2))
+        }
+    };
+}
+
+// energy เป็นตัวเลข kWh หรือ { energy_kwh, on_peak_kwh, off_peak_kwh } (จำเป็นสำหรับ TOU)
+// options.date ใช้หาค่า Ft ของงวดนั้น, options.serviceDays = สัดส่วนค่าบริการ (1 = หนึ่งวัน)
+function priceEnergy(energy, monthToDateKwh = 0, tariff = getActiveTariff(), options = {}) {
+    const split = typeof energy === 'number' ? { energy_kwh: energy } : energy;
+    const { amount, tiers, tou } = tariff.type === 'tou'
+        ? calculateTouCharge(tariff, split)
+        : calculateTieredCharge(tariff, split.energy_kwh, monthToDateKwh);
+    const breakdown = composeBill(amount, split.energy_kwh, tariff, options);
+
+    return {
+        electricity_bill: breakdown.total,
+        tariff: describeTariff(tariff),
+        tier_breakdown: tiers,
+        breakdown,
+        month_to_date_kwh: Number(monthToDateKwh.toFixed(2)),
+        tou
+    };
+}
+
+// แบ่งค่าไฟของแต่ละช่วง (เช่น รายชั่วโมง) ตามลำดับเวลา โดยแต่ละช่วงต่อท้ายยอดสะสมของช่วงก่อนหน้า
+function priceSequence(energies, monthToDateKwh = 0, tariff = getActiveTariff(), options = {}) {
+    let cumulative = monthToDateKwh;
+    return energies.map(energy => {
+        const pricing = priceEnergy(energy, cumulative, tariff, options);
+        cumulative += typeof energy === 'number' ? energy : energy.energy_kwh;
+        return pricing;
+    });
+}
+
+// ================= Bill Composition =================
+// ค่า Ft (บาท/หน่วย) ตามงวด valid_from <= วันที่ < valid_to, แทนได้ด้วย FT_RATES (JSON) ใน .env
+const DEFAULT_FT_RATES = [
+    { valid_from: '2024-01-01', valid_to: '2025-01-01', rate: 0.3972 },
+    { valid_from: '2025-01-01', valid_to: '2025-05-01', rate: 0.3672 },
+    { valid_from: '2025-05-01', valid_to: '2025-09-01', rate: 0.1972 },
+    { valid_from: '2025-09-01', valid_to: null, rate: 0.1572 }
+];
+
+function getFtRates() {
+    if (!process.env.FT_RATES) return DEFAULT_FT_RATES;
     try {
-        const { date } = req.query;
+        return JSON.parse(process.env.FT_RATES);
+    } catch (err) {
+        console.error('❌ Invalid FT_RATES, using defaults:', err.message);
+        return DEFAULT_FT_RATES;
+    }
+}
 
-        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-            return res.status(400).json({
-                error: "Missing or invalid date",
-                example: "/hourly-summary?date=2025-10-03"
+function getFtRate(dateStr) {
+    const period = getFtRates().find(p =>
+        p.valid_from <= dateStr && (!p.valid_to || dateStr < p.valid_to));
+    return period ? period.rate : 0;
+}
+
+function getVatRate() {
+    return process.env.VAT_RATE !== undefined ? Number(process.env.VAT_RATE) : 0.07;
+}
+
+function daysInMonth(dateStr) {
+    const [y, m] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+// ค่าไฟตามใบแจ้งหนี้: ค่าพลังงาน + Ft + ค่าบริการ (เฉลี่ยรายวันของเดือนนั้น) แล้วบวก VAT
+function composeBill(energyCharge, energyKwh, tariff, { date, serviceDays = 1 } = {}) {
+    const dateStr = date || todayIn();
+    const ftRate = getFtRate(dateStr);
+    const vatRate = getVatRate();
+
+    const ftCharge = energyKwh * ftRate;
+    const serviceCharge = (tariff.service_charge || 0) / daysInMonth(dateStr) * serviceDays;
+    const subtotal = energyCharge + ftCharge + serviceCharge;
+    const vat = subtotal * vatRate;
+
+    return {
+        energy_charge: Number(energyCharge.toFixed(2)),
+        ft_rate: ftRate,
+        ft_charge: Number(ftCharge.toFixed(2)),
+        service_charge: Number(serviceCharge.toFixed(2)),
+        subtotal: Number(subtotal.toFixed(2)),
+        vat_rate: vatRate,
+        vat: Number(vat.toFixed(2)),
+        total: Number((subtotal + vat).toFixed(2))
+    };
+}
+
+// รวม breakdown หลายก้อน (เช่น หลายมิเตอร์) อัตรา Ft/VAT ไม่รวม
+function sumBreakdowns(breakdowns) {
+    const keys = ['energy_charge', 'ft_charge', 'service_charge', 'subtotal', 'vat', 'total'];
+    const sum = {};
+    for (const key of keys) {
+        sum[key] = Number(breakdowns.reduce((total, b) => total + (b ? b[key] : 0), 0).toFixed(2));
+    }
+    return sum;
+}
+
+// รวม tier_breakdown หลายช่วงตาม tier (เช่น รายวันทั้งเดือน)
+function sumTierBreakdowns(lists) {
+    const byTier = new Map();
+    for (const tier of lists.flat()) {
+        const current = byTier.get(tier.tier) || { ...tier, energy_kwh: 0, amount: 0 };
+        current.energy_kwh += tier.energy_kwh;
+        current.amount += tier.amount;
+        byTier.set(tier.tier, current);
+    }
+    return [...byTier.values()].map(t => ({
+        ...t,
+        energy_kwh: Number(t.energy_kwh.toFixed(2)),
+        amount: Number(t.amount.toFixed(2))
+    }));
+}
+
+function sumTou(tous) {
+    const present = tous.filter(Boolean);
+    if (!present.length) return undefined;
+
+    const keys = ['on_peak_kwh', 'off_peak_kwh', 'on_peak_cost', 'off_peak_cost'];
+    const sum = {};
+    for (const key of keys) {
+        sum[key] = Number(present.reduce((total, t) => total + t[key], 0).toFixed(2));
+    }
+    return sum;
+}
+
+// ================= TOU Periods =================
+const touHolidaySchema = new mongoose.Schema({
+    date: { type: String, required: true, unique: true }, // YYYY-MM-DD
+    name: { type: String, required: true }
+}, { timestamps: true });
+
+const TouHoliday = mongoose.model("tou_holidays", touHolidaySchema);
+
+// วันหยุดที่คิด off-peak ทั้งวัน (ใช้ seed ตอนยังไม่มีข้อมูลใน DB, แก้เพิ่มได้ที่ /api/holidays)
+const DEFAULT_TOU_HOLIDAYS = [
+    { date: '2025-01-01', name: 'New Year\'s Day' },
+    { date: '2025-02-12', name: 'Makha Bucha Day' },
+    { date: '2025-04-06', name: 'Chakri Memorial Day' },
+    { date: '2025-04-13', name: 'Songkran Festival' },
+    { date: '2025-04-14', name: 'Songkran Festival' },
+    { date: '2025-04-15', name: 'Songkran Festival' },
+    { date: '2025-05-01', name: 'National Labour Day' },
+    { date: '2025-05-04', name: 'Coronation Day' },
+    { date: '2025-05-11', name: 'Visakha Bucha Day' },
+    { date: '2025-06-03', name: 'H.M. Queen Suthida\'s Birthday' },
+    { date: '2025-07-10', name: 'Asarnha Bucha Day' },
+    { date: '2025-07-28', name: 'H.M. King\'s Birthday' },
+    { date: '2025-08-12', name: 'Mother\'s Day' },
+    { date: '2025-10-13', name: 'King Bhumibol Memorial Day' },
+    { date: '2025-10-23', name: 'Chulalongkorn Day' },
+    { date: '2025-12-05', name: 'Father\'s Day' },
+    { date: '2025-12-10', name: 'Constitution Day' },
+    { date: '2025-12-31', name: 'New Year\'s Eve' },
+    { date: '2026-01-01', name: 'New Year\'s Day' },
+    { date: '2026-03-03', name: 'Makha Bucha Day' },
+    { date: '2026-04-06', name: 'Chakri Memorial Day' },
+    { date: '2026-04-13', name: 'Songkran Festival' },
+    { date: '2026-04-14', name: 'Songkran Festival' },
+    { date: '2026-04-15', name: 'Songkran Festival' },
+    { date: '2026-05-01', name: 'National Labour Day' },
+    { date: '2026-05-04', name: 'Coronation Day' },
+    { date: '2026-05-31', name: 'Visakha Bucha Day' },
+    { date: '2026-06-03', name: 'H.M. Queen Suthida\'s Birthday' },
+    { date: '2026-07-28', name: 'H.M. King\'s Birthday' },
+    { date: '2026-07-29', name: 'Asarnha Bucha Day' },
+    { date: '2026-08-12', name: 'Mother\'s Day' },
+    { date: '2026-10-13', name: 'King Bhumibol Memorial Day' },
+    { date: '2026-10-23', name: 'Chulalongkorn Day' },
+    { date: '2026-12-05', name: 'Father\'s Day' },
+    { date: '2026-12-10', name: 'Constitution Day' },
+    { date: '2026-12-31', name: 'New Year\'s Eve' }
+];
+
+let touHolidays = new Set(DEFAULT_TOU_HOLIDAYS.map(h => h.date));
+
+async function loadTouHolidays() {
+    try {
+        if (await TouHoliday.countDocuments() === 0) {
+            await TouHoliday.insertMany(DEFAULT_TOU_HOLIDAYS);
+            console.log(`🌱 Seeded ${DEFAULT_TOU_HOLIDAYS.length} TOU holidays`);
+        }
+        const holidays = await TouHoliday.find().select('date').lean();
+        touHolidays = new Set(holidays.map(h => h.date));
+        console.log(`📅 Loaded ${touHolidays.size} TOU holidays`);
+    } catch (err) {
+        console.error('❌ Failed to load TOU holidays, using defaults:', err.message);
+    }
+}
+
+function parseClock(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+// timestamp ใน DB เก็บเป็นเวลาไทยอยู่แล้ว (ดู schema) จึงอ่านด้วย getUTC*
+function getLocalClock(ts) {
+    const d = new Date(ts);
+    const dayStartMs = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    return {
+        date: d.toISOString().slice(0, 10),
+        weekday: d.getUTCDay(),
+        dayStartMs,
+        minuteOfDay: (d.getTime() - dayStartMs) / 60000
+    };
+}
+
+function getTouPeriod(ts, tariff) {
+    const { date, weekday, minuteOfDay } = getLocalClock(ts);
+    if (tariff.holidays_off_peak !== false && touHolidays.has(date)) return 'off_peak';
+
+    const onPeak = tariff.on_peak_windows.some(w =>
+        w.days.includes(weekday) &&
+        minuteOfDay >= parseClock(w.start) &&
+        minuteOfDay < parseClock(w.end));
+    return onPeak ? 'on_peak' : 'off_peak';
+}
+
+// จุดตัดถัดไปหลัง ts: ต้นชั่วโมงถัดไป หรือขอบช่วง on-peak ที่มาก่อน
+function nextEnergyBoundary(ts, tariff) {
+    const { dayStartMs, minuteOfDay } = getLocalClock(ts);
+    let next = Math.floor(minuteOfDay / 60) * 60 + 60;
+
+    if (tariff.type === 'tou') {
+        for (const w of tariff.on_peak_windows) {
+            for (const b of [parseClock(w.start), parseClock(w.end)]) {
+                if (b > minuteOfDay && b < next) next = b;
+            }
+        }
+    }
+    return new Date(dayStartMs + next * 60000);
+}
+
+// ================= Tariff History =================
+// อัตราแต่ละเวอร์ชันมีช่วงใช้งาน valid_from <= วันที่ < valid_to (null = ยังใช้อยู่)
+// บิลย้อนหลังจึงคิดด้วยอัตราที่ใช้ในวันนั้นจริง
+const tariffSchema = new mongoose.Schema({
+    code: { type: String, required: true },   // เช่น pea_1_2
+    name: { type: String, required: true },
+    type: { type: String, enum: ['progressive', 'tou'], required: true },
+    version: { type: Number, required: true },
+    tiers: [{
+        _id: false,
+        upTo: { type: Number, default: null },
+        rate: { type: Number, required: true }
+    }],
+    on_peak_rate: Number,
+    off_peak_rate: Number,
+    on_peak_windows: [{
+        _id: false,
+        days: [Number],
+        start: String,
+        end: String
+    }],
+    holidays_off_peak: { type: Boolean, default: true },
+    service_charge: { type: Number, default: 0 },
+    valid_from: { type: String, required: true }, // YYYY-MM-DD
+    valid_to: { type: String, default: null },    // YYYY-MM-DD (ไม่รวมวันนี้)
+    note: String
+}, { timestamps: true });
+
+tariffSchema.index({ code: 1, valid_from: 1 }, { unique: true });
+
+const Tariff = mongoose.model("tariffs", tariffSchema);
+
+let tariffVersionsCache = null;
+
+async function loadTariffVersions() {
+    if (!tariffVersionsCache) {
+        tariffVersionsCache = await Tariff.find().sort({ valid_from: -1 }).lean();
+    }
+    return tariffVersionsCache;
+}
+
+function invalidateTariffCache() {
+    tariffVersionsCache = null;
+}
+
+function toTariffConfig(doc) {
+    return {
+        id: doc.code,
+        name: doc.name,
+        type: doc.type,
+        tiers: doc.tiers,
+        on_peak_rate: doc.on_peak_rate,
+        off_peak_rate: doc.off_peak_rate,
+        on_peak_windows: doc.on_peak_windows,
+        holidays_off_peak: doc.holidays_off_peak,
+        service_charge: doc.service_charge,
+        version: doc.version,
+        version_id: String(doc._id),
+        valid_from: doc.valid_from,
+        valid_to: doc.valid_to
+    };
+}
+
+// หาอัตราที่ใช้ในวันที่ dateStr ถ้าใน DB ไม่มีเวอร์ชันของแผนนั้นเลยใช้แผนในโค้ด
+async function resolveTariff(dateStr, code = getTariffCode()) {
+    const versions = await loadTariffVersions();
+    const doc = versions.find(v =>
+        v.code === code &&
+        v.valid_from <= dateStr &&
+        (!v.valid_to || dateStr < v.valid_to));
+
+    return doc ? toTariffConfig(doc) : getActiveTariff(code);
+}
+
+function validateTariffBody(body) {
+    const errors = [];
+    if (!body.code) errors.push('code is required');
+    if (!body.name) errors.push('name is required');
+    if (!['progressive', 'tou'].includes(body.type)) errors.push("type must be 'progressive' or 'tou'");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(body.valid_from || '')) errors.push('valid_from must be YYYY-MM-DD');
+    if (body.valid_to && !/^\d{4}-\d{2}-\d{2}$/.test(body.valid_to)) errors.push('valid_to must be YYYY-MM-DD');
+    if (body.valid_to && body.valid_to <= body.valid_from) errors.push('valid_to must be after valid_from');
+
+    if (body.type === 'progressive') {
+        if (!Array.isArray(body.tiers) || !body.tiers.length) errors.push('tiers are required for progressive tariffs');
+        else {
+            body.tiers.forEach((tier, i) => {
+                const last = i === body.tiers.length - 1;
+                if (!tier || !Number.isFinite(tier.rate) || tier.rate < 0) errors.push(`tiers[${i}].rate must be a non-negative number`);
+                if (!last && !(tier && Number.isFinite(tier.upTo) && tier.upTo > 0)) errors.push(`tiers[${i}].upTo must be a positive number`);
+                if (!last && i > 0 && tier && body.tiers[i - 1] && tier.upTo <= body.tiers[i - 1].upTo) errors.push('tiers must be in ascending upTo order');
             });
+            if (body.tiers[body.tiers.length - 1]?.upTo != null) errors.push('last tier must have upTo: null');
+        }
+    }
+    if (body.service_charge != null && !(Number.isFinite(body.service_charge) && body.service_charge >= 0)) {
+        errors.push('service_charge must be a non-negative number');
+    }
+    if (body.type === 'tou') {
+        if (typeof body.on_peak_rate !== 'number' || typeof body.off_peak_rate !== 'number') {
+            errors.push('on_peak_rate and off_peak_rate are required for TOU tariffs');
+        }
+        if (!Array.isArray(body.on_peak_windows) || !body.on_peak_windows.length) {
+            errors.push('on_peak_windows are required for TOU tariffs');
         }
+    }
+    return errors;
+}
 
-        const { start, end } = getDayRangeUTC(date);
+// หาเวอร์ชันอื่นของแผนเดียวกันที่ช่วงวันทับกัน
+async function findOverlappingTariff(code, validFrom, validTo, excludeId) {
+    const query = {
+        code,
+        $and: [
+            { $or: [{ valid_to: null }, { valid_to: { $gt: validFrom } }] },
+            ...(validTo ? [{ valid_from: { $lt: validTo } }] : [])
+        ]
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+    return Tariff.findOne(query);
+}
 
-        const data = await PowerPXDH11.find({
-            timestamp: { $gte: start, $lte: end }
-        }).sort({ timestamp: 1 }).select('timestamp power');
+// ================= Meter Registry =================
+const meterSchema = new mongoose.Schema({
+    meter_id: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    location: String,
+    phase_config: { type: String, enum: ['single', 'three'], default: 'three' },
+    tariff_code: { type: String, default: null }, // null = ใช้ TARIFF_PLAN
+    nominal_voltage_ln: Number, // ไม่ระบุ = PQ_NOMINAL_LN
+    nominal_voltage_ll: Number,
+    sample_interval_seconds: Number, // ไม่ระบุ = EXPECTED_SAMPLE_SECONDS หรือค่ากลางของวันนั้น
+    gap_policy: { type: String, enum: ['linear', 'zero', 'capped', 'profile'] }, // ไม่ระบุ = ENERGY_GAP_POLICY
+    active: { type: Boolean, default: true }
+}, { timestamps: true });
 
-        const hourly = Array.from({ length: 24 }, (_, i) => ({
-            hour: `${i.toString().padStart(2,'0')}:00`,
-            energy_kwh: 0,
-            electricity_bill: 0
-        }));
+const Meter = mongoose.model("meters", meterSchema);
+
+let metersCache = null;
 
-        for (let i = 1; i < data.length; i++) {
-            const prev = data[i-1];
-            const curr = data[i];
+async function loadMeters() {
+    if (!metersCache) {
+        metersCache = await Meter.find().sort({ meter_id: 1 }).lean();
+    }
+    return metersCache;
+}
 
-            const intervalHours = (curr.timestamp - prev.timestamp) / 1000 / 3600;
-            const avgPower = (curr.power + prev.power) / 2;
-            const energyKwh = avgPower * intervalHours;
+function invalidateMeterCache() {
+    metersCache = null;
+}
 
-            const hourKey = prev.timestamp.getUTCHours();
-            hourly[hourKey].energy_kwh += energyKwh;
+async function ensureDefaultMeter() {
+    try {
+        if (!await Meter.exists({ meter_id: DEFAULT_METER_ID })) {
+            await Meter.create({ meter_id: DEFAULT_METER_ID, name: 'Main distribution board' });
+            console.log(`🌱 Registered default meter ${DEFAULT_METER_ID}`);
         }
+        invalidateMeterCache();
+    } catch (err) {
+        console.error('❌ Failed to register default meter:', err.message);
+    }
+}
 
-        hourly.forEach(h => {
-            h.energy_kwh = Number(h.energy_kwh.toFixed(2));
-            h.electricity_bill = Number((h.energy_kwh * 4.4).toFixed(2));
-        });
+async function getMeter(meterId) {
+    const meters = await loadMeters();
+    return meters.find(m => m.meter_id === meterId) || null;
+}
 
-        res.json({
-            date,
-            hourly
-        });
+async function getActiveMeterIds() {
+    const meters = await loadMeters();
+    const ids = meters.filter(m => m.active).map(m => m.meter_id);
+    return ids.length ? ids : [DEFAULT_METER_ID];
+}
+
+// reading เก่าที่ยังไม่มี meter_id นับเป็นของมิเตอร์หลัก
+function meterFilter(meterIds) {
+    const ids = Array.isArray(meterIds) ? meterIds : [meterIds];
+    return { meter_id: { $in: ids.includes(DEFAULT_METER_ID) ? [...ids, null] : ids } };
+}
+
+async function resolveMeterTariff(meterId, dateStr) {
+    const meter = await getMeter(meterId);
+    return resolveTariff(dateStr, (meter && meter.tariff_code) || getTariffCode());
+}
+
+// ?meter=main, ?meter=main,board2 หรือ ?meter=all -> req.meterIds (ไม่ส่งมา = มิเตอร์หลัก)
+async function withMeters(req, res, next) {
+    try {
+        const raw = req.query.meter || req.query.meters;
+        const meters = await loadMeters();
+        const known = new Set([DEFAULT_METER_ID, ...meters.map(m => m.meter_id)]);
+
+        const ids = !raw ? [DEFAULT_METER_ID]
+            : raw === 'all' ? await getActiveMeterIds()
+            : [...new Set(String(raw).split(',').map(id => id.trim()).filter(Boolean))];
 
+        const unknown = ids.filter(id => !known.has(id));
+        if (unknown.length) {
+            return res.status(404).json({ error: `Unknown meter: ${unknown.join(', ')}` });
+        }
+
+        req.meterIds = ids;
+        next();
     } catch (err) {
-        console.error('❌ /hourly-summary error:', err);
-        res.status(500).json({ error: err.message });
+        console.error('❌ Meter selector error:', err);
+        res.status(500).json({ error: 'Failed to resolve meters', message: err.message });
+    }
+}
+
+// ================= Helper Functions =================
+function calculateBill(energyKwh, monthToDateKwh = 0, tariff = getActiveTariff(), options = {}) {
+    return priceEnergy(energyKwh, monthToDateKwh, tariff, options).electricity_bill;
+}
+
+function effectiveRate(energyKwh, bill) {
+    return energyKwh > 0 ? Number((bill / energyKwh).toFixed(4)) : 0;
+}
+
+// หน่วยสะสมของเดือนก่อนวันที่ระบุ (รวมจาก rollup รายวัน ให้ตรงกับยอดของ /daily-bill)
+async function getMonthToDateKwh(dateStr, meterId = DEFAULT_METER_ID) {
+    const monthStart = `${dateStr.slice(0, 7)}-01`;
+    if (dateStr <= monthStart) return 0;
+
+    const [result] = await DailyEnergyRollup.aggregate([
+        { $match: { meter_id: meterId, date: { $gte: monthStart, $lt: dateStr } } },
+        { $group: { _id: null, energy_kwh: { $sum: "$energy_kwh" } } }
+    ]);
+    return result ? result.energy_kwh : 0;
+}
+
+// ================= Energy Integration =================
+// ทุก route คิดพลังงานผ่านตรงนี้ (ส่วนใหญ่ผ่าน rollup) ช่วงห่างระหว่าง sample ไม่เกิน gap threshold = วัดจริง
+// ช่วงที่ห่างกว่านั้นจัดการตาม policy:
+//   linear  : ลากเส้นตรงข้ามช่วง (แบบเดิม) นับเป็นค่าประมาณ
+//   zero    : ถือว่าไม่มีการใช้ไฟในช่วงที่ขาด (ประมาณเป็น 0)
+//   capped  : ไม่อินทิเกรตช่วงที่ขาด และรายงานเป็นเวลาที่ไม่มีข้อมูล
+//   profile : เติมด้วยกำลังไฟเฉลี่ยของชั่วโมงเดียวกันในสัปดาห์ (hour-of-week) ย้อนหลัง
+// เปลี่ยน policy แล้วต้อง rebuild rollup ช่วงที่ต้องการให้คิดใหม่
+const ENERGY_GAP_POLICIES = ['linear', 'zero', 'capped', 'profile'];
+const PROFILE_HISTORY_DAYS = 28;
+const PROFILE_CACHE_MS = 60 * 60 * 1000;
+
+// ช่วงห่างระหว่าง sample ที่ยังนับว่าวัดได้จริง (วินาที)
+function getMaxGapSeconds() {
+    return Number(process.env.ROLLUP_MAX_GAP_SECONDS) || 300;
+}
+
+function getGapPolicy(meter) {
+    const policy = (meter && meter.gap_policy) || process.env.ENERGY_GAP_POLICY || 'linear';
+    return ENERGY_GAP_POLICIES.includes(policy) ? policy : 'linear';
+}
+
+const profileCache = new Map();
+
+// กำลังไฟเฉลี่ย (kW) ต่อ weekday-hour จากช่วงที่วัดได้จริงใน rollup ย้อนหลัง
+async function loadHourOfWeekProfile(meterId, beforeDate) {
+    const key = `${meterId}|${beforeDate}`;
+    const cached = profileCache.get(key);
+    if (cached && Date.now() - cached.loadedAt < PROFILE_CACHE_MS) return cached.profile;
+
+    const from = new Date(`${beforeDate}T00:00:00Z`);
+    from.setUTCDate(from.getUTCDate() - PROFILE_HISTORY_DAYS);
+    const rows = await HourlyEnergyRollup.find({
+        meter_id: meterId,
+        date: { $gte: from.toISOString().slice(0, 10), $lt: beforeDate },
+        covered_seconds: { $gte: 600 }
+    }).select('date hour energy_kwh estimated_kwh covered_seconds').lean();
+
+    const sums = {};
+    for (const r of rows) {
+        const slot = `${new Date(`${r.date}T00:00:00Z`).getUTCDay()}-${r.hour}`;
+        const kw = (r.energy_kwh - (r.estimated_kwh || 0)) / (r.covered_seconds / 3600);
+        sums[slot] = sums[slot] || { total: 0, count: 0 };
+        sums[slot].total += kw;
+        sums[slot].count++;
+    }
+    const profile = {};
+    for (const [slot, { total, count }] of Object.entries(sums)) profile[slot] = total / count;
+
+    profileCache.set(key, { profile, loadedAt: Date.now() });
+    return profile;
+}
+
+async function getIntegrationOptions(meterId, dateStr) {
+    const policy = getGapPolicy(await getMeter(meterId));
+    return {
+        policy,
+        gapSeconds: getMaxGapSeconds(),
+        profile: policy === 'profile' ? await loadHourOfWeekProfile(meterId, dateStr) : null
+    };
+}
+
+function createHourlyBuckets() {
+    return Array.from({ length: 24 }, () => ({
+        energy_kwh: 0, on_peak_kwh: 0, off_peak_kwh: 0,
+        estimated_kwh: 0, estimated_seconds: 0, unmeasured_seconds: 0
+    }));
+}
+
+function sumHourlyBuckets(hourly) {
+    return hourly.reduce((sum, h) => ({
+        energy_kwh: sum.energy_kwh + h.energy_kwh,
+        on_peak_kwh: sum.on_peak_kwh + h.on_peak_kwh,
+        off_peak_kwh: sum.off_peak_kwh + h.off_peak_kwh,
+        estimated_kwh: sum.estimated_kwh + (h.estimated_kwh || 0),
+        estimated_seconds: sum.estimated_seconds + (h.estimated_seconds || 0),
+        unmeasured_seconds: sum.unmeasured_seconds + (h.unmeasured_seconds || 0)
+    }), { energy_kwh: 0, on_peak_kwh: 0, off_peak_kwh: 0, estimated_kwh: 0, estimated_seconds: 0, unmeasured_seconds: 0 });
+}
+
+// ใส่พลังงานช่วง start..end ลง bucket รายชั่วโมง ตัดที่ต้นชั่วโมง (และขอบ on-peak ถ้าเป็น TOU)
+// kind: 'measured' | 'estimated' | 'unmeasured' (ไม่มีพลังงาน นับแค่เวลา)
+function addEnergySegment(hourly, from, to, powerAt, tariff, kind = 'measured') {
+    let start = new Date(from);
+    const end = new Date(to);
+
+    while (start < end) {
+        const boundary = nextEnergyBoundary(start, tariff);
+        const intervalEnd = boundary < end ? boundary : end;
+        const seconds = (intervalEnd - start) / 1000;
+        const bucket = hourly[start.getUTCHours()];
+
+        if (kind === 'unmeasured') {
+            bucket.unmeasured_seconds += seconds;
+        } else {
+            const energy = powerAt(start) * seconds / 3600;
+            bucket.energy_kwh += energy;
+            if (tariff.type === 'tou') bucket[`${getTouPeriod(start, tariff)}_kwh`] += energy;
+            if (kind === 'estimated') {
+                bucket.estimated_kwh += energy;
+                bucket.estimated_seconds += seconds;
+            }
+        }
+        start = intervalEnd;
+    }
+}
+
+function profilePowerAt(profile, fallback) {
+    return ts => {
+        const { weekday, minuteOfDay } = getLocalClock(ts);
+        const kw = profile && profile[`${weekday}-${Math.floor(minuteOfDay / 60)}`];
+        return kw === undefined ? fallback : kw;
+    };
+}
+
+// data เรียงตามเวลาในวันเดียวกัน คืน bucket 24 ชั่วโมง
+function integrateHourly(data, tariff = getActiveTariff(), { policy = 'linear', gapSeconds = getMaxGapSeconds(), profile = null } = {}) {
+    const hourly = createHourlyBuckets();
+    const gapMs = gapSeconds * 1000;
+
+    for (let i = 1; i < data.length; i++) {
+        const prev = data[i-1];
+        const curr = data[i];
+        const average = (prev.power + curr.power) / 2;
+        const span = new Date(curr.timestamp) - new Date(prev.timestamp);
+
+        if (span <= gapMs) {
+            addEnergySegment(hourly, prev.timestamp, curr.timestamp, () => average, tariff);
+            continue;
+        }
+
+        switch (policy) {
+            case 'zero':
+                addEnergySegment(hourly, prev.timestamp, curr.timestamp, () => 0, tariff, 'estimated');
+                break;
+            case 'capped':
+                addEnergySegment(hourly, prev.timestamp, curr.timestamp, null, tariff, 'unmeasured');
+                break;
+            case 'profile':
+                addEnergySegment(hourly, prev.timestamp, curr.timestamp, profilePowerAt(profile, average), tariff, 'estimated');
+                break;
+            default:
+                addEnergySegment(hourly, prev.timestamp, curr.timestamp, () => average, tariff, 'estimated');
+        }
     }
+    return hourly;
+}
+
+// สรุปสำหรับแนบใน response: วัดจริงเท่าไร ประมาณเท่าไร
+// rows = rollup รายวัน (หรือรายชั่วโมง) ที่รวมกันเป็นยอดนั้น
+function integrationSummary(rows) {
+    const sum = field => rows.reduce((total, r) => total + (r[field] || 0), 0);
+    const energy = sum('energy_kwh');
+    const estimated = sum('estimated_kwh');
+    // rollup ที่สร้างก่อนมี policy จะไม่มี gap_policy
+    const policies = [...new Set(rows.map(r => r.gap_policy).filter(Boolean))];
+
+    return {
+        gap_policy: policies.length > 1 ? 'mixed' : (policies[0] || null),
+        measured_kwh: Number((energy - estimated).toFixed(2)),
+        estimated_kwh: Number(estimated.toFixed(2)),
+        estimated_pct: energy > 0 ? Number((estimated / energy * 100).toFixed(1)) : 0,
+        estimated_hours: Number((sum('estimated_seconds') / 3600).toFixed(2)),
+        unmeasured_hours: Number((sum('unmeasured_seconds') / 3600).toFixed(2))
+    };
+}
+
+// รวม integrationSummary ของหลายมิเตอร์
+function combineIntegration(summaries) {
+    const sum = field => summaries.reduce((total, s) => total + s[field], 0);
+    const measured = sum('measured_kwh');
+    const estimated = sum('estimated_kwh');
+    const policies = [...new Set(summaries.map(s => s.gap_policy).filter(Boolean))];
+
+    return {
+        gap_policy: policies.length > 1 ? 'mixed' : (policies[0] || null),
+        measured_kwh: Number(measured.toFixed(2)),
+        estimated_kwh: Number(estimated.toFixed(2)),
+        estimated_pct: measured + estimated > 0 ? Number((estimated / (measured + estimated) * 100).toFixed(1)) : 0,
+        estimated_hours: Number(sum('estimated_hours').toFixed(2)),
+        unmeasured_hours: Number(sum('unmeasured_hours').toFixed(2))
+    };
+}
+
+// ================= Energy Rollups =================
+// สรุปรายชั่วโมง/รายวันเก็บไว้ล่วงหน้า route ต่างๆ จะได้ไม่ต้องไล่ raw ทั้งวันทุกครั้ง
+// on/off-peak คิดตาม tariff ของวันนั้นตอนสร้าง ถ้าแก้ tariff ย้อนหลังให้เรียก /api/rollups/rebuild
+const hourlyEnergyRollupSchema = new mongoose.Schema({
+    meter_id: { type: String, required: true },
+    date: { type: String, required: true }, // YYYY-MM-DD
+    hour: { type: Number, required: true, min: 0, max: 23 },
+    energy_kwh: { type: Number, default: 0 },
+    on_peak_kwh: { type: Number, default: 0 },
+    off_peak_kwh: { type: Number, default: 0 },
+    phase_a_kwh: Number,
+    phase_b_kwh: Number,
+    phase_c_kwh: Number,
+    estimated_kwh: { type: Number, default: 0 },
+    estimated_seconds: { type: Number, default: 0 },
+    unmeasured_seconds: { type: Number, default: 0 },
+    samples: { type: Number, default: 0 },
+    power_sum: { type: Number, default: 0 },
+    min_power_kw: Number,
+    avg_power_kw: Number,
+    max_power_kw: Number,
+    covered_seconds: { type: Number, default: 0 },
+    coverage: { type: Number, default: 0 }, // 0-1 ของชั่วโมง
+    first_timestamp: Date,
+    last_timestamp: Date,
+    gap_policy: String,
+    updated_at: { type: Date, default: Date.now }
+});
+hourlyEnergyRollupSchema.index({ meter_id: 1, date: 1, hour: 1 }, { unique: true });
+
+const HourlyEnergyRollup = mongoose.model("hourly_energy_rollups", hourlyEnergyRollupSchema);
+
+const dailyEnergyRollupSchema = new mongoose.Schema({
+    meter_id: { type: String, required: true },
+    date: { type: String, required: true },
+    energy_kwh: { type: Number, default: 0 },
+    on_peak_kwh: { type: Number, default: 0 },
+    off_peak_kwh: { type: Number, default: 0 },
+    phase_a_kwh: Number,
+    phase_b_kwh: Number,
+    phase_c_kwh: Number,
+    estimated_kwh: { type: Number, default: 0 },
+    estimated_seconds: { type: Number, default: 0 },
+    unmeasured_seconds: { type: Number, default: 0 },
+    samples: { type: Number, default: 0 },
+    min_power_kw: Number,
+    avg_power_kw: Number,
+    max_power_kw: Number,
+    covered_seconds: { type: Number, default: 0 },
+    coverage: { type: Number, default: 0 }, // 0-1 ของวัน
+    hours: { type: Number, default: 0 },
+    first_timestamp: Date,
+    last_timestamp: Date,
+    tariff_id: String,
+    gap_policy: String,
+    updated_at: { type: Date, default: Date.now }
 });
+dailyEnergyRollupSchema.index({ meter_id: 1, date: 1 }, { unique: true });
+dailyEnergyRollupSchema.index({ meter_id: 1, last_timestamp: -1 });
 
-// ================= Session =================
-const session = require('express-session');
-const MongoStore = require('connect-mongo');
+const DailyEnergyRollup = mongoose.model("daily_energy_rollups", dailyEnergyRollupSchema);
 
-app.use(session({
-    secret: process.env.SESSION_SECRET || 'keyboard_cat',
-    resave: false,
-    saveUninitialized: false,
-    store: MongoStore.create({ mongoUrl: process.env.MONGODB_URI }),
-    cookie: { maxAge: 24*60*60*1000 }
-}));
+const HOUR_MS = 3600 * 1000;
+
+// data เรียงตามเวลาและอยู่ในวันเดียวกัน คืนสรุป 24 ชั่วโมง
+function summarizeHours(data, tariff, options = {}) {
+    const hourly = integrateHourly(data, tariff, options);
+    const phaseHourly = integratePhaseHourly(data, options);
+    const maxGapMs = (options.gapSeconds || getMaxGapSeconds()) * 1000;
+    const stats = hourly.map(() => ({
+        samples: 0, power_sum: 0, min_power_kw: null, max_power_kw: null,
+        covered_seconds: 0, first_timestamp: null, last_timestamp: null
+    }));
+
+    data.forEach((d, i) => {
+        const ts = new Date(d.timestamp);
+        const s = stats[ts.getUTCHours()];
+        const p = d.power || 0;
+        s.samples++;
+        s.power_sum += p;
+        if (s.min_power_kw === null || p < s.min_power_kw) s.min_power_kw = p;
+        if (s.max_power_kw === null || p > s.max_power_kw) s.max_power_kw = p;
+        if (!s.first_timestamp) s.first_timestamp = ts;
+        s.last_timestamp = ts;
+
+        if (i === 0) return;
+        let t = new Date(data[i-1].timestamp).getTime();
+        const end = ts.getTime();
+        if (end - t > maxGapMs) return;
+        while (t < end) {
+            const segEnd = Math.min((Math.floor(t / HOUR_MS) + 1) * HOUR_MS, end);
+            stats[new Date(t).getUTCHours()].covered_seconds += (segEnd - t) / 1000;
+            t = segEnd;
+        }
+    });
+
+    return hourly.map((energy, h) => ({
+        ...energy,
+        phase_a_kwh: phaseHourly.a[h],
+        phase_b_kwh: phaseHourly.b[h],
+        phase_c_kwh: phaseHourly.c[h],
+        ...stats[h]
+    }));
+}
+
+// คำนวณชั่วโมง fromHour..toHour ของวันนั้นใหม่จาก raw แล้วอัปเดตยอดรายวัน
+async function rebuildRollupHours(meterId, dateStr, fromHour = 0, toHour = 23) {
+    // ระหว่างย้าย timestamp ห้ามเขียน rollup (job จะตามเก็บหลังย้ายเสร็จ)
+    if (timestampMigrationRunning) return;
+
+    const { start, end } = getDayRange(dateStr);
+    const hourStart = new Date(start.getTime() + fromHour * HOUR_MS);
+    const hourEnd = new Date(start.getTime() + (toHour + 1) * HOUR_MS);
+    const filter = meterFilter(meterId);
+
+    // sample ก่อน/หลังช่วง ใช้จับคู่พลังงานที่คร่อมขอบชั่วโมง
+    const [prev, rows, next] = await Promise.all([
+        PowerPXDH11.findOne({ ...filter, timestamp: { $gte: start, $lt: hourStart } })
+                   .sort({ timestamp: -1 }).select(`power ${PHASE_SELECT}`).lean(),
+        PowerPXDH11.find({ ...filter, timestamp: { $gte: hourStart, $lt: hourEnd, $lte: end } })
+                   .sort({ timestamp: 1 }).select(`power ${PHASE_SELECT}`).lean(),
+        PowerPXDH11.findOne({ ...filter, timestamp: { $gte: hourEnd, $lte: end } })
+                   .sort({ timestamp: 1 }).select(`power ${PHASE_SELECT}`).lean()
+    ]);
+
+    const tariff = await resolveMeterTariff(meterId, dateStr);
+    const options = await getIntegrationOptions(meterId, dateStr);
+    const hours = summarizeHours(withZonedClock([prev, ...rows, next].filter(Boolean)), tariff, options);
+
+    const ops = [];
+    for (let h = fromHour; h <= toHour; h++) {
+        const key = { meter_id: meterId, date: dateStr, hour: h };
+        const { power_sum, samples, covered_seconds, energy_kwh, estimated_seconds, unmeasured_seconds } = hours[h];
+
+        if (!samples && !energy_kwh && !covered_seconds && !estimated_seconds && !unmeasured_seconds) {
+            ops.push({ deleteOne: { filter: key } });
+            continue;
+        }
+        ops.push({
+            replaceOne: {
+                filter: key,
+                replacement: {
+                    ...key,
+                    ...hours[h],
+                    avg_power_kw: samples ? power_sum / samples : null,
+                    coverage: Math.min(covered_seconds / 3600, 1),
+                    first_timestamp: hours[h].first_timestamp && siteClockToStorage(hours[h].first_timestamp),
+                    last_timestamp: hours[h].last_timestamp && siteClockToStorage(hours[h].last_timestamp),
+                    gap_policy: options.policy,
+                    updated_at: new Date()
+                },
+                upsert: true
+            }
+        });
+    }
+    await HourlyEnergyRollup.bulkWrite(ops, { ordered: false });
+    await refreshDailyRollup(meterId, dateStr, tariff, options.policy);
+}
+
+// รวม rollup รายชั่วโมงเป็นยอดรายวัน (ใช้ทั้งตอนสร้าง daily rollup และวันตาม tz อื่น)
+function combineRollupHours(hours) {
+    const sum = field => hours.reduce((total, h) => total + (h[field] || 0), 0);
+    const withSamples = hours.filter(h => h.samples > 0);
+    const samples = sum('samples');
+    const coveredSeconds = sum('covered_seconds');
+
+    return {
+        energy_kwh: sum('energy_kwh'),
+        on_peak_kwh: sum('on_peak_kwh'),
+        off_peak_kwh: sum('off_peak_kwh'),
+        // rollup ชั่วโมงเก่าที่ยังไม่มีข้อมูลเฟสจะไม่ใส่ยอดเฟส
+        ...(hours.every(h => h.phase_a_kwh !== undefined) && {
+            phase_a_kwh: sum('phase_a_kwh'),
+            phase_b_kwh: sum('phase_b_kwh'),
+            phase_c_kwh: sum('phase_c_kwh')
+        }),
+        estimated_kwh: sum('estimated_kwh'),
+        estimated_seconds: sum('estimated_seconds'),
+        unmeasured_seconds: sum('unmeasured_seconds'),
+        samples,
+        min_power_kw: withSamples.length ? Math.min(...withSamples.map(h => h.min_power_kw)) : null,
+        avg_power_kw: samples ? sum('power_sum') / samples : null,
+        max_power_kw: withSamples.length ? Math.max(...withSamples.map(h => h.max_power_kw)) : null,
+        covered_seconds: coveredSeconds,
+        coverage: Math.min(coveredSeconds / 86400, 1),
+        hours: withSamples.length,
+        first_timestamp: withSamples.length ? withSamples[0].first_timestamp : null,
+        last_timestamp: withSamples.length ? withSamples[withSamples.length - 1].last_timestamp : null
+    };
+}
+
+async function refreshDailyRollup(meterId, dateStr, tariff, gapPolicy) {
+    const hours = await HourlyEnergyRollup.find({ meter_id: meterId, date: dateStr }).sort({ hour: 1 }).lean();
+    const key = { meter_id: meterId, date: dateStr };
+
+    if (!hours.length) {
+        await DailyEnergyRollup.deleteOne(key);
+        return null;
+    }
+
+    const daily = {
+        ...key,
+        ...combineRollupHours(hours),
+        tariff_id: tariff.id,
+        gap_policy: gapPolicy,
+        updated_at: new Date()
+    };
+
+    await DailyEnergyRollup.replaceOne(key, daily, { upsert: true });
+    return daily;
+}
+
+// มี reading ใหม่ในช่วง fromTs..toTs (วันเดียวกัน) -> คำนวณเฉพาะชั่วโมงที่ได้รับผล
+// รวมชั่วโมงของ sample ก่อนหน้า/ถัดไปด้วย เพราะคู่ที่คร่อมอยู่เปลี่ยนไป
+async function refreshRollups(meterId, dateStr, fromTs, toTs) {
+    const { start, end } = getDayRange(dateStr);
+    const filter = meterFilter(meterId);
+
+    const [prev, next] = await Promise.all([
+        PowerPXDH11.findOne({ ...filter, timestamp: { $gte: start, $lt: fromTs } })
+                   .sort({ timestamp: -1 }).select('timestamp').lean(),
+        PowerPXDH11.findOne({ ...filter, timestamp: { $gt: toTs, $lte: end } })
+                   .sort({ timestamp: 1 }).select('timestamp').lean()
+    ]);
+
+    const fromHour = siteHourOf(prev ? prev.timestamp : fromTs);
+    const toHour = siteHourOf(next ? next.timestamp : toTs);
+    await rebuildRollupHours(meterId, dateStr, fromHour, toHour);
+}
+
+// docs = reading ที่เพิ่งบันทึก (timestamp แบบที่เก็บใน DB)
+async function refreshRollupsForReadings(docs) {
+    const groups = new Map();
+    for (const doc of docs) {
+        const key = `${doc.meter_id}|${siteDateOf(doc.timestamp)}`;
+        const g = groups.get(key);
+        if (!g) {
+            groups.set(key, { meterId: doc.meter_id, from: doc.timestamp, to: doc.timestamp });
+        } else {
+            if (doc.timestamp < g.from) g.from = doc.timestamp;
+            if (doc.timestamp > g.to) g.to = doc.timestamp;
+        }
+    }
+
+    for (const { meterId, from, to } of groups.values()) {
+        await refreshRollups(meterId, siteDateOf(from), from, to);
+    }
+}
+
+// ตำแหน่งล่าสุดที่สรุปแล้วของแต่ละมิเตอร์ (เก็บในหน่วยความจำ เริ่มจาก rollup ล่าสุดใน DB)
+const rollupWatermarks = {};
+
+async function catchUpRollups(meterId) {
+    let since = rollupWatermarks[meterId];
+    if (!since) {
+        const latest = await DailyEnergyRollup.findOne({ meter_id: meterId, last_timestamp: { $ne: null } })
+                                              .sort({ last_timestamp: -1 }).select('last_timestamp').lean();
+        since = latest ? latest.last_timestamp : null;
+    }
+
+    // ไล่ทีละวัน มิเตอร์ที่ยังไม่เคยสรุปจะ backfill ทั้งประวัติ
+    for (;;) {
+        const first = await PowerPXDH11.findOne({ ...meterFilter(meterId), ...(since && { timestamp: { $gt: since } }) })
+                                       .sort({ timestamp: 1 }).select('timestamp').lean();
+        if (!first) break;
+
+        const dateStr = siteDateOf(first.timestamp);
+        const { end } = getDayRange(dateStr);
+        const last = await PowerPXDH11.findOne({ ...meterFilter(meterId), timestamp: { $gte: first.timestamp, $lte: end } })
+                                      .sort({ timestamp: -1 }).select('timestamp').lean();
+        const to = last ? last.timestamp : first.timestamp;
+
+        await refreshRollups(meterId, dateStr, first.timestamp, to);
+        since = to;
+        rollupWatermarks[meterId] = since;
+    }
+}
+
+// ถ้ายังไม่มี rollup ของวันนั้น (เช่น job ยังตามไม่ทัน) ให้สร้างทันที
+async function getDailyRollup(meterId, dateStr) {
+    const rollup = await DailyEnergyRollup.findOne({ meter_id: meterId, date: dateStr }).lean();
+    if (rollup) return rollup;
+
+    await rebuildRollupHours(meterId, dateStr);
+    return DailyEnergyRollup.findOne({ meter_id: meterId, date: dateStr }).lean();
+}
+
+async function getHourlyRollups(meterId, dateStr) {
+    const daily = await getDailyRollup(meterId, dateStr);
+    if (!daily) return [];
+    return HourlyEnergyRollup.find({ meter_id: meterId, date: dateStr }).sort({ hour: 1 }).lean();
+}
+
+// วันตาม tz อื่น = ชั่วโมงของไซต์ที่ตกอยู่ในวันนั้น (ใช้ rollup รายชั่วโมงของไซต์ 1-2 วัน)
+// on/off-peak ยังคิดตามเวลาไซต์เพราะช่วง TOU ผูกกับเวลาท้องถิ่นของมิเตอร์
+async function getZonedHourlyRollups(meterId, dateStr, tz) {
+    const dayStart = fromZonedClock(`${dateStr}T00:00:00Z`, tz);
+    const dayEnd = fromZonedClock(`${addDays(dateStr, 1)}T00:00:00Z`, tz);
+    const siteStart = toZonedClock(dayStart);
+    const siteDates = [...new Set([siteStart, toZonedClock(dayEnd.getTime() - 1)].map(d => d.toISOString().slice(0, 10)))];
+
+    const rows = [];
+    for (const siteDate of siteDates) rows.push(...await getHourlyRollups(meterId, siteDate));
+    const byHour = new Map(rows.map(r => [`${r.date}|${r.hour}`, r]));
+
+    const result = [];
+    for (let i = 0; i < Math.round((dayEnd - dayStart) / HOUR_MS); i++) {
+        const clock = new Date(siteStart.getTime() + i * HOUR_MS);
+        const row = byHour.get(`${clock.toISOString().slice(0, 10)}|${clock.getUTCHours()}`);
+        if (row) result.push({ ...row, date: dateStr, hour: i });
+    }
+    return result;
+}
+
+async function getDayRollup(meterId, dateStr, tz = SITE_TIME_ZONE) {
+    if (tz === SITE_TIME_ZONE) return getDailyRollup(meterId, dateStr);
+    const hours = await getZonedHourlyRollups(meterId, dateStr, tz);
+    return hours.length ? { meter_id: meterId, date: dateStr, ...combineRollupHours(hours), gap_policy: hours[0].gap_policy } : null;
+}
+
+async function getDayHourlyRollups(meterId, dateStr, tz = SITE_TIME_ZONE) {
+    return tz === SITE_TIME_ZONE ? getHourlyRollups(meterId, dateStr) : getZonedHourlyRollups(meterId, dateStr, tz);
+}
+
+function rollupSplit(rollup) {
+    return {
+        energy_kwh: rollup ? rollup.energy_kwh : 0,
+        on_peak_kwh: rollup ? rollup.on_peak_kwh : 0,
+        off_peak_kwh: rollup ? rollup.off_peak_kwh : 0
+    };
+}
+
+// ================= Routes =================
+
+// Health check
+app.get('/', requireRole('public'), (req, res) => {
+    res.json({
+        status: 'OK',
+        service: 'px_dh Daily Bill API',
+        version: '1.1.0',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ================= Daily Bill =================
+async function computeDailyBill(meterId, selectedDate, tz = SITE_TIME_ZONE) {
+    const rollup = await getDayRollup(meterId, selectedDate, tz);
+    if (!rollup || !rollup.samples) return null;
+
+    const tariff = await resolveMeterTariff(meterId, selectedDate);
+    const monthToDateKwh = await getMonthToDateKwh(selectedDate, meterId);
+    const pricing = priceEnergy(rollupSplit(rollup), monthToDateKwh, tariff, { date: selectedDate });
+
+    return {
+        meter_id: meterId,
+        date: selectedDate,
+        samples: rollup.samples,
+        total_energy_kwh: Number(rollup.energy_kwh.toFixed(2)),
+        avg_power_kw: Number(rollup.avg_power_kw.toFixed(2)),
+        max_power_kw: Number(rollup.max_power_kw.toFixed(2)),
+        min_power_kw: Number(rollup.min_power_kw.toFixed(2)),
+        electricity_bill: pricing.electricity_bill,
+        rate_per_kwh: effectiveRate(rollup.energy_kwh, pricing.electricity_bill),
+        tariff: pricing.tariff,
+        tier_breakdown: pricing.tier_breakdown,
+        breakdown: pricing.breakdown,
+        month_to_date_kwh: pricing.month_to_date_kwh,
+        tou: pricing.tou,
+        // coverage ต่ำ = มีช่วงข้อมูลขาด ยอดอาจต่ำกว่าจริง
+        coverage: coverageIndicator(rollup.covered_seconds || 0, selectedDate, tz),
+        integration: integrationSummary([rollup])
+    };
+}
+
+// รวมหลายมิเตอร์: แต่ละมิเตอร์คิดขั้นบันไดของตัวเองแล้วค่อยรวมยอด
+function combineDailyBills(date, bills) {
+    const totalEnergyKwh = bills.reduce((sum, b) => sum + b.total_energy_kwh, 0);
+    const electricityBill = bills.reduce((sum, b) => sum + b.electricity_bill, 0);
+
+    return {
+        date,
+        meter_ids: bills.map(b => b.meter_id),
+        samples: bills.reduce((sum, b) => sum + b.samples, 0),
+        total_energy_kwh: Number(totalEnergyKwh.toFixed(2)),
+        electricity_bill: Number(electricityBill.toFixed(2)),
+        rate_per_kwh: effectiveRate(totalEnergyKwh, electricityBill),
+        breakdown: sumBreakdowns(bills.map(b => b.breakdown)),
+        tou: sumTou(bills.map(b => b.tou)),
+        // ใช้มิเตอร์ที่ข้อมูลครบน้อยที่สุด
+        coverage: bills.map(b => b.coverage).reduce((worst, c) => (c.coverage_pct < worst.coverage_pct ? c : worst)),
+        integration: combineIntegration(bills.map(b => b.integration)),
+        meters: bills
+    };
+}
+
+async function dailyBillHandler(req, res) {
+    try {
+        const today = todayIn(req.tz);
+        const selectedDate = req.params.date || req.query.date || today;
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(selectedDate)) {
+            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD', example: '2025-09-30' });
+        }
+
+        const bills = [];
+        for (const meterId of req.meterIds) {
+            const bill = await computeDailyBill(meterId, selectedDate, req.tz);
+            if (bill) bills.push(bill);
+        }
+
+        if (!bills.length) {
+            return res.status(404).json({
+                error: `No data found for ${selectedDate}`,
+                date: selectedDate,
+                meter_ids: req.meterIds,
+                total_energy_kwh: 0,
+                electricity_bill: 0
+            });
+        }
+
+        res.json(req.meterIds.length === 1 ? bills[0] : combineDailyBills(selectedDate, bills));
+    } catch (err) {
+        console.error('❌ /daily-bill error:', err);
+        res.status(500).json({ error: 'Failed to process data', message: err.message });
+    }
+}
+
+app.get('/daily-bill', requireRole('viewer'), withMeters, dailyBillHandler);
+app.get('/daily-bill/:date', requireRole('viewer'), withMeters, dailyBillHandler);
+
+// ================= Monthly Bill =================
+// คิดจาก rollup รายวันแบบเดียวกับ /daily-bill (ขั้นบันไดต่อยอดสะสมในเดือน, Ft ตามวัน, ค่าบริการรายวัน)
+// แล้วรวมทั้งเดือน เดือนปัจจุบันจะเป็นยอดถึงวันล่าสุดที่มีข้อมูล
+async function computeMonthlyBill(meterId, yearMonth) {
+    const { start, end } = getMonthRange(yearMonth);
+    const dates = [];
+    for (let d = new Date(start); d < end; d.setUTCDate(d.getUTCDate() + 1)) {
+        dates.push(d.toISOString().slice(0, 10));
+    }
+
+    const rollups = await DailyEnergyRollup.find({
+        meter_id: meterId,
+        date: { $gte: dates[0], $lte: dates[dates.length - 1] },
+        samples: { $gt: 0 }
+    }).lean();
+    const byDate = new Map(rollups.map(r => [r.date, r]));
+
+    const daily = [];
+    const pricings = [];
+    let monthToDateKwh = 0;
+    let tariff = null;
+
+    for (const date of dates) {
+        const rollup = byDate.get(date);
+        if (!rollup) {
+            daily.push({ date, energy_kwh: 0, electricity_bill: 0, samples: 0 });
+            continue;
+        }
+
+        tariff = await resolveMeterTariff(meterId, date);
+        const pricing = priceEnergy(rollupSplit(rollup), monthToDateKwh, tariff, { date });
+        monthToDateKwh += rollup.energy_kwh;
+        pricings.push(pricing);
+
+        daily.push({
+            date,
+            energy_kwh: Number(rollup.energy_kwh.toFixed(2)),
+            estimated_kwh: Number((rollup.estimated_kwh || 0).toFixed(2)),
+            electricity_bill: pricing.electricity_bill,
+            samples: rollup.samples,
+            max_power_kw: Number(rollup.max_power_kw.toFixed(2)),
+            month_to_date_kwh: Number(monthToDateKwh.toFixed(2))
+        });
+    }
+
+    if (!pricings.length) return null;
+
+    const electricityBill = Number(pricings.reduce((sum, p) => sum + p.electricity_bill, 0).toFixed(2));
+
+    return {
+        meter_id: meterId,
+        ...summarizeMonth(yearMonth, daily),
+        electricity_bill: electricityBill,
+        rate_per_kwh: effectiveRate(monthToDateKwh, electricityBill),
+        tariff: describeTariff(tariff),
+        tier_breakdown: sumTierBreakdowns(pricings.map(p => p.tier_breakdown)),
+        breakdown: sumBreakdowns(pricings.map(p => p.breakdown)),
+        tou: sumTou(pricings.map(p => p.tou)),
+        integration: integrationSummary(rollups),
+        daily
+    };
+}
+
+// ยอดรวม / วันสูงสุด / เฉลี่ยต่อวัน จาก series รายวัน (ใช้ทั้งมิเตอร์เดียวและหลายมิเตอร์)
+function summarizeMonth(yearMonth, daily) {
+    const withData = daily.filter(d => d.samples > 0);
+    const totalEnergyKwh = withData.reduce((sum, d) => sum + d.energy_kwh, 0);
+    const peakDay = withData.reduce((peak, d) => (!peak || d.energy_kwh > peak.energy_kwh ? d : peak), null);
+
+    return {
+        month: yearMonth,
+        days_in_month: daily.length,
+        days_with_data: withData.length,
+        through: withData.length ? withData[withData.length - 1].date : null,
+        total_energy_kwh: Number(totalEnergyKwh.toFixed(2)),
+        avg_daily_kwh: withData.length ? Number((totalEnergyKwh / withData.length).toFixed(2)) : 0,
+        peak_day: peakDay && { date: peakDay.date, energy_kwh: peakDay.energy_kwh, electricity_bill: peakDay.electricity_bill }
+    };
+}
+
+function combineMonthlyBills(yearMonth, bills) {
+    const daily = bills[0].daily.map((d, i) => ({
+        date: d.date,
+        energy_kwh: Number(bills.reduce((sum, b) => sum + b.daily[i].energy_kwh, 0).toFixed(2)),
+        estimated_kwh: Number(bills.reduce((sum, b) => sum + (b.daily[i].estimated_kwh || 0), 0).toFixed(2)),
+        electricity_bill: Number(bills.reduce((sum, b) => sum + b.daily[i].electricity_bill, 0).toFixed(2)),
+        samples: bills.reduce((sum, b) => sum + b.daily[i].samples, 0)
+    }));
+    const summary = summarizeMonth(yearMonth, daily);
+    const electricityBill = Number(bills.reduce((sum, b) => sum + b.electricity_bill, 0).toFixed(2));
+
+    return {
+        meter_ids: bills.map(b => b.meter_id),
+        ...summary,
+        electricity_bill: electricityBill,
+        rate_per_kwh: effectiveRate(summary.total_energy_kwh, electricityBill),
+        breakdown: sumBreakdowns(bills.map(b => b.breakdown)),
+        tou: sumTou(bills.map(b => b.tou)),
+        integration: combineIntegration(bills.map(b => b.integration)),
+        meters: bills.map(b => ({
+            meter_id: b.meter_id,
+            total_energy_kwh: b.total_energy_kwh,
+            electricity_bill: b.electricity_bill,
+            tariff: b.tariff
+        })),
+        daily
+    };
+}
+
+async function getMonthlyBill(meterIds, yearMonth) {
+    const bills = [];
+    for (const meterId of meterIds) {
+        const bill = await computeMonthlyBill(meterId, yearMonth);
+        if (bill) bills.push(bill);
+    }
+    if (!bills.length) return null;
+    return meterIds.length === 1 ? bills[0] : combineMonthlyBills(yearMonth, bills);
+}
+
+async function monthlyBillHandler(req, res) {
+    try {
+        const thisMonth = todayIn().slice(0, 7);
+        const yearMonth = req.params.month || req.query.month || thisMonth;
+
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(yearMonth)) {
+            return res.status(400).json({ error: 'Invalid month format. Use YYYY-MM', example: '2025-09' });
+        }
+
+        const bill = await getMonthlyBill(req.meterIds, yearMonth);
+        if (!bill) {
+            return res.status(404).json({
+                error: `No data found for ${yearMonth}`,
+                month: yearMonth,
+                meter_ids: req.meterIds,
+                total_energy_kwh: 0,
+                electricity_bill: 0
+            });
+        }
+
+        res.json(bill);
+    } catch (err) {
+        console.error('❌ /monthly-bill error:', err);
+        res.status(500).json({ error: 'Failed to get monthly bill', message: err.message });
+    }
+}
+
+app.get('/monthly-bill', requireRole('viewer'), requireSiteTimeZone, withMeters, monthlyBillHandler);
+app.get('/monthly-bill/:month', requireRole('viewer'), requireSiteTimeZone, withMeters, monthlyBillHandler);
+
+// ================= Yearly Bill =================
+app.get('/yearly-bill/:year', requireRole('viewer'), requireSiteTimeZone, withMeters, async (req, res) => {
+    try {
+        const { year } = req.params;
+        if (!/^\d{4}$/.test(year)) {
+            return res.status(400).json({ error: 'Invalid year format. Use YYYY', example: '2025' });
+        }
+
+        const months = [];
+        for (let m = 1; m <= 12; m++) {
+            const yearMonth = `${year}-${String(m).padStart(2, '0')}`;
+            const bill = await getMonthlyBill(req.meterIds, yearMonth);
+            months.push(bill
+                ? {
+                    month: yearMonth,
+                    total_energy_kwh: bill.total_energy_kwh,
+                    electricity_bill: bill.electricity_bill,
+                    days_with_data: bill.days_with_data,
+                    avg_daily_kwh: bill.avg_daily_kwh,
+                    peak_day: bill.peak_day,
+                    breakdown: bill.breakdown,
+                    tou: bill.tou
+                }
+                : { month: yearMonth, total_energy_kwh: 0, electricity_bill: 0, days_with_data: 0, avg_daily_kwh: 0, peak_day: null });
+        }
+
+        const withData = months.filter(m => m.days_with_data > 0);
+        if (!withData.length) {
+            return res.status(404).json({ error: `No data found for ${year}`, year, meter_ids: req.meterIds });
+        }
+
+        const totalEnergyKwh = Number(withData.reduce((sum, m) => sum + m.total_energy_kwh, 0).toFixed(2));
+        const electricityBill = Number(withData.reduce((sum, m) => sum + m.electricity_bill, 0).toFixed(2));
+        const peakMonth = withData.reduce((peak, m) => (m.total_energy_kwh > peak.total_energy_kwh ? m : peak));
+
+        res.json({
+            year,
+            meter_ids: req.meterIds,
+            total_energy_kwh: totalEnergyKwh,
+            electricity_bill: electricityBill,
+            rate_per_kwh: effectiveRate(totalEnergyKwh, electricityBill),
+            months_with_data: withData.length,
+            avg_monthly_kwh: Number((totalEnergyKwh / withData.length).toFixed(2)),
+            peak_month: { month: peakMonth.month, total_energy_kwh: peakMonth.total_energy_kwh, electricity_bill: peakMonth.electricity_bill },
+            breakdown: sumBreakdowns(withData.map(m => m.breakdown)),
+            tou: sumTou(withData.map(m => m.tou)),
+            months
+        });
+    } catch (err) {
+        console.error('❌ /yearly-bill error:', err);
+        res.status(500).json({ error: 'Failed to get yearly bill', message: err.message });
+    }
+});
+
+// ================= Month Forecast =================
+// คาดการณ์ยอดทั้งเดือน = ยอดจริงของวันที่จบแล้ว + วันที่เหลือประมาณจากค่าเฉลี่ยย้อนหลัง
+// แยกวันทำงาน/วันหยุด (เสาร์-อาทิตย์ + วันหยุดใน TOU calendar) ช่วงความเชื่อมั่นจากส่วนเบี่ยงเบนรายวัน
+const FORECAST_HISTORY_DAYS = Number(process.env.FORECAST_HISTORY_DAYS) || 56;
+const FORECAST_Z = 1.645; // ~90%
+
+function isNonWorkingDay(dateStr) {
+    const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+    return weekday === 0 || weekday === 6 || touHolidays.has(dateStr);
+}
+
+function dayProfile(rollups) {
+    if (!rollups.length) return null;
+    const kwh = rollups.map(r => r.energy_kwh);
+    const mean = kwh.reduce((sum, v) => sum + v, 0) / kwh.length;
+    const variance = kwh.length > 1 ? kwh.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (kwh.length - 1) : 0;
+    const onPeak = rollups.reduce((sum, r) => sum + (r.on_peak_kwh || 0), 0);
+    const total = rollups.reduce((sum, r) => sum + r.energy_kwh, 0);
+    return { days: kwh.length, mean, std: Math.sqrt(variance), on_peak_share: total > 0 ? onPeak / total : 0 };
+}
+
+// ราคาวันที่เหลือตามลำดับ ต่อยอดสะสมจากยอดจริง (ขั้นบันไดและ Ft ตามวันเหมือน /monthly-bill)
+async function priceProjectedDays(meterId, days, monthToDateKwh, scale = 1) {
+    let cumulative = monthToDateKwh;
+    let bill = 0;
+    for (const day of days) {
+        const kwh = day.energy_kwh * scale;
+        const tariff = await resolveMeterTariff(meterId, day.date);
+        const pricing = priceEnergy({
+            energy_kwh: kwh,
+            on_peak_kwh: kwh * day.on_peak_share,
+            off_peak_kwh: kwh * (1 - day.on_peak_share)
+        }, cumulative, tariff, { date: day.date });
+        cumulative += kwh;
+        bill += pricing.electricity_bill;
+    }
+    return bill;
+}
+
+// asOf = วันแรกที่ยังไม่จบ (ปกติคือวันนี้) วันก่อนหน้าในเดือนนับเป็นยอดจริง
+async function computeMonthForecast(meterId, asOf) {
+    const yearMonth = asOf.slice(0, 7);
+    const { start, end } = getMonthRange(yearMonth);
+    const monthStart = start.toISOString().slice(0, 10);
+    const monthEnd = addDays(end.toISOString().slice(0, 10), -1);
+
+    const [actualRollups, history] = await Promise.all([
+        DailyEnergyRollup.find({ meter_id: meterId, date: { $gte: monthStart, $lt: asOf }, samples: { $gt: 0 } }).sort({ date: 1 }).lean(),
+        DailyEnergyRollup.find({ meter_id: meterId, date: { $gte: addDays(asOf, -FORECAST_HISTORY_DAYS), $lt: asOf }, samples: { $gt: 0 } }).lean()
+    ]);
+    if (!history.length) return null;
+
+    // ยอดจริงคิดแบบเดียวกับ /monthly-bill
+    let monthToDateKwh = 0;
+    let actualBill = 0;
+    for (const rollup of actualRollups) {
+        const tariff = await resolveMeterTariff(meterId, rollup.date);
+        actualBill += priceEnergy(rollupSplit(rollup), monthToDateKwh, tariff, { date: rollup.date }).electricity_bill;
+        monthToDateKwh += rollup.energy_kwh;
+    }
+
+    const overall = dayProfile(history);
+    const profiles = {
+        working: dayProfile(history.filter(r => !isNonWorkingDay(r.date))) || overall,
+        non_working: dayProfile(history.filter(r => isNonWorkingDay(r.date))) || overall
+    };
+
+    const remaining = [];
+    for (let date = asOf; date <= monthEnd; date = addDays(date, 1)) {
+        const profile = profiles[isNonWorkingDay(date) ? 'non_working' : 'working'];
+        remaining.push({ date, energy_kwh: profile.mean, std: profile.std, on_peak_share: profile.on_peak_share });
+    }
+
+    const remainingKwh = remaining.reduce((sum, d) => sum + d.energy_kwh, 0);
+    const margin = FORECAST_Z * Math.sqrt(remaining.reduce((sum, d) => sum + d.std ** 2, 0));
+    const lowKwh = Math.max(0, remainingKwh - margin);
+    const highKwh = remainingKwh + margin;
+    const scale = kwh => (remainingKwh > 0 ? kwh / remainingKwh : 0);
+
+    const pointBill = actualBill + await priceProjectedDays(meterId, remaining, monthToDateKwh);
+    const lowBill = actualBill + await priceProjectedDays(meterId, remaining, monthToDateKwh, scale(lowKwh));
+    const highBill = actualBill + await priceProjectedDays(meterId, remaining, monthToDateKwh, scale(highKwh));
+
+    const round = v => Number(v.toFixed(2));
+    return {
+        meter_id: meterId,
+        month: yearMonth,
+        as_of: asOf,
+        days_in_month: daysInMonth(asOf),
+        days_elapsed: actualRollups.length,
+        days_remaining: remaining.length,
+        month_to_date: { energy_kwh: round(monthToDateKwh), electricity_bill: round(actualBill) },
+        forecast: {
+            energy_kwh: { point: round(monthToDateKwh + remainingKwh), low: round(monthToDateKwh + lowKwh), high: round(monthToDateKwh + highKwh) },
+            electricity_bill: { point: round(pointBill), low: round(lowBill), high: round(highBill) }
+        },
+        method: {
+            history_days: history.length,
+            confidence: 0.9,
+            working_day_avg_kwh: round(profiles.working.mean),
+            non_working_day_avg_kwh: round(profiles.non_working.mean)
+        }
+    };
+}
+
+function combineForecasts(forecasts) {
+    const round = v => Number(v.toFixed(2));
+    const sumRange = key => ({
+        point: round(forecasts.reduce((sum, f) => sum + f.forecast[key].point, 0)),
+        low: round(forecasts.reduce((sum, f) => sum + f.forecast[key].low, 0)),
+        high: round(forecasts.reduce((sum, f) => sum + f.forecast[key].high, 0))
+    });
+
+    return {
+        meter_ids: forecasts.map(f => f.meter_id),
+        month: forecasts[0].month,
+        as_of: forecasts[0].as_of,
+        month_to_date: {
+            energy_kwh: round(forecasts.reduce((sum, f) => sum + f.month_to_date.energy_kwh, 0)),
+            electricity_bill: round(forecasts.reduce((sum, f) => sum + f.month_to_date.electricity_bill, 0))
+        },
+        // ขอบบน/ล่างรวมตรงๆ จึงกว้างกว่าช่วงจริงเล็กน้อย
+        forecast: { energy_kwh: sumRange('energy_kwh'), electricity_bill: sumRange('electricity_bill') },
+        meters: forecasts
+    };
+}
+
+async function getMonthForecast(meterIds, asOf) {
+    const forecasts = [];
+    for (const meterId of meterIds) {
+        const forecast = await computeMonthForecast(meterId, asOf);
+        if (forecast) forecasts.push(forecast);
+    }
+    if (!forecasts.length) return null;
+    return meterIds.length === 1 ? forecasts[0] : combineForecasts(forecasts);
+}
+
+// ?as_of=YYYY-MM-DD ใช้ย้อนทดสอบกับเดือนที่ผ่านมาได้
+app.get('/monthly-forecast', requireRole('viewer'), requireSiteTimeZone, withMeters, async (req, res) => {
+    try {
+        const asOf = req.query.as_of || todayIn();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+            return res.status(400).json({ error: 'Invalid as_of format. Use YYYY-MM-DD', example: '2025-10-15' });
+        }
+
+        const forecast = await getMonthForecast(req.meterIds, asOf);
+        if (!forecast) {
+            return res.status(404).json({ error: `No history before ${asOf} to forecast from`, meter_ids: req.meterIds });
+        }
+
+        res.json(forecast);
+    } catch (err) {
+        console.error('❌ /monthly-forecast error:', err);
+        res.status(500).json({ error: 'Failed to forecast monthly bill', message: err.message });
+    }
+});
+
+// ================= Daily Calendar =================
+async function computeCalendarDays(meterId) {
+  const rollups = await DailyEnergyRollup.find({ meter_id: meterId, samples: { $gt: 0 } }).sort({ date: 1 }).lean();
+
+  const days = [];
+  let month = '';
+  let monthToDateKwh = 0;
+
+  for (const rollup of rollups) {
+    // ยอดสะสมเริ่มนับใหม่ทุกต้นเดือน
+    if (rollup.date.slice(0, 7) !== month) {
+      month = rollup.date.slice(0, 7);
+      monthToDateKwh = 0;
+    }
+
+    const tariff = await resolveMeterTariff(meterId, rollup.date);
+    const totalEnergyKwh = Number(rollup.energy_kwh.toFixed(2));
+    const pricing = priceEnergy({ ...rollupSplit(rollup), energy_kwh: totalEnergyKwh }, monthToDateKwh, tariff, { date: rollup.date });
+    monthToDateKwh += totalEnergyKwh;
+
+    days.push({ meter_id: meterId, date: rollup.date, energy_kwh: totalEnergyKwh, pricing, integration: integrationSummary([rollup]) });
+  }
+
+  return days;
+}
+
+app.get('/calendar', requireRole('viewer'), requireSiteTimeZone, withMeters, async (req, res) => {
+  try {
+    const byDate = new Map();
+    for (const meterId of req.meterIds) {
+      for (const day of await computeCalendarDays(meterId)) {
+        if (!byDate.has(day.date)) byDate.set(day.date, []);
+        byDate.get(day.date).push(day);
+      }
+    }
+
+    if (!byDate.size) return res.status(404).json({ error: "No data found" });
+
+    const events = [];
+
+    for (const date of [...byDate.keys()].sort()) {
+      const days = byDate.get(date);
+      const totalEnergyKwh = Number(days.reduce((sum, d) => sum + d.energy_kwh, 0).toFixed(2));
+      const bill = Number(days.reduce((sum, d) => sum + d.pricing.electricity_bill, 0).toFixed(2));
+
+      events.push({
+        title: `${totalEnergyKwh} Unit`,
+        start: date,
+        extendedProps: { type: "energy", display_text: `${totalEnergyKwh} Unit` }
+      });
+
+      const details = req.meterIds.length === 1
+        ? {
+            tariff: days[0].pricing.tariff,
+            tier_breakdown: days[0].pricing.tier_breakdown,
+            breakdown: days[0].pricing.breakdown,
+            month_to_date_kwh: days[0].pricing.month_to_date_kwh,
+            tou: days[0].pricing.tou,
+            integration: days[0].integration
+          }
+        : {
+            breakdown: sumBreakdowns(days.map(d => d.pricing.breakdown)),
+            tou: sumTou(days.map(d => d.pricing.tou)),
+            integration: combineIntegration(days.map(d => d.integration)),
+            meters: days.map(d => ({
+              meter_id: d.meter_id,
+              energy_kwh: d.energy_kwh,
+              electricity_bill: d.pricing.electricity_bill,
+              tariff: d.pricing.tariff
+            }))
+          };
+
+      events.push({
+        title: `${bill}฿`,
+        start: date,
+        extendedProps: {
+          type: "bill",
+          display_text: `${bill}฿`,
+          ...details
+        }
+      });
+    }
+
+    res.json(events);
+  } catch (err) {
+    console.error("❌ /calendar error:", err);
+    res.status(500).json({ error: "Failed to get calendar data", message: err.message });
+  }
+});
+
+// ================= Daily Diff =================
+async function computeDayEnergy(meterId, dateStr, tz = SITE_TIME_ZONE) {
+    const rollup = await getDayRollup(meterId, dateStr, tz);
+    const tariff = await resolveMeterTariff(meterId, dateStr);
+
+    if (!rollup || !rollup.samples) {
+        return { energy_kwh: 0, samples: 0, electricity_bill: 0, tariff: describeTariff(tariff), integration: integrationSummary([]) };
+    }
+
+    const pricing = priceEnergy(rollupSplit(rollup), await getMonthToDateKwh(dateStr, meterId), tariff, { date: dateStr });
+    return {
+        energy_kwh: Number(rollup.energy_kwh.toFixed(2)),
+        samples: rollup.samples,
+        electricity_bill: pricing.electricity_bill,
+        tariff: pricing.tariff,
+        tier_breakdown: pricing.tier_breakdown,
+        breakdown: pricing.breakdown,
+        tou: pricing.tou,
+        integration: integrationSummary([rollup])
+    };
+}
+
+app.get('/daily-diff', requireRole('viewer'), withMeters, async (req, res) => {
+    try {
+        const today = todayIn(req.tz);
+        const yesterday = addDays(today, -1);
+        const dayBefore = addDays(today, -2);
+
+        const perMeter = [];
+        for (const meterId of req.meterIds) {
+            const yestData = await computeDayEnergy(meterId, yesterday, req.tz);
+            const dayBeforeData = await computeDayEnergy(meterId, dayBefore, req.tz);
+            perMeter.push({ meter_id: meterId, yestData, dayBeforeData });
+        }
+
+        const sumDay = key => ({
+            energy_kwh: Number(perMeter.reduce((sum, m) => sum + m[key].energy_kwh, 0).toFixed(2)),
+            samples: perMeter.reduce((sum, m) => sum + m[key].samples, 0),
+            electricity_bill: Number(perMeter.reduce((sum, m) => sum + m[key].electricity_bill, 0).toFixed(2)),
+            integration: combineIntegration(perMeter.map(m => m[key].integration))
+        });
+
+        const yestData = perMeter.length === 1 ? perMeter[0].yestData : sumDay('yestData');
+        const dayBeforeData = perMeter.length === 1 ? perMeter[0].dayBeforeData : sumDay('dayBeforeData');
+
+        // บวก = เมื่อวานใช้มากกว่าวันก่อนหน้า (แบบเดียวกับ delta ของ /compare)
+        const diffKwh = Number((yestData.energy_kwh - dayBeforeData.energy_kwh).toFixed(2));
+        const diffBill = Number((yestData.electricity_bill - dayBeforeData.electricity_bill).toFixed(2));
+
+        res.json({
+            meter_ids: req.meterIds,
+            yesterday: { date: yesterday, ...yestData },
+            dayBefore: { date: dayBefore, ...dayBeforeData },
+            diff: { kWh: diffKwh, electricity_bill: diffBill },
+            ...(perMeter.length > 1 && {
+                meters: perMeter.map(m => ({
+                    meter_id: m.meter_id,
+                    yesterday: m.yestData,
+                    dayBefore: m.dayBeforeData
+                }))
+            })
+        });
+
+    } catch (err) {
+        console.error('❌ /daily-diff error:', err);
+        res.status(500).json({ error: 'Failed to get daily diff', message: err.message });
+    }
+});
+
+// ================= Period Comparison =================
+// เทียบช่วง A (ช่วงที่สนใจ) กับช่วง B (ช่วงอ้างอิง) delta = A - B, pct เทียบกับ B
+//   ?preset=dod|wow|mom|yoy                       วันก่อน / สัปดาห์ก่อน / เดือนก่อน / ช่วงเดียวกันปีก่อน
+//   ?period=day|week|month&date=YYYY-MM-DD        ช่วงที่มี date (สัปดาห์เริ่มวันจันทร์) ไม่ระบุ date = เมื่อวาน (day) / วันนี้
+//   &against=previous|last_year                   B เป็นช่วงก่อนหน้าหรือช่วงเดียวกันของปีก่อน (yoy ใช้ period ที่ส่งมา ไม่ระบุ = month)
+//   ?a_from=&a_to=[&b_from=&b_to=]                ช่วงกำหนดเอง ไม่ส่ง B = ใช้ against เหมือนข้างบน
+// ช่วงที่ยังไม่จบ (สัปดาห์/เดือนนี้) ตัด A ถึงวันนี้แล้วตัด B ให้ยาวเท่ากัน (month-to-date กับช่วงเดียวกันของเดือนก่อน)
+const COMPARE_PRESETS = {
+    dod: { period: 'day', against: 'previous' },
+    wow: { period: 'week', against: 'previous' },
+    mom: { period: 'month', against: 'previous' },
+    yoy: { against: 'last_year' }
+};
+const COMPARE_PERIODS = ['day', 'week', 'month', 'custom'];
+const COMPARE_AGAINST = ['previous', 'last_year'];
+const COMPARE_METRICS = ['energy_kwh', 'electricity_bill', 'peak_power_kw', 'avg_power_kw'];
+const COMPARE_MAX_DAYS = 366;
+
+function daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000) + 1;
+}
+
+function isoWeekStart(dateStr) {
+    return addDays(dateStr, -((weekdayOf(dateStr) + 6) % 7));
+}
+
+// 29 ก.พ. ของปีที่ไม่มีวันนั้นเลื่อนเป็น 28 ก.พ.
+function shiftYear(dateStr, years) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(y + years, m, 0)).getUTCDate();
+    return `${y + years}-${String(m).padStart(2, '0')}-${String(Math.min(d, lastDay)).padStart(2, '0')}`;
+}
+
+function periodRange(period, dateStr) {
+    if (period === 'day') return { from: dateStr, to: dateStr };
+    if (period === 'week') {
+        const from = isoWeekStart(dateStr);
+        return { from, to: addDays(from, 6) };
+    }
+    const month = dateStr.slice(0, 7);
+    return { from: `${month}-01`, to: addDays(`${shiftMonth(month, 1)}-01`, -1) };
+}
+
+// สัปดาห์ปีก่อนถอย 52 สัปดาห์ (364 วัน) ให้วันในสัปดาห์ตรงกัน
+function referenceRange(period, against, a) {
+    if (against === 'last_year') {
+        if (period === 'week') return { from: addDays(a.from, -364), to: addDays(a.to, -364) };
+        if (period === 'month') return periodRange('month', shiftYear(a.from, -1));
+        return { from: shiftYear(a.from, -1), to: shiftYear(a.to, -1) };
+    }
+    if (period === 'month') return periodRange('month', `${shiftMonth(a.from.slice(0, 7), -1)}-01`);
+    const days = daysBetween(a.from, a.to);
+    return { from: addDays(a.from, -days), to: addDays(a.from, -1) };
+}
+
+function resolveComparison(query, today) {
+    const preset = query.preset;
+    if (preset && !COMPARE_PRESETS[preset]) {
+        return { error: `preset must be one of: ${Object.keys(COMPARE_PRESETS).join(', ')}` };
+    }
+    const period = (preset && COMPARE_PRESETS[preset].period) || query.period || (query.a_from ? 'custom' : preset === 'yoy' ? 'month' : 'day');
+    const against = (preset && COMPARE_PRESETS[preset].against) || query.against || 'previous';
+    if (!COMPARE_PERIODS.includes(period)) return { error: `period must be one of: ${COMPARE_PERIODS.join(', ')}` };
+    if (!COMPARE_AGAINST.includes(against)) return { error: `against must be one of: ${COMPARE_AGAINST.join(', ')}` };
+
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    let a;
+    if (period === 'custom') {
+        if (!isDate(query.a_from) || (query.a_to && !isDate(query.a_to))) return { error: 'a_from/a_to must be YYYY-MM-DD' };
+        a = { from: query.a_from, to: query.a_to || query.a_from };
+    } else {
+        const date = query.date || (period === 'day' ? addDays(today, -1) : today);
+        if (!isDate(date)) return { error: 'date must be YYYY-MM-DD' };
+        a = periodRange(period, date);
+    }
+    if (a.from > a.to) return { error: 'Period A starts after it ends' };
+    if (a.from > today) return { error: 'Period A is in the future' };
+
+    let b;
+    if (query.b_from) {
+        if (!isDate(query.b_from) || (query.b_to && !isDate(query.b_to))) return { error: 'b_from/b_to must be YYYY-MM-DD' };
+        b = { from: query.b_from, to: query.b_to || query.b_from };
+        if (b.from > b.to) return { error: 'Period B starts after it ends' };
+    } else {
+        b = referenceRange(period, against, a);
+    }
+
+    // ตัดช่วงที่ยังไม่จบ B เทียบเท่าจำนวนวันของ A ที่ผ่านไปแล้ว (B ที่กำหนดเองไม่ตัด)
+    const toDate = a.to > today;
+    if (toDate) {
+        a = { from: a.from, to: today };
+        const alignedTo = addDays(b.from, daysBetween(a.from, today) - 1);
+        if (!query.b_from && alignedTo < b.to) b = { from: b.from, to: alignedTo };
+    }
+
+    if (daysBetween(a.from, a.to) > COMPARE_MAX_DAYS || daysBetween(b.from, b.to) > COMPARE_MAX_DAYS) {
+        return { error: `Range too large (max ${COMPARE_MAX_DAYS} days per period)` };
+    }
+
+    return { preset: preset || null, period, against: query.b_from ? null : against, to_date: toDate, a, b };
+}
+
+// kWh / ค่าไฟ (ขั้นบันไดต่อยอดสะสมในเดือนแบบ /monthly-bill) / peak / กำลังไฟเฉลี่ยของ sample จาก rollup รายวัน
+async function computePeriodStats(meterId, { from, to }, today) {
+    const rollups = await DailyEnergyRollup.find({
+        meter_id: meterId,
+        date: { $gte: from, $lte: to },
+        samples: { $gt: 0 }
+    }).sort({ date: 1 }).lean();
+
+    let month = null;
+    let monthToDateKwh = 0;
+    let energyKwh = 0;
+    let electricityBill = 0;
+    let samples = 0;
+    let powerSum = 0;
+    for (const rollup of rollups) {
+        if (rollup.date.slice(0, 7) !== month) {
+            month = rollup.date.slice(0, 7);
+            monthToDateKwh = await getMonthToDateKwh(rollup.date, meterId);
+        }
+        const pricing = priceEnergy(rollupSplit(rollup), monthToDateKwh, await resolveMeterTariff(meterId, rollup.date), { date: rollup.date });
+        monthToDateKwh += rollup.energy_kwh;
+        energyKwh += rollup.energy_kwh;
+        electricityBill += pricing.electricity_bill;
+        samples += rollup.samples;
+        powerSum += (rollup.avg_power_kw || 0) * rollup.samples;
+    }
+
+    const peak = await HourlyEnergyRollup.findOne({ meter_id: meterId, date: { $gte: from, $lte: to }, max_power_kw: { $ne: null } })
+                                         .sort({ max_power_kw: -1 })
+                                         .select('date hour max_power_kw')
+                                         .lean();
+
+    return {
+        from,
+        to,
+        days: daysBetween(from, to),
+        days_with_data: rollups.length,
+        partial: to >= today,
+        energy_kwh: Number(energyKwh.toFixed(2)),
+        electricity_bill: Number(electricityBill.toFixed(2)),
+        peak_power_kw: peak ? Number(peak.max_power_kw.toFixed(2)) : null,
+        peak_at: peak ? `${peak.date} ${String(peak.hour).padStart(2, '0')}:00` : null,
+        avg_power_kw: samples ? Number((powerSum / samples).toFixed(3)) : null,
+        samples,
+        integration: integrationSummary(rollups)
+    };
+}
+
+function compareMetrics(a, b) {
+    return Object.fromEntries(COMPARE_METRICS.filter(key => key in a).map(key => [key, {
+        abs: a[key] == null || b[key] == null ? null : Number((a[key] - b[key]).toFixed(2)),
+        pct: a[key] == null || b[key] == null ? null : changePct(a[key], b[key])
+    }]));
+}
+
+function hourlyDeltas(hoursA, hoursB) {
+    const kwhByHour = rows => new Map(rows.map(r => [r.hour, r.energy_kwh]));
+    const a = kwhByHour(hoursA);
+    const b = kwhByHour(hoursB);
+    return Array.from({ length: 24 }, (_, h) => {
+        const aKwh = a.has(h) ? Number(a.get(h).toFixed(3)) : null;
+        const bKwh = b.has(h) ? Number(b.get(h).toFixed(3)) : null;
+        return {
+            hour: `${String(h).padStart(2, '0')}:00`,
+            a_kwh: aKwh,
+            b_kwh: bKwh,
+            delta_kwh: aKwh === null || bKwh === null ? null : Number((aKwh - bKwh).toFixed(3)),
+            delta_pct: aKwh === null || bKwh === null ? null : changePct(aKwh, bKwh)
+        };
+    });
+}
+
+async function compareMeterPeriods(meterId, comparison, today) {
+    const a = await computePeriodStats(meterId, comparison.a, today);
+    const b = await computePeriodStats(meterId, comparison.b, today);
+    const singleDay = comparison.a.from === comparison.a.to && comparison.b.from === comparison.b.to;
+    return {
+        meter_id: meterId,
+        a,
+        b,
+        delta: compareMetrics(a, b),
+        ...(singleDay && {
+            hourly: hourlyDeltas(await getHourlyRollups(meterId, comparison.a.from), await getHourlyRollups(meterId, comparison.b.from))
+        })
+    };
+}
+
+// รวมหลายมิเตอร์: kWh / ค่าไฟ / กำลังไฟเฉลี่ยบวกกันได้ แต่ peak รวมต้องใช้ค่าที่เกิดพร้อมกัน ซึ่ง rollup ไม่มี จึงไม่รวม
+function combineComparisons(results) {
+    const sumPeriod = key => {
+        const periods = results.map(r => r[key]);
+        return {
+            from: periods[0].from,
+            to: periods[0].to,
+            days: periods[0].days,
+            partial: periods[0].partial,
+            energy_kwh: Number(periods.reduce((sum, p) => sum + p.energy_kwh, 0).toFixed(2)),
+            electricity_bill: Number(periods.reduce((sum, p) => sum + p.electricity_bill, 0).toFixed(2)),
+            avg_power_kw: periods.every(p => p.avg_power_kw === null)
+                ? null
+                : Number(periods.reduce((sum, p) => sum + (p.avg_power_kw || 0), 0).toFixed(3)),
+            integration: combineIntegration(periods.map(p => p.integration))
+        };
+    };
+    const a = sumPeriod('a');
+    const b = sumPeriod('b');
+    const total = { a, b, delta: compareMetrics(a, b) };
+
+    if (results[0].hourly) {
+        const sumHours = key => Array.from({ length: 24 }, (_, h) => {
+            const values = results.map(r => r.hourly[h][key]).filter(v => v !== null);
+            return values.length ? { hour: h, energy_kwh: values.reduce((sum, v) => sum + v, 0) } : null;
+        }).filter(Boolean);
+        total.hourly = hourlyDeltas(sumHours('a_kwh'), sumHours('b_kwh'));
+    }
+    return total;
+}
+
+app.get('/compare', requireRole('viewer'), requireSiteTimeZone, withMeters, async (req, res) => {
+    try {
+        const today = todayIn();
+        const comparison = resolveComparison(req.query, today);
+        if (comparison.error) {
+            return res.status(400).json({
+                error: comparison.error,
+                examples: ['/compare?preset=mom', '/compare?period=week&date=2025-10-06&against=last_year', '/compare?a_from=2025-10-01&a_to=2025-10-07&b_from=2025-09-01&b_to=2025-09-07']
+            });
+        }
+
+        const results = [];
+        for (const meterId of req.meterIds) {
+            results.push(await compareMeterPeriods(meterId, comparison, today));
+        }
+
+        res.json({
+            meter_ids: req.meterIds,
+            ...comparison,
+            ...(results.length === 1 ? results[0] : { total: combineComparisons(results), meters: results })
+        });
+    } catch (err) {
+        console.error('❌ /compare error:', err);
+        res.status(500).json({ error: 'Failed to compare periods', message: err.message });
+    }
+});
+
+// ================= Hourly Bill =================
+// ใช้ร่วมกันระหว่าง /hourly-bill และ /hourly-summary
+async function computeHourlyBill(meterId, selectedDate, { zeroFutureHours = false, tz = SITE_TIME_ZONE } = {}) {
+    const rollups = await getDayHourlyRollups(meterId, selectedDate, tz);
+    const samples = rollups.reduce((sum, r) => sum + r.samples, 0);
+
+    const tariff = await resolveMeterTariff(meterId, selectedDate);
+    const hourlyEnergy = createHourlyBuckets();
+    const hourlyCoverage = new Array(24).fill(0);
+    const hourlyEstimated = new Array(24).fill(0);
+    for (const r of rollups) {
+        hourlyEnergy[r.hour] = rollupSplit(r);
+        hourlyCoverage[r.hour] = r.coverage || 0;
+        hourlyEstimated[r.hour] = r.estimated_kwh || 0;
+    }
+
+    if (zeroFutureHours && selectedDate === todayIn(tz)) {
+        for (let h = toZonedClock(new Date(), tz).getUTCHours() + 1; h < 24; h++) {
+            hourlyEnergy[h] = createHourlyBuckets()[h];
+            hourlyEstimated[h] = 0;
+        }
+    }
+
+    const monthToDateKwh = await getMonthToDateKwh(selectedDate, meterId);
+    const hourlyPricing = priceSequence(hourlyEnergy, monthToDateKwh, tariff, { date: selectedDate, serviceDays: 1 / 24 });
+    const dayPricing = priceEnergy(sumHourlyBuckets(hourlyEnergy), monthToDateKwh, tariff, { date: selectedDate });
+
+    const hourlyArray = hourlyEnergy.map((energy, h) => ({
+        hour: `${h.toString().padStart(2,'0')}:00`,
+        energy_kwh: Number(energy.energy_kwh.toFixed(2)),
+        estimated_kwh: Number(hourlyEstimated[h].toFixed(2)),
+        electricity_bill: samples ? hourlyPricing[h].electricity_bill : 0,
+        tiers: hourlyPricing[h].tier_breakdown.map(t => t.tier),
+        breakdown: hourlyPricing[h].breakdown,
+        tou: hourlyPricing[h].tou,
+        coverage_pct: Number((hourlyCoverage[h] * 100).toFixed(1))
+    }));
+
+    return {
+        meter_id: meterId,
+        date: selectedDate,
+        samples,
+        coverage: coverageIndicator(rollups.reduce((sum, r) => sum + (r.covered_seconds || 0), 0), selectedDate, tz),
+        integration: integrationSummary(rollups),
+        tariff: describeTariff(tariff),
+        month_to_date_kwh: Number(monthToDateKwh.toFixed(2)),
+        electricity_bill: samples ? dayPricing.electricity_bill : 0,
+        breakdown: dayPricing.breakdown,
+        tou: dayPricing.tou,
+        hourly: hourlyArray
+    };
+}
+
+function combineHourlyBills(date, results) {
+    const hourly = results[0].hourly.map((h, i) => ({
+        hour: h.hour,
+        energy_kwh: Number(results.reduce((sum, r) => sum + r.hourly[i].energy_kwh, 0).toFixed(2)),
+        estimated_kwh: Number(results.reduce((sum, r) => sum + r.hourly[i].estimated_kwh, 0).toFixed(2)),
+        electricity_bill: Number(results.reduce((sum, r) => sum + r.hourly[i].electricity_bill, 0).toFixed(2)),
+        breakdown: sumBreakdowns(results.map(r => r.hourly[i].breakdown)),
+        tou: sumTou(results.map(r => r.hourly[i].tou))
+    }));
+
+    return {
+        date,
+        meter_ids: results.map(r => r.meter_id),
+        electricity_bill: Number(results.reduce((sum, r) => sum + r.electricity_bill, 0).toFixed(2)),
+        breakdown: sumBreakdowns(results.map(r => r.breakdown)),
+        tou: sumTou(results.map(r => r.tou)),
+        integration: combineIntegration(results.map(r => r.integration)),
+        meters: results.map(r => ({
+            meter_id: r.meter_id,
+            tariff: r.tariff,
+            month_to_date_kwh: r.month_to_date_kwh,
+            electricity_bill: r.electricity_bill
+        })),
+        hourly
+    };
+}
+
+app.get('/hourly-bill/:date', requireRole('viewer'), withMeters, async (req, res) => {
+    try {
+        const selectedDate = req.params.date;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(selectedDate)) {
+            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+        }
+
+        const results = [];
+        for (const meterId of req.meterIds) {
+            results.push(await computeHourlyBill(meterId, selectedDate, { zeroFutureHours: true, tz: req.tz }));
+        }
+
+        res.json(results.length === 1 ? results[0] : combineHourlyBills(selectedDate, results));
+
+    } catch (err) {
+        console.error('❌ /hourly-bill error:', err);
+        res.status(500).json({ error: 'Failed to get hourly bill', message: err.message });
+    }
+});
+
+// ================= Minute Power Range =================
+app.get('/minute-power-range', requireRole('viewer'), withMeters, async (req, res) => {
+    try {
+        const { date, startHour, endHour } = req.query;
+
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({
+                error: "Missing or invalid date",
+                example: "/minute-power-range?date=2025-10-03&startHour=8&endHour=17&meter=main"
+            });
+        }
+
+        let { start, end } = getDayRange(date, req.tz);
+
+        // ชั่วโมงนับจากเที่ยงคืนของ tz
+        if (startHour !== undefined) start = new Date(start.getTime() + Number(startHour) * HOUR_MS);
+        if (endHour !== undefined) end = new Date(Math.min(end.getTime(), getDayRange(date, req.tz).start.getTime() + (Number(endHour) + 1) * HOUR_MS - 1));
+
+        const data = await PowerPXDH11.find({
+            ...meterFilter(req.meterIds),
+            timestamp: { $gte: start, $lte: end }
+        }).sort({ timestamp: 1 })
+          .select('meter_id timestamp power voltage current active_power_phase_a active_power_phase_b active_power_phase_c');
+
+        const result = data.map(d => ({
+            meter_id: d.meter_id || DEFAULT_METER_ID,
+            timestamp: formatStoredTimestamp(d.timestamp, req.tz),
+            power: d.power,
+            voltage: d.voltage,
+            current: d.current,
+            active_power_phase_a: d.active_power_phase_a,
+            active_power_phase_b: d.active_power_phase_b,
+            active_power_phase_c: d.active_power_phase_c
+        }));
+
+        res.json(result);
+
+    } catch (err) {
+        console.error('❌ /minute-power-range error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ================= Hourly Summary =================
+app.get('/hourly-summary', requireRole('viewer'), withMeters, async (req, res) => {
+    try {
+        const { date } = req.query;
+
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({
+                error: "Missing or invalid date",
+                example: "/hourly-summary?date=2025-10-03"
+            });
+        }
+
+        const results = [];
+        for (const meterId of req.meterIds) {
+            results.push(await computeHourlyBill(meterId, date, { tz: req.tz }));
+        }
+
+        res.json(results.length === 1 ? results[0] : combineHourlyBills(date, results));
+
+    } catch (err) {
+        console.error('❌ /hourly-summary error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ================= Phase Analytics =================
+// เฟส a/b/c ↔ active_power_phase_* (kW) และ voltage1..3
+// มิเตอร์ไม่ได้วัดกระแสแยกเฟส ความไม่สมดุลจึงคิดจากกำลังไฟ (active power) ของแต่ละเฟส
+const PHASES = [
+    { phase: 'a', power: 'active_power_phase_a', voltage: 'voltage1' },
+    { phase: 'b', power: 'active_power_phase_b', voltage: 'voltage2' },
+    { phase: 'c', power: 'active_power_phase_c', voltage: 'voltage3' }
+];
+const PHASE_SELECT = ['timestamp', ...PHASES.map(p => p.power), ...PHASES.map(p => p.voltage)].join(' ');
+
+// voltage1..3 เป็นแรงดันเฟส (L-N) หรือแรงดันสาย (L-L) ขึ้นกับการตั้งค่ามิเตอร์
+function getPhaseVoltageBasis() {
+    return process.env.PHASE_VOLTAGE_BASIS === 'll' ? 'line_to_line' : 'line_to_neutral';
+}
+
+// พลังงานรายชั่วโมงของแต่ละเฟส (ใช้การอินทิเกรตแบบเดียวกับ power รวม)
+// profile เก็บไว้แค่ power รวม ช่วงขาดของเฟสจึงลากเส้นตรงแทน
+function integratePhaseHourly(data, options = {}) {
+    const flat = getActiveTariff('flat');
+    const phaseOptions = { ...options, policy: options.policy === 'profile' ? 'linear' : options.policy, profile: null };
+    const result = {};
+    for (const p of PHASES) {
+        result[p.phase] = integrateHourly(
+            data.filter(d => typeof d[p.power] === 'number').map(d => ({ timestamp: d.timestamp, power: d[p.power] })),
+            flat,
+            phaseOptions
+        ).map(h => h.energy_kwh);
+    }
+    return result;
+}
+
+// % ที่ค่าสูงสุดห่างจากค่าเฉลี่ย (NEMA MG1 / IEEE) ใช้ได้ทั้งกำลังไฟและแรงดัน
+function maxDeviationPct(values) {
+    if (values.length < 2 || values.some(v => typeof v !== 'number')) return null;
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    if (mean <= 0) return null;
+    return Math.max(...values.map(v => Math.abs(v - mean))) / mean * 100;
+}
+
+// IEC 61000-4-30 VUF = V2/V1 จากขนาดแรงดันสามสาย (β method)
+// ถ้าเป็นแรงดัน L-N จะไม่รวม zero sequence จึงเป็นค่าประมาณ
+function iecVoltageUnbalancePct([va, vb, vc]) {
+    if (![va, vb, vc].every(v => typeof v === 'number' && v > 0)) return null;
+    const beta = (va ** 4 + vb ** 4 + vc ** 4) / (va ** 2 + vb ** 2 + vc ** 2) ** 2;
+    const root = Math.sqrt(Math.max(0, 3 - 6 * beta));
+    return Math.sqrt((1 - root) / (1 + root)) * 100;
+}
+
+function roundOrNull(value, digits = 2) {
+    return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+// เฉลี่ยค่าเฟสในช่วงละ intervalMinutes (data เป็นนาฬิกาของ tz)
+function bucketPhaseSamples(data, intervalMinutes, tz = SITE_TIME_ZONE) {
+    const size = intervalMinutes * 60000;
+    const buckets = new Map();
+    for (const d of data) {
+        const start = Math.floor(new Date(d.timestamp).getTime() / size) * size;
+        if (!buckets.has(start)) buckets.set(start, []);
+        buckets.get(start).push(d);
+    }
+
+    const mean = (rows, field) => {
+        const values = rows.map(r => r[field]).filter(v => typeof v === 'number');
+        return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    };
+
+    return [...buckets.entries()].sort((a, b) => a[0] - b[0]).map(([start, rows]) => {
+        const power = PHASES.map(p => mean(rows, p.power));
+        const voltage = PHASES.map(p => mean(rows, p.voltage));
+        return {
+            start: formatInstant(fromZonedClock(start, tz), tz),
+            end: formatInstant(fromZonedClock(start + size, tz), tz),
+            samples: rows.length,
+            power_kw: Object.fromEntries(PHASES.map((p, i) => [p.phase, roundOrNull(power[i])])),
+            voltage: Object.fromEntries(PHASES.map((p, i) => [p.phase, roundOrNull(voltage[i])])),
+            imbalance_pct: roundOrNull(maxDeviationPct(power)),
+            voltage_unbalance: {
+                nema_pct: roundOrNull(maxDeviationPct(voltage), 3),
+                iec_vuf_pct: roundOrNull(iecVoltageUnbalancePct(voltage), 3)
+            },
+            rebalance: suggestRebalance(power)
+        };
+    });
+}
+
+// ย้ายโหลดจากเฟสที่หนักสุดไปเฟสที่เบาสุด ให้ทั้งคู่เข้าใกล้ค่าเฉลี่ย
+function suggestRebalance(power) {
+    if (power.some(v => typeof v !== 'number')) return null;
+    const mean = power.reduce((sum, v) => sum + v, 0) / power.length;
+    const maxIdx = power.indexOf(Math.max(...power));
+    const minIdx = power.indexOf(Math.min(...power));
+    if (maxIdx === minIdx) return null;
+    return {
+        from_phase: PHASES[maxIdx].phase,
+        to_phase: PHASES[minIdx].phase,
+        shift_kw: Number(Math.min(power[maxIdx] - mean, mean - power[minIdx]).toFixed(2))
+    };
+}
+
+function summarizeSeries(values) {
+    const present = values.filter(v => v !== null);
+    if (!present.length) return { avg: null, max: null };
+    return {
+        avg: roundOrNull(present.reduce((sum, v) => sum + v, 0) / present.length, 3),
+        max: roundOrNull(Math.max(...present), 3)
+    };
+}
+
+async function requireThreePhaseMeter(req, res) {
+    if (req.meterIds.length !== 1) {
+        res.status(400).json({ error: 'Phase analytics work on one meter at a time', example: '/phase-balance?date=2025-10-03&meter=main' });
+        return null;
+    }
+    const meter = await getMeter(req.meterIds[0]);
+    if (meter && meter.phase_config === 'single') {
+        res.status(400).json({ error: `Meter ${meter.meter_id} is single-phase` });
+        return null;
+    }
+    return req.meterIds[0];
+}
+
+// พลังงานแยกเฟสรายวันในช่วง from..to (จาก rollup)
+app.get('/phase-energy', requireRole('viewer'), requireSiteTimeZone, withMeters, async (req, res) => {
+    try {
+        const meterId = await requireThreePhaseMeter(req, res);
+        if (!meterId) return;
+
+        const today = todayIn();
+        const from = req.query.from || today;
+        const to = req.query.to || from;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid from/to. Use YYYY-MM-DD', example: '/phase-energy?from=2025-10-01&to=2025-10-31' });
+        }
+
+        const rollups = await DailyEnergyRollup.find({ meter_id: meterId, date: { $gte: from, $lte: to }, samples: { $gt: 0 } })
+                                               .sort({ date: 1 }).lean();
+
+        const daily = rollups.map(r => {
+            const energy = PHASES.map(p => r[`phase_${p.phase}_kwh`]);
+            // rollup เก่าที่สร้างก่อนมีข้อมูลเฟส ต้อง rebuild ก่อน
+            if (energy.some(v => v === undefined)) {
+                return { date: r.date, energy_kwh: roundOrNull(r.energy_kwh), phases: null, imbalance_pct: null };
+            }
+            return {
+                date: r.date,
+                energy_kwh: roundOrNull(r.energy_kwh),
+                phases: Object.fromEntries(PHASES.map((p, i) => [p.phase, roundOrNull(energy[i])])),
+                imbalance_pct: roundOrNull(maxDeviationPct(energy))
+            };
+        });
+
+        const withPhases = daily.filter(d => d.phases);
+        const totals = Object.fromEntries(PHASES.map(p => [p.phase, roundOrNull(withPhases.reduce((sum, d) => sum + d.phases[p.phase], 0))]));
+        const total = Object.values(totals).reduce((sum, v) => sum + v, 0);
+
+        res.json({
+            meter_id: meterId,
+            from,
+            to,
+            totals: {
+                phases: totals,
+                share_pct: Object.fromEntries(PHASES.map(p => [p.phase, total > 0 ? roundOrNull(totals[p.phase] / total * 100) : null])),
+                imbalance_pct: roundOrNull(maxDeviationPct(Object.values(totals)))
+            },
+            missing_phase_days: daily.length - withPhases.length,
+            daily
+        });
+    } catch (err) {
+        console.error('❌ /phase-energy error:', err);
+        res.status(500).json({ error: 'Failed to get phase energy', message: err.message });
+    }
+});
+
+// วิเคราะห์ความสมดุลเฟสของวันเดียว: พลังงานรายชั่วโมงแยกเฟส, imbalance ตามช่วงเวลา,
+// ช่วงที่แย่ที่สุด และ voltage unbalance (NEMA / IEC)
+app.get('/phase-balance', requireRole('viewer'), withMeters, async (req, res) => {
+    try {
+        const meterId = await requireThreePhaseMeter(req, res);
+        if (!meterId) return;
+
+        const { date } = req.query;
+        const interval = Math.min(Math.max(parseInt(req.query.interval) || 15, 1), 60);
+        const top = Math.min(Math.max(parseInt(req.query.top) || 5, 1), 50);
+
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({
+                error: "Missing or invalid date",
+                example: "/phase-balance?date=2025-10-03&interval=15&top=5&meter=main"
+            });
+        }
+
+        const { start, end } = getDayRange(date, req.tz);
+        const data = withZonedClock(await PowerPXDH11.find({ ...meterFilter(meterId), timestamp: { $gte: start, $lte: end } })
+                                                     .sort({ timestamp: 1 })
+                                                     .select(PHASE_SELECT)
+                                                     .lean(), req.tz);
+
+        if (!data.length) return res.status(404).json({ error: `No data found for ${date}`, meter_id: meterId });
+
+        const hourlyPhases = integratePhaseHourly(data);
+        const hourly = hourlyPhases.a.map((_, h) => {
+            const energy = PHASES.map(p => hourlyPhases[p.phase][h]);
+            return {
+                hour: `${h.toString().padStart(2, '0')}:00`,
+                phases: Object.fromEntries(PHASES.map((p, i) => [p.phase, Number(energy[i].toFixed(3))])),
+                imbalance_pct: roundOrNull(maxDeviationPct(energy))
+            };
+        });
+
+        const dayTotals = PHASES.map(p => hourlyPhases[p.phase].reduce((sum, v) => sum + v, 0));
+        const dayTotal = dayTotals.reduce((sum, v) => sum + v, 0);
+
+        const series = bucketPhaseSamples(data, interval, req.tz);
+        const worst = series.filter(s => s.imbalance_pct !== null)
+                            .sort((a, b) => b.imbalance_pct - a.imbalance_pct)
+                            .slice(0, top);
+
+        res.json({
+            meter_id: meterId,
+            date,
+            samples: data.length,
+            interval_minutes: interval,
+            basis: 'active_power',
+            daily: {
+                phases: Object.fromEntries(PHASES.map((p, i) => [p.phase, Number(dayTotals[i].toFixed(2))])),
+                share_pct: Object.fromEntries(PHASES.map((p, i) => [p.phase, dayTotal > 0 ? Number((dayTotals[i] / dayTotal * 100).toFixed(2)) : null])),
+                imbalance_pct: roundOrNull(maxDeviationPct(dayTotals)),
+                rebalance_energy: suggestRebalance(dayTotals)
+            },
+            imbalance: summarizeSeries(series.map(s => s.imbalance_pct)),
+            voltage_unbalance: {
+                basis: getPhaseVoltageBasis(),
+                nema_pct: summarizeSeries(series.map(s => s.voltage_unbalance.nema_pct)),
+                iec_vuf_pct: summarizeSeries(series.map(s => s.voltage_unbalance.iec_vuf_pct))
+            },
+            worst_periods: worst,
+            hourly,
+            series
+        });
+    } catch (err) {
+        console.error('❌ /phase-balance error:', err);
+        res.status(500).json({ error: 'Failed to get phase balance', message: err.message });
+    }
+});
+
+// ================= Power Quality =================
+// ตรวจ sag / swell / interruption จากแรงดันตามแนว IEEE 1159 / EN 50160
+// sag: ต่ำกว่า 90% ของ nominal, interruption: ต่ำกว่า 10%, swell: สูงกว่า 110% (ตั้งได้ผ่าน env)
+// event จบเมื่อแรงดันกลับเข้าช่วงปกติเกิน hysteresis หรือข้อมูลขาดช่วง
+// ตรวจรายเฟสเป็นหลัก ค่าเฉลี่ย (fallback) ใช้เฉพาะ sample ที่ไม่มีแรงดันรายเฟสเลย และใช้แค่ตัวแรกที่มีตามลำดับ
+// ไม่งั้น sag ครั้งเดียวของสามเฟสจะถูกนับซ้ำเป็นหลาย event
+const PQ_CHANNELS = [
+    { field: 'voltage1', phase: 'a', basis: 'phase' },
+    { field: 'voltage2', phase: 'b', basis: 'phase' },
+    { field: 'voltage3', phase: 'c', basis: 'phase' },
+    { field: 'voltageln', phase: 'ln_avg', basis: 'ln', fallback: true },
+    { field: 'voltagell', phase: 'll_avg', basis: 'll', fallback: true },
+    { field: 'voltage', phase: 'avg', basis: 'ln', fallback: true }
+];
+const PQ_PHASE_CHANNELS = PQ_CHANNELS.filter(c => !c.fallback);
+const PQ_FALLBACK_CHANNELS = PQ_CHANNELS.filter(c => c.fallback);
+
+// ค่าของ channel ใน sample นี้ (undefined = channel นี้ไม่ใช้กับ sample นี้)
+function pqChannelValue(sample, channel) {
+    const v = sample[channel.field];
+    if (typeof v !== 'number') return undefined;
+    if (!channel.fallback) return v;
+    if (PQ_PHASE_CHANNELS.some(c => typeof sample[c.field] === 'number')) return undefined;
+    const first = PQ_FALLBACK_CHANNELS.find(c => typeof sample[c.field] === 'number');
+    return first === channel ? v : undefined;
+}
+
+// เงื่อนไขเดียวกับ pqChannelValue สำหรับ aggregation
+function pqChannelUsedExpr(channel) {
+    const isNumber = field => ({ $in: [{ $type: `$${field}` }, ['double', 'int', 'long', 'decimal']] });
+    if (!channel.fallback) return isNumber(channel.field);
+    const earlier = PQ_FALLBACK_CHANNELS.slice(0, PQ_FALLBACK_CHANNELS.indexOf(channel));
+    return {
+        $and: [
+            isNumber(channel.field),
+            ...[...PQ_PHASE_CHANNELS, ...earlier].map(c => ({ $not: [isNumber(c.field)] }))
+        ]
+    };
+}
+const PQ_SELECT = ['timestamp', ...PQ_CHANNELS.map(c => c.field)].join(' ');
+const PQ_SCAN_LIMIT = 20000;
+
+const powerQualityEventSchema = new mongoose.Schema({
+    meter_id: { type: String, required: true },
+    channel: { type: String, required: true }, // field ที่ตรวจ เช่น voltage1
+    phase: String,
+    type: { type: String, enum: ['sag', 'swell', 'interruption'], required: true },
+    start: { type: Date, required: true },
+    end: Date,
+    duration_seconds: Number,
+    nominal_voltage: Number,
+    min_voltage: Number,
+    max_voltage: Number,
+    depth_pct: Number,    // sag/interruption: % ที่ตกจาก nominal, swell: % ที่เกิน
+    residual_pct: Number, // ค่าที่แย่ที่สุดเทียบ nominal
+    samples: Number,
+    ongoing: { type: Boolean, default: false } // ยังไม่จบ ณ reading ล่าสุด
+}, { timestamps: true });
+powerQualityEventSchema.index({ meter_id: 1, channel: 1, start: 1 }, { unique: true });
+powerQualityEventSchema.index({ meter_id: 1, start: -1 });
+
+const PowerQualityEvent = mongoose.model("power_quality_events", powerQualityEventSchema);
+
+async function getPqConfig(meterId) {
+    const meter = await getMeter(meterId);
+    const env = (name, fallback) => Number(process.env[name]) || fallback;
+    return {
+        nominal_ln: (meter && meter.nominal_voltage_ln) || env('PQ_NOMINAL_LN', 230),
+        nominal_ll: (meter && meter.nominal_voltage_ll) || env('PQ_NOMINAL_LL', 400),
+        sag_pct: env('PQ_SAG_PCT', 90),
+        swell_pct: env('PQ_SWELL_PCT', 110),
+        interruption_pct: env('PQ_INTERRUPTION_PCT', 10),
+        hysteresis_pct: env('PQ_HYSTERESIS_PCT', 2),
+        tolerance_pct: env('PQ_TOLERANCE_PCT', 10),
+        compliance_pct: env('PQ_COMPLIANCE_PCT', 95)
+    };
+}
+
+function channelNominal(channel, config) {
+    const basis = channel.basis === 'phase'
+        ? (getPhaseVoltageBasis() === 'line_to_line' ? 'll' : 'ln')
+        : channel.basis;
+    return basis === 'll' ? config.nominal_ll : config.nominal_ln;
+}
+
+// samples เรียงตามเวลา คืน event ของทุก channel (event ที่ยังไม่จบตอนข้อมูลหมดจะเป็น ongoing)
+function detectVoltageEvents(samples, config, maxGapMs = getMaxGapSeconds() * 1000) {
+    const events = [];
+
+    for (const channel of PQ_CHANNELS) {
+        const nominal = channelNominal(channel, config);
+        let current = null;
+        let prevTs = null;
+
+        const close = (end, ongoing = false) => {
+            const extreme = current.direction === 'low' ? current.min : current.max;
+            const residual = extreme / nominal * 100;
+            events.push({
+                channel: channel.field,
+                phase: channel.phase,
+                type: current.direction === 'high' ? 'swell'
+                    : residual < config.interruption_pct ? 'interruption' : 'sag',
+                start: current.start,
+                end,
+                duration_seconds: (end - current.start) / 1000,
+                nominal_voltage: nominal,
+                min_voltage: current.min,
+                max_voltage: current.max,
+                depth_pct: Number(Math.abs(100 - residual).toFixed(2)),
+                residual_pct: Number(residual.toFixed(2)),
+                samples: current.samples,
+                ongoing
+            });
+            current = null;
+        };
+
+        for (const sample of samples) {
+            const v = pqChannelValue(sample, channel);
+            if (v === undefined) continue;
+            const ts = new Date(sample.timestamp);
+            const pct = v / nominal * 100;
+
+            if (current && ts - prevTs > maxGapMs) close(prevTs);
+
+            if (current) {
+                const recovered = current.direction === 'low'
+                    ? pct >= config.sag_pct + config.hysteresis_pct
+                    : pct <= config.swell_pct - config.hysteresis_pct;
+                if (recovered) {
+                    close(ts);
+                } else {
+                    current.min = Math.min(current.min, v);
+                    current.max = Math.max(current.max, v);
+                    current.samples++;
+                }
+            }
+
+            if (!current && (pct < config.sag_pct || pct > config.swell_pct)) {
+                current = { direction: pct < config.sag_pct ? 'low' : 'high', start: ts, min: v, max: v, samples: 1 };
+            }
+            prevTs = ts;
+        }
+
+        if (current) close(prevTs, true);
+    }
+
+    return events.sort((a, b) => a.start - b.start);
+}
+
+// upsert ตาม (meter, channel, start) สแกนซ้ำช่วงเดิมได้ event เดิม คืนเฉพาะ event ใหม่
+async function saveVoltageEvents(meterId, events) {
+    if (!events.length) return [];
+    const result = await PowerQualityEvent.bulkWrite(events.map(e => ({
+        updateOne: {
+            filter: { meter_id: meterId, channel: e.channel, start: e.start },
+            update: { $set: { ...e, meter_id: meterId } },
+            upsert: true
+        }
+    })), { ordered: false });
+
+    return Object.keys(result.upsertedIds || {}).map(i => events[Number(i)]);
+}
+
+// ตำแหน่ง reading ล่าสุดที่สแกนแล้วของแต่ละมิเตอร์ (เริ่มใหม่หลังรีสตาร์ทจากต้นวันนี้)
+const pqWatermarks = {};
+
+async function scanPowerQuality(meterId) {
+    let from = pqWatermarks[meterId] || getDayRange(todayIn()).start;
+
+    // event ที่ยังไม่จบ สแกนใหม่ตั้งแต่จุดเริ่ม จะได้ต่อเป็น event เดียวกัน
+    const ongoing = await PowerQualityEvent.findOne({ meter_id: meterId, ongoing: true }).sort({ start: 1 }).lean();
+    if (ongoing && ongoing.start < from) from = ongoing.start;
+
+    const samples = await PowerPXDH11.find({ ...meterFilter(meterId), timestamp: { $gte: from } })
+                                     .sort({ timestamp: 1 })
+                                     .limit(PQ_SCAN_LIMIT)
+                                     .select(PQ_SELECT)
+                                     .lean();
+    if (!samples.length) return;
+
+    const events = detectVoltageEvents(samples, await getPqConfig(meterId));
+    const created = await saveVoltageEvents(meterId, events);
+    pqWatermarks[meterId] = samples[samples.length - 1].timestamp;
+
+    for (const event of created) {
+        console.log(`⚠️ ${event.type} on ${meterId} ${event.channel}: ${event.min_voltage}-${event.max_voltage} V`);
+    }
+    if (created.length) await notifyPowerQualityEvents(meterId, created);
+}
+
+// สแกนใหม่ทั้งวัน (event เดิมของวันนั้นถูกแทนที่)
+async function rescanPowerQualityDay(meterId, dateStr) {
+    const { start, end } = getDayRange(dateStr);
+    await PowerQualityEvent.deleteMany({ meter_id: meterId, start: { $gte: start, $lte: end } });
+
+    const samples = await PowerPXDH11.find({ ...meterFilter(meterId), timestamp: { $gte: start, $lte: end } })
+                                     .sort({ timestamp: 1 })
+                                     .select(PQ_SELECT)
+                                     .lean();
+    const events = detectVoltageEvents(samples, await getPqConfig(meterId));
+    await saveVoltageEvents(meterId, events);
+    return events.length;
+}
+
+// % ของ sample ที่อยู่ใน nominal ± tolerance ต่อ channel (EN 50160 ใช้เกณฑ์ 95%)
+async function computeVoltageCompliance(meterId, start, end, config) {
+    const group = { _id: null };
+    for (const channel of PQ_CHANNELS) {
+        const nominal = channelNominal(channel, config);
+        const low = nominal * (1 - config.tolerance_pct / 100);
+        const high = nominal * (1 + config.tolerance_pct / 100);
+        const used = pqChannelUsedExpr(channel);
+        group[`${channel.field}_total`] = { $sum: { $cond: [used, 1, 0] } };
+        group[`${channel.field}_within`] = {
+            $sum: { $cond: [{ $and: [used, { $gte: [`$${channel.field}`, low] }, { $lte: [`$${channel.field}`, high] }] }, 1, 0] }
+        };
+    }
+
+    const [agg] = await PowerPXDH11.aggregate([
+        { $match: { ...meterFilter(meterId), timestamp: { $gte: start, $lte: end } } },
+        { $group: group }
+    ]);
+
+    const channels = PQ_CHANNELS.map(channel => {
+        const total = agg ? agg[`${channel.field}_total`] : 0;
+        const within = agg ? agg[`${channel.field}_within`] : 0;
+        const withinPct = total ? Number((within / total * 100).toFixed(2)) : null;
+        return {
+            channel: channel.field,
+            phase: channel.phase,
+            nominal_voltage: channelNominal(channel, config),
+            samples: total,
+            within_tolerance_pct: withinPct,
+            compliant: withinPct === null ? null : withinPct >= config.compliance_pct
+        };
+    }).filter(c => c.samples > 0);
+
+    return {
+        tolerance_pct: config.tolerance_pct,
+        required_pct: config.compliance_pct,
+        compliant: channels.length ? channels.every(c => c.compliant) : null,
+        channels
+    };
+}
+
+app.get('/power-quality', requireRole('viewer'), withMeters, async (req, res) => {
+    try {
+        const today = todayIn(req.tz);
+        const from = req.query.from || req.query.date || today;
+        const to = req.query.to || from;
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid from/to. Use YYYY-MM-DD', example: '/power-quality?from=2025-10-01&to=2025-10-07' });
+        }
+        if ((new Date(to) - new Date(from)) / 86400000 > 31) {
+            return res.status(400).json({ error: 'Range too large (max 31 days)' });
+        }
+
+        const start = getDayRange(from, req.tz).start;
+        const end = getDayRange(to, req.tz).end;
+        const query = { meter_id: { $in: req.meterIds }, start: { $gte: start, $lte: end } };
+        if (req.query.type) query.type = req.query.type;
+
+        const events = await PowerQualityEvent.find(query).sort({ start: 1 }).lean();
+
+        const perDay = {};
+        for (const e of events) {
+            const date = formatStoredTimestamp(e.start, req.tz).slice(0, 10);
+            perDay[date] = perDay[date] || { date, sag: 0, swell: 0, interruption: 0 };
+            perDay[date][e.type]++;
+        }
+
+        const interruptions = events.filter(e => e.type === 'interruption');
+        const compliance = [];
+        for (const meterId of req.meterIds) {
+            const config = await getPqConfig(meterId);
+            compliance.push({ meter_id: meterId, ...(await computeVoltageCompliance(meterId, start, end, config)) });
+        }
+
+        res.json({
+            meter_ids: req.meterIds,
+            from,
+            to,
+            limits: await getPqConfig(req.meterIds[0]),
+            summary: {
+                total_events: events.length,
+                sag: events.filter(e => e.type === 'sag').length,
+                swell: events.filter(e => e.type === 'swell').length,
+                interruption: interruptions.length,
+                interruption_seconds: Number(interruptions.reduce((sum, e) => sum + (e.duration_seconds || 0), 0).toFixed(1)),
+                longest_event_seconds: events.length ? Math.max(...events.map(e => e.duration_seconds || 0)) : 0,
+                ongoing: events.filter(e => e.ongoing).length
+            },
+            compliance: req.meterIds.length === 1 ? compliance[0] : compliance,
+            per_day: Object.values(perDay),
+            events: events.map(e => ({ ...e, start: formatStoredTimestamp(e.start, req.tz), end: formatStoredTimestamp(e.end, req.tz) }))
+        });
+    } catch (err) {
+        console.error('❌ /power-quality error:', err);
+        res.status(500).json({ error: 'Failed to get power quality report', message: err.message });
+    }
+});
+
+// ================= Data Quality =================
+// coverage = เวลาที่มี sample ห่างกันไม่เกิน gap threshold (แบบเดียวกับ rollup) เทียบกับเวลาของวันที่ผ่านไปแล้ว
+function getCoverageReliablePct() {
+    return Number(process.env.COVERAGE_RELIABLE_PCT) || 90;
+}
+
+// วินาทีของวันที่ผ่านไปแล้ว (วันนี้ = ถึงตอนนี้, วันอนาคต = 0)
+function elapsedSecondsOfDay(dateStr, tz = SITE_TIME_ZONE) {
+    const { start, end } = getDayRange(dateStr, tz);
+    const elapsed = (toStorageTimestamp(new Date()) - start) / 1000;
+    return Math.min(Math.max(elapsed, 0), (end - start + 1) / 1000);
+}
+
+function coverageIndicator(coveredSeconds, dateStr, tz = SITE_TIME_ZONE) {
+    const elapsed = elapsedSecondsOfDay(dateStr, tz);
+    const pct = elapsed > 0 ? Math.min(coveredSeconds / elapsed * 100, 100) : 0;
+    return {
+        coverage_pct: Number(pct.toFixed(1)),
+        covered_hours: Number((coveredSeconds / 3600).toFixed(2)),
+        reliable: pct >= getCoverageReliablePct()
+    };
+}
+
+function medianInterval(timestamps) {
+    const intervals = [];
+    for (let i = 1; i < timestamps.length; i++) {
+        const diff = (timestamps[i] - timestamps[i-1]) / 1000;
+        if (diff > 0) intervals.push(diff);
+    }
+    if (!intervals.length) return null;
+    intervals.sort((a, b) => a - b);
+    return Math.round(intervals[Math.floor(intervals.length / 2)]);
+}
+
+async function computeDataQuality(meterId, dateStr, gapSeconds, { includeHourly = true, tz = SITE_TIME_ZONE } = {}) {
+    const { start, end } = getDayRange(dateStr, tz);
+    const dayEnd = new Date(end.getTime() + 1);
+    const windowEnd = new Date(start.getTime() + elapsedSecondsOfDay(dateStr, tz) * 1000);
+
+    // เรียงตามลำดับที่บันทึก (_id) เพื่อหา reading ที่มาไม่เรียงเวลา
+    const rows = await PowerPXDH11.find({ ...meterFilter(meterId), timestamp: { $gte: start, $lt: dayEnd } })
+                                  .sort({ _id: 1 })
+                                  .select('timestamp')
+                                  .lean();
+
+    let outOfOrder = 0;
+    let latest = -Infinity;
+    for (const row of rows) {
+        const ts = row.timestamp.getTime();
+        if (ts < latest) outOfOrder++;
+        else latest = ts;
+    }
+
+    const sorted = rows.map(r => r.timestamp.getTime()).sort((a, b) => a - b);
+    const unique = sorted.filter((ts, i) => i === 0 || ts !== sorted[i-1]);
+    const duplicates = sorted.length - unique.length;
+
+    const meter = await getMeter(meterId);
+    const configured = (meter && meter.sample_interval_seconds) || Number(process.env.EXPECTED_SAMPLE_SECONDS) || null;
+    const inferred = medianInterval(unique);
+    const interval = configured || inferred;
+    const elapsedSeconds = (windowEnd - start) / 1000;
+
+    // ช่วงที่ขาด รวมช่วงต้นวัน/ท้ายวัน (ถึงตอนนี้ถ้าเป็นวันนี้)
+    const gaps = [];
+    const gapMs = gapSeconds * 1000;
+    const points = [start.getTime(), ...unique, windowEnd.getTime()];
+    let coveredMs = 0;
+    for (let i = 1; i < points.length; i++) {
+        const diff = points[i] - points[i-1];
+        if (diff <= 0) continue;
+        const isEdge = i === 1 || i === points.length - 1;
+        if (diff > gapMs) {
+            gaps.push({
+                start: formatStoredTimestamp(points[i-1], tz),
+                end: formatStoredTimestamp(points[i], tz),
+                duration_minutes: Number((diff / 60000).toFixed(1)),
+                ...(isEdge && { edge: i === 1 ? 'day_start' : 'day_end' })
+            });
+        } else if (!isEdge) {
+            coveredMs += diff;
+        }
+    }
+
+    const result = {
+        meter_id: meterId,
+        date: dateStr,
+        expected_interval_seconds: interval,
+        interval_source: configured ? 'configured' : inferred ? 'inferred_median' : null,
+        expected_samples: interval ? Math.floor(elapsedSeconds / interval) : null,
+        received_samples: unique.length,
+        duplicates,
+        out_of_order: outOfOrder,
+        gap_threshold_minutes: Number((gapSeconds / 60).toFixed(2)),
+        ...coverageIndicator(coveredMs / 1000, dateStr, tz),
+        gap_count: gaps.length,
+        largest_gap_minutes: gaps.length ? Math.max(...gaps.map(g => g.duration_minutes)) : 0,
+        gaps
+    };
+
+    if (includeHourly) {
+        result.hourly = Array.from({ length: Math.round((dayEnd - start) / 3600000) }, (_, h) => {
+            const hourStart = start.getTime() + h * 3600000;
+            const hourEnd = Math.min(hourStart + 3600000, windowEnd.getTime());
+            const received = unique.filter(ts => ts >= hourStart && ts < hourStart + 3600000).length;
+            const hourSeconds = Math.max(0, (hourEnd - hourStart) / 1000);
+            const expected = interval ? Math.floor(hourSeconds / interval) : null;
+            return {
+                hour: `${h.toString().padStart(2, '0')}:00`,
+                expected_samples: expected,
+                received_samples: received,
+                coverage_pct: expected ? Number(Math.min(received / expected * 100, 100).toFixed(1)) : null
+            };
+        });
+    }
+
+    return result;
+}
+
+// ?date=YYYY-MM-DD (มีรายชั่วโมง) หรือ ?from=&to= (สรุปรายวัน สูงสุด 31 วัน), ?gap_minutes=
+app.get('/data-quality', requireRole('viewer'), withMeters, async (req, res) => {
+    try {
+        const today = todayIn(req.tz);
+        const from = req.query.from || req.query.date || today;
+        const to = req.query.to || from;
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD', example: '/data-quality?date=2025-10-03&gap_minutes=5' });
+        }
+
+        const dates = [];
+        for (let d = new Date(`${from}T00:00:00Z`); d <= new Date(`${to}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+            dates.push(d.toISOString().slice(0, 10));
+        }
+        if (dates.length > 31) {
+            return res.status(400).json({ error: 'Range too large (max 31 days)' });
+        }
+
+        const gapSeconds = req.query.gap_minutes ? Number(req.query.gap_minutes) * 60 : getMaxGapSeconds();
+        if (!(gapSeconds > 0)) {
+            return res.status(400).json({ error: 'gap_minutes must be a positive number' });
+        }
+
+        const results = [];
+        for (const meterId of req.meterIds) {
+            const days = [];
+            for (const date of dates) {
+                days.push(await computeDataQuality(meterId, date, gapSeconds, { includeHourly: dates.length === 1, tz: req.tz }));
+            }
+            results.push(dates.length === 1 ? days[0] : {
+                meter_id: meterId,
+                from,
+                to,
+                unreliable_days: days.filter(d => !d.reliable).map(d => d.date),
+                days
+            });
+        }
+
+        res.json(results.length === 1 ? results[0] : { meter_ids: req.meterIds, meters: results });
+    } catch (err) {
+        console.error('❌ /data-quality error:', err);
+        res.status(500).json({ error: 'Failed to get data quality', message: err.message });
+    }
+});
+
+// ================= Anomaly Detection =================
+// baseline ต่อ hour-of-week (slot "weekday-hour" แบบเดียวกับ loadHourOfWeekProfile) จาก rollup รายชั่วโมง
+// ย้อนหลัง ANOMALY_BASELINE_WEEKS สัปดาห์ก่อนวันแรกที่ดู ใช้ median กับ MAD จึงไม่เพี้ยนตามวันแปลกๆ ในอดีต
+// score = (kWh จริง - median) / (1.4826 × MAD) |score| >= threshold = ผิดปกติ (high / low)
+// ชั่วโมง/วันที่ coverage ไม่ถึง COVERAGE_RELIABLE_PCT ไม่ใช้ทั้งใน baseline และตอนประเมิน (ข้อมูลขาดจะดูเหมือนใช้ไฟน้อย)
+const ANOMALY_BASELINE_WEEKS = Number(process.env.ANOMALY_BASELINE_WEEKS) || 8;
+const ANOMALY_MIN_SAMPLES = Number(process.env.ANOMALY_MIN_SAMPLES) || 4;
+const ANOMALY_MIN_SCALE_KWH = 0.05; // ต่อชั่วโมง กัน MAD = 0 ของโหลดที่นิ่งมาก (ทั้งวัน × 24)
+const ANOMALY_MIN_SCALE_RATIO = 0.05; // และไม่ต่ำกว่า 5% ของ median
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function getAnomalyThreshold() {
+    return Number(process.env.ANOMALY_THRESHOLD) || 3.5;
+}
+
+function weekdayOf(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+function quantileSorted(sorted, q) {
+    if (!sorted.length) return null;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function robustStats(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const median = quantileSorted(sorted, 0.5);
+    const deviations = sorted.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+    return {
+        samples: sorted.length,
+        median,
+        mad: quantileSorted(deviations, 0.5),
+        p10: quantileSorted(sorted, 0.1),
+        p90: quantileSorted(sorted, 0.9)
+    };
+}
+
+function hasReliableCoverage(rollup) {
+    return !!rollup && (rollup.coverage || 0) * 100 >= getCoverageReliablePct();
+}
+
+// hours = { 'weekday-hour': stats }, days = { weekday: stats } จากช่วง [beforeDate - weeks สัปดาห์, beforeDate)
+async function loadAnomalyBaseline(meterId, beforeDate, weeks = ANOMALY_BASELINE_WEEKS) {
+    const from = addDays(beforeDate, -7 * weeks);
+    const range = { meter_id: meterId, date: { $gte: from, $lt: beforeDate } };
+    const hourRows = await HourlyEnergyRollup.find(range).select('date hour energy_kwh coverage').lean();
+    const dayRows = await DailyEnergyRollup.find(range).select('date energy_kwh coverage').lean();
+
+    const hourValues = {};
+    for (const r of hourRows) {
+        if (!hasReliableCoverage(r)) continue;
+        const slot = `${weekdayOf(r.date)}-${r.hour}`;
+        hourValues[slot] = hourValues[slot] || [];
+        hourValues[slot].push(r.energy_kwh);
+    }
+    const dayValues = {};
+    for (const r of dayRows) {
+        if (!hasReliableCoverage(r)) continue;
+        const weekday = weekdayOf(r.date);
+        dayValues[weekday] = dayValues[weekday] || [];
+        dayValues[weekday].push(r.energy_kwh);
+    }
+
+    const stats = values => Object.fromEntries(Object.entries(values).map(([key, list]) => [key, robustStats(list)]));
+    return { from, to: addDays(beforeDate, -1), weeks, hours: stats(hourValues), days: stats(dayValues) };
+}
+
+// null = baseline ของ slot นี้มีไม่พอ
+function scoreAgainstBaseline(value, stats, threshold, minScaleKwh) {
+    if (!stats || stats.samples < ANOMALY_MIN_SAMPLES) return null;
+    const scale = Math.max(1.4826 * stats.mad, Math.abs(stats.median) * ANOMALY_MIN_SCALE_RATIO, minScaleKwh);
+    const score = (value - stats.median) / scale;
+    return {
+        energy_kwh: Number(value.toFixed(3)),
+        expected_kwh: Number(stats.median.toFixed(3)),
+        typical_range_kwh: [Number(stats.p10.toFixed(3)), Number(stats.p90.toFixed(3))],
+        ratio: stats.median > 0 ? Number((value / stats.median).toFixed(2)) : null,
+        score: Number(score.toFixed(2)),
+        baseline_samples: stats.samples,
+        anomaly: Math.abs(score) >= threshold ? (score > 0 ? 'high' : 'low') : null
+    };
+}
+
+function evaluateAnomalyHour(rollup, baseline, threshold) {
+    const weekday = weekdayOf(rollup.date);
+    const base = {
+        date: rollup.date,
+        weekday: WEEKDAY_NAMES[weekday],
+        hour: `${String(rollup.hour).padStart(2, '0')}:00`
+    };
+    if (!hasReliableCoverage(rollup)) return { ...base, low_coverage: true, anomaly: null };
+    const scored = scoreAgainstBaseline(rollup.energy_kwh, baseline.hours[`${weekday}-${rollup.hour}`], threshold, ANOMALY_MIN_SCALE_KWH);
+    return scored ? { ...base, ...scored } : { ...base, insufficient_baseline: true, anomaly: null };
+}
+
+function evaluateAnomalyDay(rollup, baseline, threshold) {
+    const weekday = weekdayOf(rollup.date);
+    const base = { date: rollup.date, weekday: WEEKDAY_NAMES[weekday] };
+    if (!hasReliableCoverage(rollup)) return { ...base, low_coverage: true, anomaly: null };
+    const scored = scoreAgainstBaseline(rollup.energy_kwh, baseline.days[weekday], threshold, ANOMALY_MIN_SCALE_KWH * 24);
+    return scored ? { ...base, ...scored } : { ...base, insufficient_baseline: true, anomaly: null };
+}
+
+// ประเมินเฉพาะชั่วโมง/วันที่จบแล้ว (วันนี้ดูถึงชั่วโมงก่อนหน้า ไม่ประเมินทั้งวัน)
+async function detectAnomalies(meterId, from, to, { threshold = getAnomalyThreshold(), weeks = ANOMALY_BASELINE_WEEKS, includeHours = false } = {}) {
+    const baseline = await loadAnomalyBaseline(meterId, from, weeks);
+    const now = toZonedClock(new Date());
+    const today = now.toISOString().slice(0, 10);
+
+    const days = [];
+    const hourly = [];
+    for (let date = from; date <= to && date <= today; date = addDays(date, 1)) {
+        const daily = await getDailyRollup(meterId, date);
+        if (!daily) continue;
+
+        const hours = await HourlyEnergyRollup.find({ meter_id: meterId, date }).sort({ hour: 1 }).lean();
+        for (const rollup of hours) {
+            if (date === today && rollup.hour >= now.getUTCHours()) continue;
+            hourly.push(evaluateAnomalyHour(rollup, baseline, threshold));
+        }
+        if (date < today) days.push(evaluateAnomalyDay(daily, baseline, threshold));
+    }
+
+    const anomalies = hourly.filter(h => h.anomaly);
+    return {
+        meter_id: meterId,
+        from,
+        to,
+        threshold,
+        baseline: {
+            method: 'hour_of_week_median_mad',
+            from: baseline.from,
+            to: baseline.to,
+            weeks,
+            min_samples: ANOMALY_MIN_SAMPLES
+        },
+        summary: {
+            hours_evaluated: hourly.filter(h => h.score !== undefined).length,
+            hourly_anomalies: anomalies.length,
+            days_evaluated: days.filter(d => d.score !== undefined).length,
+            daily_anomalies: days.filter(d => d.anomaly).length,
+            low_coverage_hours: hourly.filter(h => h.low_coverage).length
+        },
+        days,
+        anomalies,
+        ...(includeHours && { hours: hourly })
+    };
+}
+
+function parseAnomalyOptions(query) {
+    const threshold = query.threshold ? Number(query.threshold) : getAnomalyThreshold();
+    if (!(threshold > 0)) return { error: 'threshold must be a positive number' };
+    const weeks = query.weeks ? parseInt(query.weeks) : ANOMALY_BASELINE_WEEKS;
+    if (!(weeks >= 1 && weeks <= 52)) return { error: 'weeks must be between 1 and 52' };
+    return { threshold, weeks };
+}
+
+// ?date=YYYY-MM-DD หรือ ?from=&to= (สูงสุด 31 วัน, ไม่ระบุ = เมื่อวาน), ?threshold=3.5, ?weeks=8, ?meter=
+// days = ผลทั้งวันทุกวัน, anomalies = เฉพาะชั่วโมงที่ผิดปกติ (?hours=all ได้ทุกชั่วโมงที่ประเมิน)
+app.get('/anomalies', requireRole('viewer'), requireSiteTimeZone, withMeters, async (req, res) => {
+    try {
+        const from = req.query.from || req.query.date || addDays(todayIn(), -1);
+        const to = req.query.to || from;
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD', example: '/anomalies?from=2025-10-01&to=2025-10-07&threshold=3.5' });
+        }
+        if (addDays(from, 30) < to) {
+            return res.status(400).json({ error: 'Range too large (max 31 days)' });
+        }
+
+        const options = parseAnomalyOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        const results = [];
+        for (const meterId of req.meterIds) {
+            results.push(await detectAnomalies(meterId, from, to, { ...options, includeHours: req.query.hours === 'all' }));
+        }
+
+        res.json(results.length === 1 ? results[0] : { meter_ids: req.meterIds, meters: results });
+    } catch (err) {
+        console.error('❌ /anomalies error:', err);
+        res.status(500).json({ error: 'Failed to detect anomalies', message: err.message });
+    }
+});
+
+// baseline 168 slot (อาทิตย์ 00:00 ... เสาร์ 23:00) ที่ใช้ประเมินวัน ?before= (ไม่ระบุ = วันนี้)
+app.get('/anomalies/baseline', requireRole('viewer'), requireSiteTimeZone, withMeters, async (req, res) => {
+    try {
+        const before = req.query.before || todayIn();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(before)) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD', example: '/anomalies/baseline?before=2025-10-01&weeks=8' });
+        }
+        const options = parseAnomalyOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        const round = stats => stats && {
+            samples: stats.samples,
+            median_kwh: Number(stats.median.toFixed(3)),
+            mad_kwh: Number(stats.mad.toFixed(3)),
+            p10_kwh: Number(stats.p10.toFixed(3)),
+            p90_kwh: Number(stats.p90.toFixed(3))
+        };
+
+        const results = [];
+        for (const meterId of req.meterIds) {
+            const baseline = await loadAnomalyBaseline(meterId, before, options.weeks);
+            results.push({
+                meter_id: meterId,
+                from: baseline.from,
+                to: baseline.to,
+                weeks: baseline.weeks,
+                days: WEEKDAY_NAMES.map((weekday, i) => ({ weekday, ...(round(baseline.days[i]) || { samples: 0 }) })),
+                hours: Array.from({ length: 168 }, (_, slot) => ({
+                    weekday: WEEKDAY_NAMES[Math.floor(slot / 24)],
+                    hour: `${String(slot % 24).padStart(2, '0')}:00`,
+                    ...(round(baseline.hours[`${Math.floor(slot / 24)}-${slot % 24}`]) || { samples: 0 })
+                }))
+            });
+        }
+
+        res.json(results.length === 1 ? results[0] : { meter_ids: req.meterIds, meters: results });
+    } catch (err) {
+        console.error('❌ /anomalies/baseline error:', err);
+        res.status(500).json({ error: 'Failed to load anomaly baseline', message: err.message });
+    }
+});
+
+// ================= Export =================
+// CSV / XLSX สำหรับเอาไปทำ spreadsheet ต่อ ทุกตัวเขียนลง response ทีละแถวจาก cursor
+// ช่วงยาวแค่ไหนก็ไม่ต้องโหลดทั้งหมดเข้าหน่วยความจำ
+// ?from=&to= (YYYY-MM-DD, ไม่ระบุ = วันนี้), ?format=csv|xlsx, ?meter=
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const READING_EXPORT_FIELDS = [
+    'power', 'voltage', 'current',
+    'active_power_phase_a', 'active_power_phase_b', 'active_power_phase_c',
+    'voltage1', 'voltage2', 'voltage3', 'voltageln', 'voltagell'
+];
+
+// เขียนออกเป็น "YYYY-MM-DD HH:mm:ss" ตามเวลาของ tz (ระบุ tz ไว้ที่หัวคอลัมน์)
+function formatExportTimestamp(ts, tz = SITE_TIME_ZONE) {
+    return ts ? formatStoredTimestamp(ts, tz).replace('T', ' ').slice(0, 19) : '';
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // กัน formula injection เวลาเปิดใน Excel
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// columns = [{ key, header, width? }] คืน { write(row), end() } ที่รอ drain ให้เอง
+function createExportWriter(res, { format, filename, sheet, columns }) {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    if (format === 'xlsx') {
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const worksheet = workbook.addWorksheet(sheet);
+        worksheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: c.width || 14 }));
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.getRow(1).commit();
+
+        return {
+            async write(row) {
+                worksheet.addRow(row).commit();
+                if (res.writableNeedDrain) await waitForDrain(res);
+            },
+            async end() {
+                worksheet.commit();
+                await workbook.commit();
+            }
+        };
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    // BOM ให้ Excel อ่านภาษาไทยถูก
+    res.write('\uFEFF' + columns.map(c => csvCell(c.header)).join(',') + '\r\n');
+
+    return {
+        async write(row) {
+            if (!res.write(columns.map(c => csvCell(row[c.key])).join(',') + '\r\n')) await waitForDrain(res);
+        },
+        async end() {
+            res.end();
+        }
+    };
+}
+
+function parseExportQuery(req) {
+    const today = todayIn(req.tz);
+    const from = req.query.from || req.query.date || today;
+    const to = req.query.to || from;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+        return { error: 'Invalid date range. Use from/to as YYYY-MM-DD' };
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `Invalid format (use ${EXPORT_FORMATS.join(', ')})` };
+    }
+    return { from, to, format };
+}
+
+// ไล่ cursor แล้วเขียนทีละแถว หยุดเองถ้า client ปิดการเชื่อมต่อ
+async function streamCursor(res, cursor, writer, toRow) {
+    try {
+        for await (const doc of cursor) {
+            if (res.destroyed) break;
+            const rows = await toRow(doc);
+            if (!rows) continue;
+            for (const row of [].concat(rows)) await writer.write(row);
+        }
+    } finally {
+        await cursor.close();
+    }
+}
+
+// route export ทุกตัวใช้ตัวนี้ ถ้าพังหลังเริ่มส่งแล้วตอบ JSON ไม่ได้ ต้องตัดการเชื่อมต่อแทน
+function exportHandler(name, build) {
+    return async (req, res) => {
+        try {
+            const query = parseExportQuery(req);
+            if (query.error) {
+                return res.status(400).json({ error: query.error, example: `/export/${name}?from=2025-10-01&to=2025-10-31&format=xlsx` });
+            }
+            await build(req, res, query);
+            if (res.statusCode < 400) console.log(`📤 Exported ${name} ${query.from}..${query.to} (${query.format})`);
+        } catch (err) {
+            console.error(`❌ /export/${name} error:`, err);
+            if (res.headersSent) return res.destroy(err);
+            res.status(500).json({ error: 'Failed to export', message: err.message });
+        }
+    };
+}
+
+// raw readings ?fields=power,voltage (ไม่ระบุ = ทุก field)
+app.get('/export/readings', requireRole('viewer'), withMeters, exportHandler('readings', async (req, res, { from, to, format }) => {
+    const fields = req.query.fields
+        ? String(req.query.fields).split(',').map(f => f.trim()).filter(Boolean)
+        : READING_EXPORT_FIELDS;
+    const unknown = fields.filter(f => !READING_EXPORT_FIELDS.includes(f));
+    if (unknown.length || !fields.length) {
+        return res.status(400).json({ error: `Unknown field: ${unknown.join(', ')}`, fields: READING_EXPORT_FIELDS });
+    }
+
+    const cursor = PowerPXDH11.find({
+        ...meterFilter(req.meterIds),
+        timestamp: { $gte: getDayRange(from, req.tz).start, $lte: getDayRange(to, req.tz).end }
+    }).sort({ timestamp: 1 })
+      .select(['meter_id', 'timestamp', ...fields].join(' '))
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    const writer = createExportWriter(res, {
+        format,
+        filename: `readings_${from}_${to}`,
+        sheet: 'Readings',
+        columns: [
+            { key: 'meter_id', header: 'meter_id' },
+            { key: 'timestamp', header: `timestamp (${req.tz})`, width: 20 },
+            ...fields.map(f => ({ key: f, header: f }))
+        ]
+    });
+
+    await streamCursor(res, cursor, writer, doc => ({
+        ...doc,
+        meter_id: doc.meter_id || DEFAULT_METER_ID,
+        timestamp: formatExportTimestamp(doc.timestamp, req.tz)
+    }));
+    await writer.end();
+}));
+
+// ไล่วันที่มี rollup ของแต่ละมิเตอร์ (เรียงตามมิเตอร์แล้ววัน)
+function exportDaysCursor(meterIds, from, to) {
+    return DailyEnergyRollup.find({ meter_id: { $in: meterIds }, date: { $gte: from, $lte: to }, samples: { $gt: 0 } })
+        .sort({ meter_id: 1, date: 1 })
+        .select('meter_id date')
+        .lean()
+        .cursor();
+}
+
+// ตารางรายชั่วโมง: พลังงาน + ค่าไฟ (คิดแบบ /hourly-summary)
+app.get('/export/hourly', requireRole('viewer'), requireSiteTimeZone, withMeters, exportHandler('hourly', async (req, res, { from, to, format }) => {
+    const writer = createExportWriter(res, {
+        format,
+        filename: `hourly_${from}_${to}`,
+        sheet: 'Hourly',
+        columns: [
+            { key: 'meter_id', header: 'meter_id' },
+            { key: 'date', header: 'date', width: 12 },
+            { key: 'hour', header: 'hour', width: 8 },
+            { key: 'energy_kwh', header: 'energy_kwh' },
+            { key: 'estimated_kwh', header: 'estimated_kwh' },
+            { key: 'on_peak_kwh', header: 'on_peak_kwh' },
+            { key: 'off_peak_kwh', header: 'off_peak_kwh' },
+            { key: 'electricity_bill', header: 'electricity_bill' },
+            { key: 'coverage_pct', header: 'coverage_pct' }
+        ]
+    });
+
+    await streamCursor(res, exportDaysCursor(req.meterIds, from, to), writer, async ({ meter_id, date }) => {
+        const bill = await computeHourlyBill(meter_id, date);
+        return bill.hourly.map(h => ({
+            meter_id,
+            date,
+            hour: h.hour,
+            energy_kwh: h.energy_kwh,
+            estimated_kwh: h.estimated_kwh,
+            on_peak_kwh: h.tou ? h.tou.on_peak_kwh : null,
+            off_peak_kwh: h.tou ? h.tou.off_peak_kwh : null,
+            electricity_bill: h.electricity_bill,
+            coverage_pct: h.coverage_pct
+        }));
+    });
+    await writer.end();
+}));
+
+// ตารางรายวัน: พลังงาน + ใบแจ้งค่าไฟแยกรายการ (คิดแบบ /daily-bill)
+app.get('/export/daily', requireRole('viewer'), requireSiteTimeZone, withMeters, exportHandler('daily', async (req, res, { from, to, format }) => {
+    const writer = createExportWriter(res, {
+        format,
+        filename: `daily_${from}_${to}`,
+        sheet: 'Daily',
+        columns: [
+            { key: 'meter_id', header: 'meter_id' },
+            { key: 'date', header: 'date', width: 12 },
+            { key: 'samples', header: 'samples' },
+            { key: 'energy_kwh', header: 'energy_kwh' },
+            { key: 'estimated_kwh', header: 'estimated_kwh' },
+            { key: 'on_peak_kwh', header: 'on_peak_kwh' },
+            { key: 'off_peak_kwh', header: 'off_peak_kwh' },
+            { key: 'month_to_date_kwh', header: 'month_to_date_kwh' },
+            { key: 'max_power_kw', header: 'max_power_kw' },
+            { key: 'energy_charge', header: 'energy_charge' },
+            { key: 'ft_charge', header: 'ft_charge' },
+            { key: 'service_charge', header: 'service_charge' },
+            { key: 'vat', header: 'vat' },
+            { key: 'electricity_bill', header: 'electricity_bill' },
+            { key: 'rate_per_kwh', header: 'rate_per_kwh' },
+            { key: 'coverage_pct', header: 'coverage_pct' },
+            { key: 'tariff', header: 'tariff', width: 24 }
+        ]
+    });
+
+    await streamCursor(res, exportDaysCursor(req.meterIds, from, to), writer, async ({ meter_id, date }) => {
+        const bill = await computeDailyBill(meter_id, date);
+        if (!bill) return null;
+        return {
+            meter_id,
+            date,
+            samples: bill.samples,
+            energy_kwh: bill.total_energy_kwh,
+            estimated_kwh: bill.integration.estimated_kwh,
+            on_peak_kwh: bill.tou ? bill.tou.on_peak_kwh : null,
+            off_peak_kwh: bill.tou ? bill.tou.off_peak_kwh : null,
+            month_to_date_kwh: bill.month_to_date_kwh,
+            max_power_kw: bill.max_power_kw,
+            energy_charge: bill.breakdown.energy_charge,
+            ft_charge: bill.breakdown.ft_charge,
+            service_charge: bill.breakdown.service_charge,
+            vat: bill.breakdown.vat,
+            electricity_bill: bill.electricity_bill,
+            rate_per_kwh: bill.rate_per_kwh,
+            coverage_pct: bill.coverage.coverage_pct,
+            tariff: bill.tariff && bill.tariff.name
+        };
+    });
+    await writer.end();
+}));
+
+// ประวัติแจ้งเตือน ?type=peak,alert (ไม่ระบุ = ทุกประเภท) เรียงตามประเภทแล้วเวลา
+app.get('/export/notifications', requireRole('viewer'), exportHandler('notifications', async (req, res, { from, to, format }) => {
+    const types = req.query.type
+        ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean)
+        : Object.keys(NOTIFICATION_TYPES);
+    const unknown = types.filter(t => !NOTIFICATION_TYPES[t]);
+    if (unknown.length || !types.length) {
+        return res.status(400).json({ error: `Unknown type: ${unknown.join(', ')}`, types: Object.keys(NOTIFICATION_TYPES) });
+    }
+
+    const writer = createExportWriter(res, {
+        format,
+        filename: `notifications_${from}_${to}`,
+        sheet: 'Notifications',
+        columns: [
+            { key: 'type', header: 'type', width: 10 },
+            { key: 'timestamp', header: `timestamp (${req.tz})`, width: 20 },
+            { key: 'meter_id', header: 'meter_id' },
+            { key: 'title', header: 'title', width: 30 },
+            { key: 'body', header: 'body', width: 50 },
+            { key: 'date', header: 'date', width: 12 },
+            { key: 'power', header: 'power' },
+            { key: 'energy_kwh', header: 'energy_kwh' },
+            { key: 'electricity_bill', header: 'electricity_bill' },
+            { key: 'severity', header: 'severity' },
+            { key: 'rule_name', header: 'rule_name', width: 20 },
+            { key: 'value', header: 'value' },
+            { key: 'read', header: 'read', width: 8 }
+        ]
+    });
+
+    const range = { $gte: getDayRange(from, req.tz).start, $lte: getDayRange(to, req.tz).end };
+    for (const type of types) {
+        if (res.destroyed) break;
+        const cursor = Notification.find({ type, timestamp: range }).sort({ timestamp: 1 }).lean().cursor();
+        await streamCursor(res, cursor, writer, n => ({
+            ...n,
+            type,
+            timestamp: formatExportTimestamp(n.timestamp, req.tz),
+            // daily_diff เก็บยอดไว้ใน yesterday
+            date: n.date || (n.yesterday && n.yesterday.date),
+            energy_kwh: n.energy_kwh !== undefined ? n.energy_kwh : n.yesterday && n.yesterday.energy_kwh,
+            electricity_bill: n.electricity_bill !== undefined ? n.electricity_bill : n.yesterday && n.yesterday.electricity_bill
+        }));
+    }
+    await writer.end();
+}));
+
+// ================= Monthly Report =================
+// รายงานประจำเดือนสำหรับฝ่ายอาคาร คิดจากตัวเดียวกับ /monthly-bill, /hourly-summary และ /solar-size
+// ออกได้ทั้ง HTML และ PDF (PDF ภาษาไทยต้องตั้ง REPORT_FONT_PATH เป็นฟอนต์ TTF ที่มีภาษาไทย)
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REPORT_PEAK_ROWS = 10;
+const REPORT_NOTIFICATION_ROWS = 50;
+
+function shiftMonth(yearMonth, months) {
+    const d = new Date(`${yearMonth}-01T00:00:00Z`);
+    d.setUTCMonth(d.getUTCMonth() + months);
+    return d.toISOString().slice(0, 7);
+}
+
+function changePct(current, previous) {
+    return previous > 0 ? Number(((current - previous) / previous * 100).toFixed(1)) : null;
+}
+
+// รวบรวมข้อมูลทั้งหมดของรายงาน (HTML/PDF ใช้ตัวนี้ร่วมกัน)
+async function buildMonthlyReport(meterIds, yearMonth) {
+    const bill = await getMonthlyBill(meterIds, yearMonth);
+    if (!bill) return null;
+
+    const previousMonth = shiftMonth(yearMonth, -1);
+    const previous = await getMonthlyBill(meterIds, previousMonth);
+    const lastDate = addDays(shiftMonth(yearMonth, 1) + '-01', -1);
+    const dates = bill.daily.filter(d => d.samples > 0).map(d => d.date);
+
+    // โปรไฟล์รายชั่วโมงและศักยภาพโซลาร์ คิดทีละวันแบบ /hourly-summary และ /solar-size
+    const profile = Array.from({ length: 24 }, () => ({ energy_kwh: 0, electricity_bill: 0, max_power_kw: 0 }));
+    const solar = { day_energy_kwh: 0, night_energy_kwh: 0, savings: 0, capacity_kw: [] };
+    for (const date of dates) {
+        let capacity = 0;
+        for (const meterId of meterIds) {
+            const hourly = await computeHourlyBill(meterId, date);
+            hourly.hourly.forEach((h, i) => {
+                profile[i].energy_kwh += h.energy_kwh;
+                profile[i].electricity_bill += h.electricity_bill;
+            });
+
+            const solarDay = await computeSolarHourly(meterId, date);
+            if (!solarDay) continue;
+            solarDay.hourly.forEach((h, i) => {
+                profile[i].max_power_kw = Math.max(profile[i].max_power_kw, h.peak_power);
+            });
+            const s = summarizeSolar(solarDay.hourly);
+            solar.day_energy_kwh += s.dayEnergy;
+            solar.night_energy_kwh += s.nightEnergy;
+            solar.savings += s.savingsDay;
+            capacity += s.solarCapacity_kW;
+        }
+        solar.capacity_kw.push(capacity);
+    }
+
+    const hourRollups = await HourlyEnergyRollup.find({ meter_id: { $in: meterIds }, date: { $gte: `${yearMonth}-01`, $lte: lastDate } })
+        .sort({ max_power_kw: -1 })
+        .limit(REPORT_PEAK_ROWS)
+        .select('meter_id date hour max_power_kw avg_power_kw energy_kwh')
+        .lean();
+
+    const phaseTotals = await DailyEnergyRollup.aggregate([
+        { $match: { meter_id: { $in: meterIds }, date: { $gte: `${yearMonth}-01`, $lte: lastDate }, phase_a_kwh: { $exists: true } } },
+        { $group: { _id: null, a: { $sum: '$phase_a_kwh' }, b: { $sum: '$phase_b_kwh' }, c: { $sum: '$phase_c_kwh' } } }
+    ]);
+    let phases = null;
+    if (phaseTotals.length) {
+        const { a, b, c } = phaseTotals[0];
+        const total = a + b + c;
+        phases = {
+            phases: [['a', a], ['b', b], ['c', c]].map(([phase, kwh]) => ({
+                phase,
+                energy_kwh: Number(kwh.toFixed(2)),
+                share_pct: total > 0 ? Number((kwh / total * 100).toFixed(1)) : 0
+            })),
+            imbalance_pct: roundOrNull(maxDeviationPct([a, b, c]), 1)
+        };
+    }
+
+    // แจ้งเตือนของเดือน (ตามวันของไซต์)
+    const range = { $gte: getDayRange(`${yearMonth}-01`).start, $lte: getDayRange(lastDate).end };
+    const typeCounts = {};
+    let notifications = [];
+    for (const { type, per_meter } of Object.values(NOTIFICATION_TYPES)) {
+        if (type === 'test') continue;
+        const query = { type, timestamp: range, ...(per_meter && meterFilter(meterIds)) };
+        typeCounts[type] = await Notification.countDocuments(query);
+        const items = await Notification.find(query).sort({ timestamp: -1 }).limit(REPORT_NOTIFICATION_ROWS).select('title body timestamp').lean();
+        notifications.push(...items.map(n => ({ type, timestamp: formatExportTimestamp(n.timestamp), title: n.title, body: n.body })));
+    }
+    notifications = notifications.sort((x, y) => x.timestamp.localeCompare(y.timestamp)).slice(-REPORT_NOTIFICATION_ROWS);
+
+    const days = dates.length;
+    return {
+        month: yearMonth,
+        generated_at: new Date().toISOString(),
+        meters: await Promise.all(meterIds.map(meterLabel)),
+        summary: {
+            total_energy_kwh: bill.total_energy_kwh,
+            electricity_bill: bill.electricity_bill,
+            rate_per_kwh: bill.rate_per_kwh,
+            days_with_data: bill.days_with_data,
+            avg_daily_kwh: bill.avg_daily_kwh,
+            peak_day: bill.peak_day,
+            breakdown: bill.breakdown,
+            tou: bill.tou,
+            integration: bill.integration
+        },
+        comparison: previous && {
+            month: previousMonth,
+            total_energy_kwh: previous.total_energy_kwh,
+            electricity_bill: previous.electricity_bill,
+            energy_change_kwh: Number((bill.total_energy_kwh - previous.total_energy_kwh).toFixed(2)),
+            energy_change_pct: changePct(bill.total_energy_kwh, previous.total_energy_kwh),
+            bill_change: Number((bill.electricity_bill - previous.electricity_bill).toFixed(2)),
+            bill_change_pct: changePct(bill.electricity_bill, previous.electricity_bill),
+            avg_daily_change_pct: changePct(bill.avg_daily_kwh, previous.avg_daily_kwh)
+        },
+        daily: bill.daily,
+        peak_demand: hourRollups.map(r => ({
+            meter_id: r.meter_id,
+            date: r.date,
+            hour: `${String(r.hour).padStart(2, '0')}:00`,
+            max_power_kw: roundOrNull(r.max_power_kw),
+            avg_power_kw: roundOrNull(r.avg_power_kw),
+            energy_kwh: roundOrNull(r.energy_kwh)
+        })),
+        hourly_profile: profile.map((h, i) => ({
+            hour: `${String(i).padStart(2, '0')}:00`,
+            avg_energy_kwh: days ? Number((h.energy_kwh / days).toFixed(2)) : 0,
+            avg_electricity_bill: days ? Number((h.electricity_bill / days).toFixed(2)) : 0,
+            max_power_kw: Number(h.max_power_kw.toFixed(2))
+        })),
+        phases,
+        solar: {
+            day_energy_kwh: Number(solar.day_energy_kwh.toFixed(2)),
+            night_energy_kwh: Number(solar.night_energy_kwh.toFixed(2)),
+            avg_solar_capacity_kw: days ? Number((solar.capacity_kw.reduce((s, c) => s + c, 0) / days).toFixed(2)) : 0,
+            avoidable_cost: Number(solar.savings.toFixed(2))
+        },
+        notifications: { counts: typeCounts, items: notifications }
+    };
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function signed(value, unit = '') {
+    if (value === null || value === undefined) return '-';
+    return `${value > 0 ? '+' : ''}${value}${unit}`;
+}
+
+// ตารางเดียวกันทั้ง HTML และ PDF: [{ header, value(row), align? }]
+const REPORT_TABLES = {
+    daily: [
+        { header: 'Date', value: d => d.date },
+        { header: 'kWh', value: d => d.energy_kwh, align: 'right' },
+        { header: 'Estimated kWh', value: d => d.estimated_kwh || 0, align: 'right' },
+        { header: 'THB', value: d => d.electricity_bill, align: 'right' },
+        { header: 'Peak kW', value: d => (d.max_power_kw === undefined ? '-' : d.max_power_kw), align: 'right' }
+    ],
+    peak_demand: [
+        { header: 'Meter', value: p => p.meter_id },
+        { header: 'Date', value: p => p.date },
+        { header: 'Hour', value: p => p.hour },
+        { header: 'Peak kW', value: p => p.max_power_kw, align: 'right' },
+        { header: 'Avg kW', value: p => p.avg_power_kw, align: 'right' },
+        { header: 'kWh', value: p => p.energy_kwh, align: 'right' }
+    ],
+    hourly_profile: [
+        { header: 'Hour', value: h => h.hour },
+        { header: 'Avg kWh', value: h => h.avg_energy_kwh, align: 'right' },
+        { header: 'Avg THB', value: h => h.avg_electricity_bill, align: 'right' },
+        { header: 'Peak kW', value: h => h.max_power_kw, align: 'right' }
+    ],
+    phases: [
+        { header: 'Phase', value: p => p.phase.toUpperCase() },
+        { header: 'kWh', value: p => p.energy_kwh, align: 'right' },
+        { header: 'Share %', value: p => p.share_pct, align: 'right' }
+    ],
+    notifications: [
+        { header: 'Time', value: n => n.timestamp },
+        { header: 'Type', value: n => n.type },
+        { header: 'Title', value: n => n.title },
+        { header: 'Detail', value: n => n.body }
+    ]
+};
+
+function reportFacts(report) {
+    const { summary, comparison, solar } = report;
+    return [
+        ['Total energy', `${summary.total_energy_kwh} kWh`],
+        ['Electricity bill', `${summary.electricity_bill} THB (${summary.rate_per_kwh} THB/kWh)`],
+        ['Days with data', summary.days_with_data],
+        ['Average per day', `${summary.avg_daily_kwh} kWh`],
+        ['Highest day', summary.peak_day ? `${summary.peak_day.date} (${summary.peak_day.energy_kwh} kWh)` : '-'],
+        ['Estimated energy', `${summary.integration.estimated_kwh} kWh (${summary.integration.estimated_pct}%)`],
+        ['Charges', `energy ${summary.breakdown.energy_charge} + Ft ${summary.breakdown.ft_charge} + service ${summary.breakdown.service_charge} + VAT ${summary.breakdown.vat}`],
+        ...(summary.tou ? [['TOU', `on-peak ${summary.tou.on_peak_kwh} kWh / off-peak ${summary.tou.off_peak_kwh} kWh`]] : []),
+        ['vs ' + (comparison ? comparison.month : 'last month'), comparison
+            ? `${signed(comparison.energy_change_kwh, ' kWh')} (${signed(comparison.energy_change_pct, '%')}), ${signed(comparison.bill_change, ' THB')} (${signed(comparison.bill_change_pct, '%')})`
+            : 'no data'],
+        ['Solar potential', `${solar.day_energy_kwh} kWh daytime use, ~${solar.avg_solar_capacity_kw} kW system, ${solar.avoidable_cost} THB avoidable`]
+    ];
+}
+
+function renderReportHtml(report) {
+    const table = (columns, rows) => `
+    <table>
+      <thead><tr>${columns.map(c => `<th>${escapeHtml(c.header)}</th>`).join('')}</tr></thead>
+      <tbody>${rows.map(r => `<tr>${columns.map(c => `<td class="${c.align || ''}">${escapeHtml(c.value(r))}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`;
+    const maxProfile = Math.max(...report.hourly_profile.map(h => h.avg_energy_kwh), 0.01);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Energy report ${escapeHtml(report.month)}</title>
+<style>
+  body { font-family: Sarabun, Tahoma, sans-serif; margin: 24px; color: #222; }
+  h1 { margin-bottom: 0; } h2 { margin-top: 28px; border-bottom: 1px solid #ccc; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; } th { background: #f3f3f3; text-align: left; }
+  td.right { text-align: right; }
+  .facts td:first-child { font-weight: bold; width: 180px; }
+  .bar { background: #4a90d9; height: 10px; }
+  @media print { h2 { page-break-after: avoid; } table { page-break-inside: auto; } }
+</style>
+</head>
+<body>
+  <h1>Energy report ${escapeHtml(report.month)}</h1>
+  <p>${escapeHtml(report.meters.join(', '))} &middot; generated ${escapeHtml(report.generated_at)}</p>
+
+  <h2>Summary</h2>
+  <table class="facts">${reportFacts(report).map(([k, v]) => `<tr><td>${escapeHtml(k)}</td><td>${escapeHtml(v)}</td></tr>`).join('')}</table>
+
+  <h2>Daily energy and cost</h2>
+  ${table(REPORT_TABLES.daily, report.daily)}
+
+  <h2>Peak demand</h2>
+  ${table(REPORT_TABLES.peak_demand, report.peak_demand)}
+
+  <h2>Hourly load profile (average day)</h2>
+  <table>
+    <thead><tr><th>Hour</th><th>Avg kWh</th><th>Avg THB</th><th>Peak kW</th><th style="width:40%"></th></tr></thead>
+    <tbody>${report.hourly_profile.map(h => `<tr><td>${h.hour}</td><td class="right">${h.avg_energy_kwh}</td><td class="right">${h.avg_electricity_bill}</td><td class="right">${h.max_power_kw}</td><td><div class="bar" style="width:${(h.avg_energy_kwh / maxProfile * 100).toFixed(1)}%"></div></td></tr>`).join('')}</tbody>
+  </table>
+
+  <h2>Phase breakdown</h2>
+  ${report.phases
+        ? `${table(REPORT_TABLES.phases, report.phases.phases)}<p>Energy imbalance: ${escapeHtml(report.phases.imbalance_pct)}%</p>`
+        : '<p>No per-phase data for this month.</p>'}
+
+  <h2>Notifications</h2>
+  <p>${Object.entries(report.notifications.counts).map(([type, count]) => `${escapeHtml(type)}: ${count}`).join(' &middot; ')}</p>
+  ${report.notifications.items.length ? table(REPORT_TABLES.notifications, report.notifications.items) : '<p>No notifications.</p>'}
+</body>
+</html>`;
+}
+
+// เขียน PDF ลง stream (response หรือไฟล์) คืน promise ที่จบเมื่อเขียนเสร็จ
+function renderReportPdf(report, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Energy report ${report.month}` } });
+    if (process.env.REPORT_FONT_PATH) doc.font(process.env.REPORT_FONT_PATH);
+    const done = new Promise((resolve, reject) => {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+    });
+    doc.pipe(stream);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    const heading = text => {
+        if (doc.y > bottom() - 60) doc.addPage();
+        doc.moveDown(0.8).fontSize(13).text(text, left, doc.y).moveDown(0.3).fontSize(8);
+    };
+
+    const table = (columns, rows) => {
+        const colWidth = width / columns.length;
+        const drawRow = (cells, bold) => {
+            const heights = cells.map(c => doc.heightOfString(String(c), { width: colWidth - 6 }));
+            const rowHeight = Math.max(...heights) + 4;
+            if (doc.y + rowHeight > bottom()) doc.addPage();
+            const y = doc.y;
+            if (bold) doc.rect(left, y, width, rowHeight).fill('#eeeeee').fillColor('#000000');
+            cells.forEach((c, i) => {
+                doc.text(String(c), left + i * colWidth + 3, y + 2, { width: colWidth - 6, align: columns[i].align || 'left' });
+            });
+            doc.y = y + rowHeight;
+        };
+        drawRow(columns.map(c => c.header), true);
+        for (const r of rows) drawRow(columns.map(c => c.value(r)), false);
+        doc.x = left;
+    };
+
+    doc.fontSize(18).text(`Energy report ${report.month}`);
+    doc.fontSize(9).text(`${report.meters.join(', ')} - generated ${report.generated_at}`);
+
+    heading('Summary');
+    for (const [k, v] of reportFacts(report)) doc.text(`${k}: ${v}`);
+
+    heading('Daily energy and cost');
+    table(REPORT_TABLES.daily, report.daily);
+
+    heading('Peak demand');
+    table(REPORT_TABLES.peak_demand, report.peak_demand);
+
+    heading('Hourly load profile (average day)');
+    const maxProfile = Math.max(...report.hourly_profile.map(h => h.avg_energy_kwh), 0.01);
+    const chartTop = doc.y;
+    const chartHeight = 80;
+    const barWidth = width / 24;
+    report.hourly_profile.forEach((h, i) => {
+        const barHeight = h.avg_energy_kwh / maxProfile * chartHeight;
+        doc.rect(left + i * barWidth + 1, chartTop + chartHeight - barHeight, barWidth - 2, barHeight).fill('#4a90d9');
+        doc.fillColor('#000000').text(String(i), left + i * barWidth, chartTop + chartHeight + 2, { width: barWidth, align: 'center' });
+    });
+    doc.x = left;
+    doc.y = chartTop + chartHeight + 14;
+    table(REPORT_TABLES.hourly_profile, report.hourly_profile);
+
+    heading('Phase breakdown');
+    if (report.phases) {
+        table(REPORT_TABLES.phases, report.phases.phases);
+        doc.text(`Energy imbalance: ${report.phases.imbalance_pct}%`, left, doc.y + 4);
+    } else {
+        doc.text('No per-phase data for this month.');
+    }
+
+    heading('Notifications');
+    doc.text(Object.entries(report.notifications.counts).map(([type, count]) => `${type}: ${count}`).join('   '));
+    doc.moveDown(0.3);
+    if (report.notifications.items.length) table(REPORT_TABLES.notifications, report.notifications.items);
+
+    doc.end();
+    return done;
+}
+
+// ?format=html|pdf (ค่าเริ่มต้น html), ?download=true ให้ browser บันทึกไฟล์
+async function monthlyReportHandler(req, res) {
+    try {
+        const thisMonth = todayIn().slice(0, 7);
+        const yearMonth = req.params.month || req.query.month || thisMonth;
+        const format = (req.query.format || 'html').toLowerCase();
+
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(yearMonth)) {
+            return res.status(400).json({ error: 'Invalid month format. Use YYYY-MM', example: '/report/monthly/2025-09?format=pdf' });
+        }
+        if (!['html', 'pdf'].includes(format)) {
+            return res.status(400).json({ error: 'Invalid format (use html, pdf)' });
+        }
+
+        const report = await buildMonthlyReport(req.meterIds, yearMonth);
+        if (!report) {
+            return res.status(404).json({ error: `No data found for ${yearMonth}`, month: yearMonth, meter_ids: req.meterIds });
+        }
+
+        const filename = `energy-report_${yearMonth}.${format}`;
+        if (format === 'pdf' || req.query.download === 'true') {
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        }
+        if (format === 'html') {
+            return res.type('html').send(renderReportHtml(report));
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        await renderReportPdf(report, res);
+    } catch (err) {
+        console.error('❌ /report/monthly error:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({ error: 'Failed to build monthly report', message: err.message });
+    }
+}
+
+app.get('/report/monthly', requireRole('viewer'), requireSiteTimeZone, withMeters, monthlyReportHandler);
+app.get('/report/monthly/:month', requireRole('viewer'), requireSiteTimeZone, withMeters, monthlyReportHandler);
+
+// cron: บันทึกรายงานเดือนก่อน (ทุกมิเตอร์รวมกัน) ลง REPORT_DIR
+// ไม่ตั้งไว้ใช้ temp dir ของเครื่อง ไม่เขียนลงโฟลเดอร์ซอร์ส
+function getReportDir() {
+    return process.env.REPORT_DIR || path.join(os.tmpdir(), 'px-dh-reports');
+}
+
+async function generateMonthlyReportFiles(yearMonth) {
+    const report = await buildMonthlyReport(await getActiveMeterIds(), yearMonth);
+    if (!report) {
+        console.log(`⚠️ No data for monthly report ${yearMonth}`);
+        return null;
+    }
+
+    const dir = getReportDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+    const base = path.join(dir, `energy-report_${yearMonth}`);
+    await fs.promises.writeFile(`${base}.html`, renderReportHtml(report));
+    await renderReportPdf(report, fs.createWriteStream(`${base}.pdf`));
+
+    console.log(`📄 Monthly report ${yearMonth} saved to ${base}.{html,pdf}`);
+    return base;
+}
+
+// ================= Daily Diff Popup =================
+app.get('/daily-diff-popup', requireRole('viewer'), async (req, res) => {
+    try {
+        const todayStr = todayIn();
+
+        if (!req.session.lastPopupDate || req.session.lastPopupDate !== todayStr) {
+            const axios = require('axios');
+            // ส่ง cookie / key ของผู้เรียกต่อไปด้วย /daily-diff ต้อง login เหมือนกัน
+            const diffResp = await axios.get(`http://localhost:${PORT}/daily-diff`, {
+                headers: {
+                    ...(req.headers.cookie && { cookie: req.headers.cookie }),
+                    ...(requestApiKey(req) && { 'x-api-key': requestApiKey(req) })
+                }
+            });
+
+            req.session.lastPopupDate = todayStr;
+
+            return res.json({
+                showPopup: true,
+                data: diffResp.data
+            });
+        }
+
+        res.json({ showPopup: false });
+
+    } catch (err) {
+        console.error('❌ /daily-diff-popup error:', err.message);
+        res.status(500).json({ showPopup: false, error: err.message });
+    }
+});
+
+// ================= Solar Size =================
+async function computeSolarHourly(meterId, date, ratePerKwh, tz = SITE_TIME_ZONE) {
+    const rollups = await getDayHourlyRollups(meterId, date, tz);
+    if (!rollups.length) return null;
+
+    // ส่ง ratePerKwh มาเองได้ (คิดแบบอัตราเดียว) ไม่งั้นใช้อัตราของแผนปัจจุบัน
+    const tariff = ratePerKwh !== undefined
+        ? { id: 'custom_flat', name: `Flat ${Number(ratePerKwh)} THB/kWh`, type: 'progressive', tiers: [{ upTo: null, rate: Number(ratePerKwh) }] }
+        : await resolveMeterTariff(meterId, date);
+
+    const hourlyEnergy = createHourlyBuckets();
+    const hourlyPeak = Array.from({length:24}, () => 0);
+    const hourlyEstimated = Array.from({length:24}, () => 0);
+    for (const r of rollups) {
+        hourlyEnergy[r.hour] = rollupSplit(r);
+        hourlyPeak[r.hour] = r.max_power_kw || 0;
+        hourlyEstimated[r.hour] = r.estimated_kwh || 0;
+    }
+
+    const monthToDateKwh = await getMonthToDateKwh(date, meterId);
+    const hourlyPricing = priceSequence(hourlyEnergy, monthToDateKwh, tariff, { date, serviceDays: 1 / 24 });
+
+    const hourlyArray = hourlyEnergy.map((energy,h) => {
+        const breakdown = hourlyPricing[h].breakdown;
+        return {
+            hour: `${h.toString().padStart(2,'0')}:00`,
+            energy_kwh: Number(energy.energy_kwh.toFixed(2)),
+            estimated_kwh: Number(hourlyEstimated[h].toFixed(2)),
+            electricity_bill: hourlyPricing[h].electricity_bill,
+            // โซลาร์ลดได้แค่ค่าพลังงาน + Ft (+VAT) ค่าบริการรายเดือนยังต้องจ่ายเท่าเดิม
+            avoidable_cost: Number(((breakdown.energy_charge + breakdown.ft_charge) * (1 + breakdown.vat_rate)).toFixed(2)),
+            tiers: hourlyPricing[h].tier_breakdown.map(t => t.tier),
+            breakdown,
+            tou: hourlyPricing[h].tou,
+            peak_power: Number(hourlyPeak[h].toFixed(2))
+        };
+    });
+
+    return {
+        meter_id: meterId,
+        tariff: describeTariff(tariff),
+        month_to_date_kwh: Number(monthToDateKwh.toFixed(2)),
+        integration: integrationSummary(rollups),
+        hourly: hourlyArray
+    };
+}
+
+function summarizeSolar(hourlyArray) {
+    const isDayHour = h => h >= 6 && h <= 18;
+
+    const dayEnergy = hourlyArray
+        .slice(6, 19)
+        .reduce((sum,o) => sum + o.energy_kwh, 0);
+
+    const nightEnergy = hourlyArray
+        .filter((_,h) => h < 6 || h > 18)
+        .reduce((sum,o) => sum + o.energy_kwh, 0);
+
+    const dayCost = hourlyArray
+        .filter((_,h) => isDayHour(h))
+        .reduce((sum,o) => sum + o.electricity_bill, 0);
+
+    const nightCost = hourlyArray
+        .filter((_,h) => !isDayHour(h))
+        .reduce((sum,o) => sum + o.electricity_bill, 0);
+
+    const totalEnergyKwh = dayEnergy + nightEnergy;
+    const peakPowerDay = Math.max(...hourlyArray.map(o => o.peak_power));
+
+    const savingsDay = hourlyArray
+        .filter((_,h) => isDayHour(h))
+        .reduce((sum,o) => sum + o.avoidable_cost, 0);
+
+    const H_sun = 4;
+    const solarCapacity_kW = dayEnergy / H_sun;
+
+    return {
+        dayEnergy: Number(dayEnergy.toFixed(2)),
+        nightEnergy: Number(nightEnergy.toFixed(2)),
+        dayCost: Number(dayCost.toFixed(2)),
+        nightCost: Number(nightCost.toFixed(2)),
+        totalEnergyKwh: Number(totalEnergyKwh.toFixed(2)),
+        totalCost: Number((dayCost + nightCost).toFixed(2)),
+        sunHours: H_sun,
+        solarCapacity_kW: Number(solarCapacity_kW.toFixed(2)),
+        peakPowerDay: Number(peakPowerDay.toFixed(2)),
+        savingsDay: Number(savingsDay.toFixed(2)),
+        savingsMonth: Number((savingsDay*30).toFixed(2)),
+        savingsYear: Number((savingsDay*365).toFixed(2))
+    };
+}
+
+app.get('/solar-size', requireRole('viewer'), withMeters, async (req, res) => {
+    try {
+        const { date, ratePerKwh } = req.query;
+
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ 
+                error: "Missing or invalid date. Use YYYY-MM-DD",
+                example: "/solar-size?date=2025-10-07"
+            });
+        }
+
+        const results = [];
+        for (const meterId of req.meterIds) {
+            const result = await computeSolarHourly(meterId, date, ratePerKwh, req.tz);
+            if (result) results.push(result);
+        }
+
+        if (!results.length) {
+            return res.status(404).json({
+                error: `No data for ${date}`,
+                date,
+                meter_ids: req.meterIds,
+                hourly: Array.from({length:24}, (_,h) => ({
+                    hour: `${h.toString().padStart(2,'0')}:00`,
+                    energy_kwh: 0,
+                    electricity_bill: 0,
+                    peak_power: 0
+                })),
+                dayEnergy: 0,
+                nightEnergy: 0,
+                totalEnergyKwh: 0,
+                solarCapacity_kW: 0,
+                peakPowerDay: 0,
+                savingsDay: 0,
+                savingsMonth: 0,
+                savingsYear: 0
+            });
+        }
+
+        if (req.meterIds.length === 1) {
+            const [result] = results;
+            return res.json({
+                date,
+                meter_id: result.meter_id,
+                tariff: result.tariff,
+                month_to_date_kwh: result.month_to_date_kwh,
+                integration: result.integration,
+                hourly: result.hourly,
+                ...summarizeSolar(result.hourly)
+            });
+        }
+
+        // หลายมิเตอร์: รวมรายชั่วโมง (peak_power เป็นผลรวม peak ของแต่ละมิเตอร์ ไม่ใช่ peak ที่เกิดพร้อมกัน)
+        const hourly = results[0].hourly.map((h, i) => {
+            const sumOf = key => Number(results.reduce((sum, r) => sum + r.hourly[i][key], 0).toFixed(2));
+            return {
+                hour: h.hour,
+                energy_kwh: sumOf('energy_kwh'),
+                estimated_kwh: sumOf('estimated_kwh'),
+                electricity_bill: sumOf('electricity_bill'),
+                avoidable_cost: sumOf('avoidable_cost'),
+                peak_power: sumOf('peak_power')
+            };
+        });
+
+        res.json({
+            date,
+            meter_ids: results.map(r => r.meter_id),
+            meters: results.map(r => ({ meter_id: r.meter_id, tariff: r.tariff, ...summarizeSolar(r.hourly) })),
+            integration: combineIntegration(results.map(r => r.integration)),
+            hourly,
+            ...summarizeSolar(hourly)
+        });
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ================= Raw Local =================
+app.get('/raw-local', requireRole('viewer'), withMeters, async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (!date) return res.status(400).json({ error: 'Missing date' });
+
+    const dayStart = getDayRange(date, req.tz).start.getTime();
+    const start = new Date(dayStart + 8 * HOUR_MS);
+    const end   = new Date(dayStart + 9 * HOUR_MS);
+
+    const data = await PowerPXDH11.find({
+      ...meterFilter(req.meterIds),
+      timestamp: { $gte: start, $lte: end }
+    }).sort({ timestamp: 1 });
+
+    const totalPower = data.reduce((sum, d) => sum + d.power, 0);
+
+    res.json({
+      date,
+      period: `08:00-09:00 ${req.tz}`,
+      count: data.length,
+      totalPower: Number(totalPower.toFixed(3)),
+      data
+    });
+
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/raw-08-09', requireRole('viewer'), withMeters, async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "Invalid date. Use YYYY-MM-DD" });
+    }
+
+    const dayStart = getDayRange(date, req.tz).start.getTime();
+    const start = new Date(dayStart + 8 * HOUR_MS);
+    const end = new Date(dayStart + 9 * HOUR_MS - 1);
+
+    const data = await PowerPXDH11.find({
+      ...meterFilter(req.meterIds),
+      timestamp: { $gte: start, $lte: end }
+    }).sort({ timestamp: 1 });
+
+    const totalPower = data.reduce((sum, d) => sum + d.power, 0);
+
+    res.json({
+      date,
+      period: `08:00-09:00 ${req.tz}`,
+      count: data.length,
+      totalPower: Number(totalPower.toFixed(3)),
+      data
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ================= Diagnostics Range =================
+app.get('/diagnostics-range', requireRole('viewer'), withMeters, async (req, res) => {
+  try {
+    const { start, end } = req.query;
+
+    if (!start || !end) {
+      return res.status(400).json({
+        error: "Missing query params",
+        example: "/diagnostics-range?start=2025-10-02T17:00:00Z&end=2025-10-02T17:05:00Z&meter=main"
+      });
+    }
+
+    const data = await PowerPXDH11.find({
+      ...meterFilter(req.meterIds),
+      timestamp: {
+        $gte: toStorageTimestamp(new Date(start)),
+        $lte: toStorageTimestamp(new Date(end))
+      }
+    })
+    .sort({ timestamp: 1 })
+    .select('meter_id timestamp power voltage current active_power_phase_a active_power_phase_b active_power_phase_c');
+
+    const result = data.map(d => ({
+      _id: d._id,
+      meter_id: d.meter_id || DEFAULT_METER_ID,
+      voltage: d.voltage,
+      current: d.current,
+      power: d.power,
+      active_power_phase_a: d.active_power_phase_a,
+      active_power_phase_b: d.active_power_phase_b,
+      active_power_phase_c: d.active_power_phase_c,
+      timestamp: formatStoredTimestamp(d.timestamp, req.tz)
+    }));
+
+    res.json(result);
+
+  } catch (err) {
+    console.error('❌ /diagnostics-range error:', err);
+    res.status(500).json({ error: "Failed", message: err.message });
+  }
+});
+
+// ================= Reading Ingestion =================
+const READING_FIELDS = [
+    'voltage', 'current', 'power',
+    'active_power_phase_a', 'active_power_phase_b', 'active_power_phase_c',
+    'voltage1', 'voltage2', 'voltage3', 'voltageln', 'voltagell'
+];
+const NON_NEGATIVE_FIELDS = ['voltage', 'current', 'voltage1', 'voltage2', 'voltage3', 'voltageln', 'voltagell'];
+const MAX_INGEST_BATCH = 5000;
+
+// เวลาที่รับต้องระบุเขตเวลาชัดเจน: ISO ที่มี Z/±HH:MM, epoch ms, หรือส่ง timezone (±HH:MM หรือ IANA) มากับ batch
+function parseOffset(timezone) {
+    if (!timezone) return null;
+    if (timezone === 'UTC' || timezone === 'Z') return '+00:00';
+    return /^[+-]\d{2}:\d{2}$/.test(timezone) ? timezone : undefined;
+}
+
+function parseReadingTimestamp(value, timezone) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? { date: new Date(value) } : { error: 'timestamp must be a finite epoch ms' };
+    }
+    if (typeof value !== 'string' || !value) return { error: 'timestamp is required' };
+
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+    let iso = value;
+    if (!hasZone) {
+        const offset = parseOffset(timezone);
+        if (offset === null) return { error: 'timestamp has no timezone; add Z/±HH:MM or send timezone' };
+        if (offset === undefined) {
+            if (!isValidTimeZone(timezone)) return { error: `Unsupported timezone: ${timezone}` };
+            const clock = new Date(`${value}Z`);
+            return isNaN(clock) ? { error: `Invalid timestamp: ${value}` } : { date: fromZonedClock(clock, timezone) };
+        }
+        iso = `${value}${offset}`;
+    }
+
+    const date = new Date(iso);
+    return isNaN(date) ? { error: `Invalid timestamp: ${value}` } : { date };
+}
+
+function validateReading(raw, timezone, knownMeters, defaultMeterId = DEFAULT_METER_ID) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { errors: ['reading must be an object'] };
+    }
+
+    const { date, error } = parseReadingTimestamp(raw.timestamp, raw.timezone || timezone);
+    if (error) errors.push(error);
+    else if (date.getTime() > Date.now() + 5*60*1000) errors.push('timestamp is in the future');
+
+    if (raw.power === undefined) errors.push('power is required');
+
+    const meterId = raw.meter_id || defaultMeterId;
+    if (!knownMeters.has(meterId)) errors.push(`Unknown meter: ${meterId}`);
+
+    const doc = { meter_id: meterId };
+    for (const field of READING_FIELDS) {
+        if (raw[field] === undefined || raw[field] === null) continue;
+        const value = raw[field];
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${field} must be a finite number`);
+        } else if (NON_NEGATIVE_FIELDS.includes(field) && value < 0) {
+            errors.push(`${field} must not be negative`);
+        } else {
+            doc[field] = value;
+        }
+    }
+
+    const unknown = Object.keys(raw).filter(k => !READING_FIELDS.includes(k) && !['timestamp', 'timezone', 'meter_id'].includes(k));
+    if (unknown.length) errors.push(`Unknown fields: ${unknown.join(', ')}`);
+
+    if (errors.length) return { errors };
+    return { doc: { ...doc, timestamp: toStorageTimestamp(date) }, utc: date };
+}
+
+// รับ reading เดียว, array หรือ { timezone, meter_id, readings: [...] }
+// ซ้ำกัน (meter_id + timestamp เดิม) จะไม่เขียนทับ และรายงานเป็น duplicate (กันซ้ำจริงด้วย unique index)
+app.post('/api/readings', requireRole('ingest'), async (req, res) => {
+  // โหมดการเก็บต้องรู้ก่อนแปลงเวลา (และรอถ้า migration กำลังสลับโหมด) ยังไม่รู้ = ไม่รับ ไม่งั้นเวลาสองแบบปนกัน
+  if (!(await ensureTimestampStorage())) {
+    res.set('Retry-After', '30');
+    return res.status(503).json({ success: false, error: 'Timestamp storage mode not loaded yet; retry later' });
+  }
+  ingestInFlight++;
+  try {
+    const body = req.body;
+    const timezone = body && !Array.isArray(body) ? body.timezone : undefined;
+    const batchMeterId = body && !Array.isArray(body) && Array.isArray(body.readings) ? body.meter_id : undefined;
+    const readings = Array.isArray(body) ? body
+      : Array.isArray(body && body.readings) ? body.readings
+      : [body];
+
+    if (!readings.length) {
+      return res.status(400).json({ success: false, error: 'No readings in request' });
+    }
+    if (readings.length > MAX_INGEST_BATCH) {
+      return res.status(413).json({ success: false, error: `Batch too large (max ${MAX_INGEST_BATCH})` });
+    }
+
+    const results = [];
+    const ops = [];
+    const opIndex = [];
+    const knownMeters = new Set([DEFAULT_METER_ID, ...(await loadMeters()).map(m => m.meter_id)]);
+
+    readings.forEach((raw, index) => {
+      const { doc, utc, errors } = validateReading(raw, timezone, knownMeters, batchMeterId);
+      if (errors) {
+        results[index] = { index, status: 'rejected', errors };
+        return;
+      }
+      results[index] = { index, status: 'duplicate', meter_id: doc.meter_id, timestamp: utc.toISOString() };
+      opIndex.push(index);
+      ops.push({
+        updateOne: {
+          filter: { ...meterFilter(doc.meter_id), timestamp: doc.timestamp },
+          update: { $setOnInsert: doc },
+          upsert: true
+        }
+      });
+    });
+
+    if (ops.length) {
+      let result;
+      try {
+        result = await PowerPXDH11.bulkWrite(ops, { ordered: false });
+      } catch (err) {
+        // ชน unique index = request อื่น (เช่น retry ของ batch เดียวกัน) ใส่ไปก่อนแล้ว ตัวนั้นคงเป็น duplicate
+        const writeErrors = [].concat(err.writeErrors || []);
+        if (!err.result || !writeErrors.length || writeErrors.some(e => e.code !== 11000)) throw err;
+        result = err.result;
+      }
+      const insertedDocs = [];
+      for (const [opPos, id] of Object.entries(result.upsertedIds || {})) {
+        const index = opIndex[Number(opPos)];
+        results[index] = { ...results[index], status: 'accepted', id };
+        insertedDocs.push(ops[Number(opPos)].updateOne.update.$setOnInsert);
+      }
+
+      // rollup พลาดไม่ให้ ingest ล้ม ข้อมูลบันทึกแล้ว job/rebuild ตามเก็บได้
+      try {
+        await refreshRollupsForReadings(insertedDocs);
+      } catch (err) {
+        console.error('❌ Rollup refresh after ingest failed:', err.message);
+      }
+    }
+
+    const count = status => results.filter(r => r.status === status).length;
+    const accepted = count('accepted');
+    const duplicates = count('duplicate');
+    const rejected = count('rejected');
+
+    console.log(`📥 Readings: ${accepted} accepted, ${duplicates} duplicate, ${rejected} rejected`);
+
+    const status = rejected === readings.length ? 400
+      : rejected > 0 ? 207
+      : accepted > 0 ? 201
+      : 200;
+
+    res.status(status).json({
+      success: rejected === 0,
+      received: readings.length,
+      accepted,
+      duplicates,
+      rejected,
+      results
+    });
+  } catch (err) {
+    console.error('❌ POST /api/readings error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    ingestInFlight--;
+  }
+});
+
+// ================== PUSH NOTIFICATION SYSTEM ==================
+const webpush = require('web-push');
+const cron = require('node-cron');
+
+webpush.setVapidDetails(
+  'mailto:admin@yourdomain.com',
+  'BB2fZ3NOzkWDKOi8H5jhbwICDTv760wIB6ZD2PwmXcUA_B5QXkXtely4b4JZ5v5b88VX1jKa7kRfr94nxqiksqY',
+  'jURJII6DrBN9N_8WtNayWs4bXWDNzeb_RyjXnTxaDmo'
+);
+
+// เก็บ subscription ใน DB รีสตาร์ทแล้วเครื่องไม่หลุด
+const PUSH_TYPES = Object.keys(NOTIFICATION_TYPES);
+const MAX_PUSH_FAILURES = Number(process.env.MAX_PUSH_FAILURES) || 10;
+
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: { type: String, required: true, unique: true },
+  expirationTime: { type: Number, default: null },
+  keys: {
+    p256dh: String,
+    auth: String
+  },
+  // type ที่เครื่องนี้อยากรับ (ไม่ระบุ = รับ)
+  preferences: Object.fromEntries(PUSH_TYPES.map(type => [type, { type: Boolean, default: true }])),
+  user_agent: String,
+  last_success_at: { type: Date, default: null },
+  last_failure_at: { type: Date, default: null },
+  failure_count: { type: Number, default: 0 },
+  last_error: String
+}, { timestamps: true });
+
+const PushSubscription = mongoose.model("push_subscriptions", pushSubscriptionSchema);
+
+function validatePreferences(preferences) {
+  if (preferences === undefined) return null;
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return 'preferences must be an object';
+  }
+  for (const [type, value] of Object.entries(preferences)) {
+    if (!PUSH_TYPES.includes(type)) return `Unknown notification type: ${type} (use ${PUSH_TYPES.join(', ')})`;
+    if (typeof value !== 'boolean') return `preferences.${type} must be true or false`;
+  }
+  return null;
+}
+
+// { 'preferences.peak': false, ... } ให้อัปเดตเฉพาะ type ที่ส่งมา
+function preferenceUpdate(preferences = {}) {
+  const update = {};
+  for (const [type, value] of Object.entries(preferences)) update[`preferences.${type}`] = value;
+  return update;
+}
+
+function toWebPushSubscription(doc) {
+  return { endpoint: doc.endpoint, expirationTime: doc.expirationTime, keys: doc.keys };
+}
+
+// สมัครรับการแจ้งเตือน
+// body = PushSubscription จาก browser (+ preferences ถ้าต้องการ) หรือ { subscription, preferences }
+app.post('/api/subscribe', requireRole('viewer'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const sub = body.subscription || body;
+    if (!sub.endpoint) {
+      return res.status(400).json({ error: 'Invalid subscription' });
+    }
+
+    const prefError = validatePreferences(body.preferences);
+    if (prefError) return res.status(400).json({ error: prefError });
+
+    const saved = await PushSubscription.findOneAndUpdate(
+      { endpoint: sub.endpoint },
+      {
+        $set: {
+          keys: sub.keys,
+          expirationTime: sub.expirationTime || null,
+          user_agent: req.get('user-agent'),
+          failure_count: 0,
+          ...preferenceUpdate(body.preferences)
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`✅ Push subscription saved (${await PushSubscription.countDocuments()} total)`);
+    res.status(201).json({ message: 'Subscribed successfully', preferences: saved.preferences });
+  } catch (err) {
+    console.error('❌ /api/subscribe error:', err);
+    res.status(500).json({ error: 'Failed to save subscription', message: err.message });
+  }
+});
+
+// ยกเลิกการแจ้งเตือนของเครื่องนี้
+app.post('/api/unsubscribe', requireRole('viewer'), async (req, res) => {
+  try {
+    const endpoint = req.body && req.body.endpoint;
+    if (!endpoint) return res.status(400).json({ error: 'endpoint is required' });
+
+    const result = await PushSubscription.deleteOne({ endpoint });
+    if (!result.deletedCount) return res.status(404).json({ error: 'Subscription not found' });
+
+    console.log('🗑 Push subscription removed', endpoint);
+    res.json({ message: 'Unsubscribed successfully' });
+  } catch (err) {
+    console.error('❌ /api/unsubscribe error:', err);
+    res.status(500).json({ error: 'Failed to unsubscribe', message: err.message });
+  }
+});
+
+// ดู/แก้ preferences ของเครื่อง (endpoint ยาวเป็น URL จึงส่งผ่าน query/body แทน path)
+app.get('/api/subscription', requireRole('viewer'), async (req, res) => {
+  try {
+    if (!req.query.endpoint) return res.status(400).json({ error: 'endpoint is required' });
+
+    const sub = await PushSubscription.findOne({ endpoint: req.query.endpoint })
+                                      .select('endpoint preferences createdAt last_success_at failure_count')
+                                      .lean();
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+
+    res.json(sub);
+  } catch (err) {
+    console.error('❌ /api/subscription error:', err);
+    res.status(500).json({ error: 'Failed to get subscription', message: err.message });
+  }
+});
+
+app.put('/api/subscription/preferences', requireRole('viewer'), async (req, res) => {
+  try {
+    const { endpoint, preferences } = req.body || {};
+    if (!endpoint) return res.status(400).json({ error: 'endpoint is required' });
+
+    const prefError = validatePreferences(preferences) || (!preferences && 'preferences is required');
+    if (prefError) return res.status(400).json({ error: prefError, types: PUSH_TYPES });
+
+    const sub = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      { $set: preferenceUpdate(preferences) },
+      { new: true }
+    );
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+
+    res.json({ message: 'Preferences updated', preferences: sub.preferences });
+  } catch (err) {
+    console.error('❌ /api/subscription/preferences error:', err);
+    res.status(500).json({ error: 'Failed to update preferences', message: err.message });
+  }
+});
+
+// ฟังก์ชันส่ง Push Notification พร้อมบันทึกลง DB (type ต้องลงทะเบียนไว้ใน NOTIFICATION_TYPES)
+
+async function sendPushNotification(title, body, type = 'test', data = {}) {
+  try {
+    // 1. บันทึกลง Database (field ที่ไม่อยู่ใน schema ของชนิดนั้นถูกตัดทิ้ง)
+    const definition = NOTIFICATION_TYPES[type];
+    if (!definition) {
+      console.error('❌ Unknown notification type:', type);
+      return null;
+    }
+    const notification = await definition.model.create({ title, body, ...data });
+    console.log(`💾 ${definition.label} Notification saved:`, notification._id);
+
+    // 2. ส่งเข้า live stream
+    broadcastLiveEvent('notification', {
+      notification_type: type,
+      id: notification._id,
+      title,
+      body,
+      meter_id: data.meter_id
+    });
+
+    // 3. ส่งออก delivery channels (LINE / อีเมล / webhook) และ webhook subscriptions ไม่รอผล
+    //    retry อยู่ใน DELIVERY RETRY JOB
+    dispatchToChannels(notification).catch(err => {
+      console.error('❌ Channel dispatch error:', err);
+    });
+    emitWebhookEvent(type, deliveryMessage(notification)).catch(err => {
+      console.error('❌ Webhook dispatch error:', err);
+    });
+
+    // 4. ส่ง Push notification
+    const payload = JSON.stringify({ title, body, url: '/' });
+
+    // เฉพาะเครื่องที่ไม่ได้ปิด type นี้ไว้
+    const subscriptions = await PushSubscription.find({ [`preferences.${type}`]: { $ne: false } }).lean();
+
+    if (!subscriptions.length) {
+      console.log(`⚠️ No push subscriptions for ${type}`);
+      return notification;
+    }
+
+    for (const sub of subscriptions) {
+      try {
+        await webpush.sendNotification(toWebPushSubscription(sub), payload);
+        await PushSubscription.updateOne({ _id: sub._id }, { $set: { last_success_at: new Date(), failure_count: 0 } });
+        console.log('📤 Sent notification to', sub.endpoint);
+      } catch (err) {
+        console.error('❌ Push send error for', sub.endpoint, err.statusCode || err);
+        const status = err && err.statusCode;
+        if (status === 410 || status === 404 || sub.failure_count + 1 >= MAX_PUSH_FAILURES) {
+          await PushSubscription.deleteOne({ _id: sub._id });
+          console.log('🗑 Removed expired subscription', sub.endpoint);
+        } else {
+          await PushSubscription.updateOne({ _id: sub._id }, {
+            $set: { last_failure_at: new Date(), last_error: err.body || err.message },
+            $inc: { failure_count: 1 }
+          });
+        }
+      }
+    }
+
+    return notification;
+  } catch (err) {
+    console.error('❌ Error in sendPushNotification:', err);
+    throw err;
+  }
+}
+
+// ================== DELIVERY CHANNELS ==================
+// ช่องทางส่งนอกจาก web push: LINE Messaging API, อีเมล (SMTP) และ HTTP webhook
+// แต่ละ channel มี config ของตัวเอง เลือกชนิด notification ที่รับได้ (types) และกรองมิเตอร์ได้ (meter_ids ว่าง = ทุกตัว)
+// ส่งทุกครั้งบันทึกลง notification_deliveries ส่งไม่ผ่านจะลองใหม่แบบ backoff (ดู DELIVERY RETRY JOB)
+// ปลายทางตั้งได้หมด (LINE api_base, SMTP host/port, webhook url) จึงชี้ไป server จำลองในเครื่องเพื่อทดสอบได้
+// ตัวส่ง การเซ็น webhook และ retry/backoff อยู่ใน delivery.js ใช้ร่วมกับ WEBHOOK SUBSCRIPTIONS
+const {
+  recipientList,
+  senders: DELIVERY_SENDERS,
+  isRetryableDelivery,
+  runDeliveryAttempt,
+  abandonDelivery,
+  retryDueDeliveries
+} = require('./delivery');
+
+const DELIVERY_KINDS = ['line', 'email', 'webhook'];
+const DELIVERY_STATUSES = ['pending', 'sent', 'retrying', 'failed'];
+
+// 4xx ส่งซ้ำก็ไม่ผ่าน (ดู isRetryableDelivery) จึงเป็น failed ทันที
+const DELIVERY_RETRY_POLICY = {
+  max_attempts: Number(process.env.DELIVERY_MAX_ATTEMPTS) || 5,
+  backoff_ms: Number(process.env.DELIVERY_BACKOFF_MS) || 30000,
+  max_backoff_ms: 60 * 60 * 1000,
+  retryable: isRetryableDelivery,
+  sent_status: 'sent',
+  failed_status: 'failed',
+  sent_field: 'sent_at'
+};
+
+// field ลับของแต่ละชนิด ไม่ส่งกลับใน API (แสดงเป็น SECRET_MASK, PUT ค่า mask กลับมา = ใช้ค่าเดิม)
+const CHANNEL_SECRET_FIELDS = { line: ['access_token'], email: ['pass'], webhook: ['headers', 'secret'] };
+const SECRET_MASK = '********';
+
+const deliveryChannelSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  kind: { type: String, enum: DELIVERY_KINDS, required: true },
+  enabled: { type: Boolean, default: true },
+  types: { type: [String], default: [] },
+  meter_ids: { type: [String], default: [] },
+  // line:    { access_token, to: 'U...' | ['U...'], api_base }
+  // email:   { host, port, secure, user, pass, from, to: 'a@x' | ['a@x'] }
+  // webhook: { url, headers: { ... }, secret } (มี secret = เซ็น X-PX-Signature แบบเดียวกับ webhook subscriptions)
+  config: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: true, minimize: false });
+
+deliveryChannelSchema.index({ enabled: 1, types: 1 });
+
+const DeliveryChannel = mongoose.model("delivery_channels", deliveryChannelSchema);
+
+// ผลการส่งแต่ละครั้ง ใช้ทั้ง notification_deliveries และ webhook_deliveries
+const deliveryAttemptSchema = new mongoose.Schema({
+  at: Date,
+  ok: Boolean,
+  response_status: Number,
+  error: String,
+  duration_ms: Number
+}, { _id: false });
+
+const notificationDeliverySchema = new mongoose.Schema({
+  notification_id: { type: mongoose.Schema.Types.ObjectId },
+  notification_type: { type: String, required: true },
+  channel_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  channel_name: { type: String },
+  kind: { type: String, enum: DELIVERY_KINDS },
+  // เก็บข้อความที่ส่งไว้ด้วย retry จะได้ส่งเหมือนครั้งแรกแม้ notification ถูกลบไปแล้ว
+  message: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date },
+  last_error: { type: String },
+  response_status: { type: Number },
+  sent_at: { type: Date },
+  attempt_log: [deliveryAttemptSchema]
+}, { timestamps: true });
+
+notificationDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+notificationDeliverySchema.index({ notification_id: 1 });
+notificationDeliverySchema.index({ channel_id: 1, createdAt: -1 });
+
+const NotificationDelivery = mongoose.model("notification_deliveries", notificationDeliverySchema);
+
+function validateChannel(body) {
+  const errors = [];
+  const config = body.config || {};
+  if (!body.name) errors.push('name is required');
+  if (!DELIVERY_KINDS.includes(body.kind)) errors.push(`kind must be one of: ${DELIVERY_KINDS.join(', ')}`);
+  if (body.types != null) {
+    if (!Array.isArray(body.types)) errors.push('types must be an array');
+    else {
+      const unknown = body.types.filter(type => !NOTIFICATION_TYPES[type]);
+      if (unknown.length) errors.push(`unknown notification types: ${unknown.join(', ')}`);
+    }
+  }
+  if (body.meter_ids != null && !Array.isArray(body.meter_ids)) errors.push('meter_ids must be an array');
+
+  if (body.kind === 'line') {
+    if (!config.access_token) errors.push('config.access_token is required for line channels');
+    if (!recipientList(config.to).length) errors.push('config.to (user/group id) is required for line channels');
+    if (recipientList(config.to).length > 500) errors.push('config.to accepts at most 500 recipients');
+  } else if (body.kind === 'email') {
+    if (!config.host) errors.push('config.host is required for email channels');
+    if (!config.from) errors.push('config.from is required for email channels');
+    if (!recipientList(config.to).length) errors.push('config.to is required for email channels');
+    if (config.port != null && !(Number(config.port) > 0)) errors.push('config.port must be a positive number');
+  } else if (body.kind === 'webhook') {
+    if (!/^https?:\/\//.test(config.url || '')) errors.push('config.url must be an http(s) URL');
+    if (config.headers != null && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+      errors.push('config.headers must be an object');
+    }
+    if (config.secret != null && typeof config.secret !== 'string') errors.push('config.secret must be a string');
+  }
+  return errors;
+}
+
+function maskChannel(channel) {
+  const config = { ...channel.config };
+  for (const field of CHANNEL_SECRET_FIELDS[channel.kind] || []) {
+    if (config[field] == null) continue;
+    config[field] = typeof config[field] === 'object'
+      ? Object.fromEntries(Object.keys(config[field]).map(key => [key, SECRET_MASK]))
+      : SECRET_MASK;
+  }
+  return { ...channel, config };
+}
+
+// ค่าที่ client ส่ง mask กลับมา (ไม่ได้แก้) ให้คงค่าเดิมไว้
+function mergeChannelSecrets(kind, config, previous = {}) {
+  const merged = { ...config };
+  for (const field of CHANNEL_SECRET_FIELDS[kind] || []) {
+    if (merged[field] === SECRET_MASK) merged[field] = previous[field];
+    else if (merged[field] && typeof merged[field] === 'object' && previous[field] && typeof previous[field] === 'object') {
+      merged[field] = Object.fromEntries(Object.entries(merged[field]).map(([key, value]) =>
+        [key, value === SECRET_MASK ? previous[field][key] : value]
+      ));
+    }
+  }
+  return merged;
+}
+
+// ข้อความกลางที่ทุก channel ใช้ (webhook ส่งทั้งก้อน, LINE/อีเมลใช้ title + body)
+function deliveryMessage(notification) {
+  const doc = typeof notification.toObject === 'function' ? notification.toObject() : notification;
+  const { _id, __v, type, title, body, meter_id, timestamp, read, createdAt, updatedAt, ...data } = doc;
+  return {
+    notification_id: _id,
+    type,
+    title,
+    body,
+    meter_id: meter_id || null,
+    timestamp: timestamp ? formatStoredTimestamp(timestamp) : formatInstant(new Date()),
+    data
+  };
+}
+
+// ส่ง 1 ครั้งแล้วอัปเดต log (ไม่ throw ผลลัพธ์อยู่ใน document ที่คืนกลับ)
+async function attemptDelivery(delivery, channel) {
+  channel = channel || await DeliveryChannel.findById(delivery.channel_id).lean();
+  if (!channel) {
+    return abandonDelivery(NotificationDelivery, delivery, DELIVERY_RETRY_POLICY, 'Channel no longer exists');
+  }
+
+  const result = await runDeliveryAttempt(NotificationDelivery, delivery, DELIVERY_RETRY_POLICY, attempt =>
+    DELIVERY_SENDERS[channel.kind](channel.config || {}, delivery.message, {
+      event: delivery.notification_type,
+      event_id: String(delivery._id),
+      attempt
+    })
+  );
+  if (!result) return null;
+
+  if (result.status === 'sent') {
+    console.log(`📨 Delivered ${delivery.notification_type} via ${channel.kind} "${channel.name}"`);
+  } else {
+    console.error(`❌ Delivery via ${channel.kind} "${channel.name}" failed (attempt ${result.attempts}/${DELIVERY_RETRY_POLICY.max_attempts}):`, result.last_error);
+  }
+  return result;
+}
+
+async function createDelivery(channel, message) {
+  const delivery = await NotificationDelivery.create({
+    notification_id: message.notification_id,
+    notification_type: message.type,
+    channel_id: channel._id,
+    channel_name: channel.name,
+    kind: channel.kind,
+    message
+  });
+  return attemptDelivery(delivery.toObject(), channel);
+}
+
+// ส่ง notification ไปทุก channel ที่เปิดรับชนิดนี้ (และมิเตอร์นี้ ถ้า channel จำกัดมิเตอร์ไว้)
+async function dispatchToChannels(notification) {
+  const channels = await DeliveryChannel.find({ enabled: true, types: notification.type }).lean();
+  const targets = channels.filter(channel =>
+    !channel.meter_ids.length || !notification.meter_id || channel.meter_ids.includes(notification.meter_id)
+  );
+  if (!targets.length) return [];
+
+  const message = deliveryMessage(notification);
+  return Promise.all(targets.map(channel => createDelivery(channel, message)));
+}
+
+// ================== WEBHOOK SUBSCRIPTIONS ==================
+// ให้ระบบภายนอก (BMS, Home Assistant) ลงทะเบียน URL รับ event แทนการ poll
+// ทุก request เซ็นด้วย HMAC-SHA256 ของ secret ประจำ subscription:
+//   X-PX-Signature: t=<unix วินาที>,v1=<hex hmac ของ "<t>.<raw body>">
+//   X-PX-Event: <event>, X-PX-Event-Id: <id เดิมทุกครั้งที่ retry/replay ใช้กันซ้ำได้>
+// ส่งไม่ผ่าน (ไม่ใช่ 2xx) ลองใหม่แบบ backoff จนครบ max_attempts แล้วย้ายเป็น dead (dead-letter) replay ได้ทาง API
+// ส่งและ retry ด้วยกลไกเดียวกับ DELIVERY CHANNELS (delivery.js) ต่างกันแค่ policy
+const WEBHOOK_EVENTS = ['daily_bill', 'peak', 'alert', 'meter_offline', 'meter_online', 'anomaly'];
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'dead'];
+
+// ทุกความล้มเหลวลองใหม่ได้ (ปลายทางอาจแก้ไขอยู่) จนครบจำนวนครั้งแล้วเป็น dead
+const WEBHOOK_RETRY_POLICY = {
+  max_attempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10,
+  backoff_ms: Number(process.env.WEBHOOK_BACKOFF_MS) || 60000,
+  max_backoff_ms: 6 * 60 * 60 * 1000,
+  retryable: () => true,
+  sent_status: 'delivered',
+  failed_status: 'dead',
+  sent_field: 'delivered_at',
+  failed_field: 'dead_at'
+};
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  url: { type: String, required: true },
+  events: { type: [String], required: true },
+  meter_ids: { type: [String], default: [] }, // ว่าง = ทุกมิเตอร์
+  // ต้องเก็บแบบถอดได้เพราะใช้เซ็นทุกครั้ง (ต่างจาก API key ที่เก็บแค่ hash) ไม่ส่งกลับนอกจากตอนสร้าง/rotate
+  secret: { type: String, required: true },
+  enabled: { type: Boolean, default: true },
+  created_by: String,
+  last_success_at: Date,
+  last_failure_at: Date
+}, { timestamps: true });
+
+webhookSubscriptionSchema.index({ enabled: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model("webhook_subscriptions", webhookSubscriptionSchema);
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  event_id: { type: String, required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // envelope ที่ส่ง (ยกเว้นลายเซ็น ซึ่งทำใหม่ทุกครั้ง)
+  status: { type: String, enum: WEBHOOK_DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: Date,
+  last_error: String,
+  response_status: Number,
+  delivered_at: Date,
+  dead_at: Date,
+  replay_of: { type: mongoose.Schema.Types.ObjectId },
+  attempt_log: [deliveryAttemptSchema]
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ subscription_id: 1, status: 1, createdAt: -1 });
+webhookDeliverySchema.index({ event_id: 1 });
+
+const WebhookDelivery = mongoose.model("webhook_deliveries", webhookDeliverySchema);
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function publicWebhook(subscription) {
+  const { secret, __v, ...rest } = typeof subscription.toObject === 'function' ? subscription.toObject() : subscription;
+  return { ...rest, secret_hint: `${secret.slice(0, 10)}…` };
+}
+
+function validateWebhook(body) {
+  const errors = [];
+  if (!body.name) errors.push('name is required');
+  if (!/^https?:\/\/[^\s]+$/.test(body.url || '')) errors.push('url must be an http(s) URL');
+  if (!Array.isArray(body.events) || !body.events.length) errors.push('events must be a non-empty array');
+  else {
+    const unknown = body.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length) errors.push(`unknown events: ${unknown.join(', ')} (allowed: ${WEBHOOK_EVENTS.join(', ')})`);
+  }
+  if (body.meter_ids != null && !Array.isArray(body.meter_ids)) errors.push('meter_ids must be an array');
+  return errors;
+}
+
+async function attemptWebhookDelivery(delivery, subscription) {
+  subscription = subscription || await WebhookSubscription.findById(delivery.subscription_id).lean();
+  if (!subscription || !subscription.enabled) {
+    return abandonDelivery(WebhookDelivery, delivery, WEBHOOK_RETRY_POLICY, subscription ? 'Subscription disabled' : 'Subscription deleted');
+  }
+
+  const result = await runDeliveryAttempt(WebhookDelivery, delivery, WEBHOOK_RETRY_POLICY, attempt =>
+    DELIVERY_SENDERS.webhook({ url: subscription.url, secret: subscription.secret }, delivery.payload, {
+      event: delivery.event,
+      event_id: delivery.event_id,
+      attempt
+    })
+  );
+  if (!result) return null;
+
+  const delivered = result.status === 'delivered';
+  if (!delivered) {
+    console.error(`❌ Webhook ${delivery.event} to "${subscription.name}" failed (attempt ${result.attempts}/${WEBHOOK_RETRY_POLICY.max_attempts}):`, result.last_error);
+  }
+  await WebhookSubscription.updateOne({ _id: subscription._id }, { $set: { [delivered ? 'last_success_at' : 'last_failure_at']: new Date() } });
+  return result;
+}
+
+async function createWebhookDelivery(subscription, envelope, replayOf = null) {
+  const delivery = await WebhookDelivery.create({
+    subscription_id: subscription._id,
+    event_id: envelope.id,
+    event: envelope.event,
+    payload: envelope,
+    replay_of: replayOf
+  });
+  return attemptWebhookDelivery(delivery.toObject(), subscription);
+}
+
+// ส่ง event ไปทุก subscription ที่สมัครไว้ data.meter_id ใช้กรองตาม meter_ids
+async function emitWebhookEvent(event, data) {
+  if (!WEBHOOK_EVENTS.includes(event)) return [];
+
+  const subscriptions = await WebhookSubscription.find({ enabled: true, events: event }).lean();
+  const targets = subscriptions.filter(sub =>
+    !sub.meter_ids.length || !data.meter_id || sub.meter_ids.includes(data.meter_id)
+  );
+  if (!targets.length) return [];
+
+  const envelope = {
+    id: `evt_${crypto.randomUUID()}`,
+    event,
+    created_at: formatInstant(new Date()),
+    data
+  };
+  return Promise.all(targets.map(sub => createWebhookDelivery(sub, envelope)));
+}
+
+// ================== LIVE STREAM (WebSocket) ==================
+// ws://<host>/ws/live ต้องเป็น viewer ขึ้นไป: cookie ของ session, header x-api-key / Authorization (client ที่ไม่ใช่ browser)
+// หรือ ?ticket= จาก POST /api/live/ticket (browser ใส่ header ตอนเปิด WebSocket ไม่ได้ และ key จริงไม่ควรอยู่ใน URL/log)
+// client -> { type: 'subscribe', meters: ['main'] | 'all', fields: ['power', ...], since: '<timestamp ล่าสุดที่ได้รับ>' }
+//           { type: 'unsubscribe' } | { type: 'ping' }
+// server -> welcome | subscribed | reading | resume_complete | alert | notification | heartbeat | pong | error
+// timestamp เป็น ISO พร้อม offset ของเวลาไซต์ (ดู formatInstant) ส่งค่าเดิมกลับมาเป็น since ได้เลย
+const { WebSocketServer, WebSocket } = require('ws');
+const EventEmitter = require('events');
+
+const LIVE_POLL_MS = Number(process.env.LIVE_POLL_MS) || 2000;
+const LIVE_HEARTBEAT_MS = Number(process.env.LIVE_HEARTBEAT_MS) || 30000;
+const MAX_LIVE_BATCH = 5000;
+
+// ฟีด reading ใหม่ตามลำดับ _id ไม่ว่าจะมาจาก /api/readings หรือเขียนตรงเข้า DB
+const readingFeed = new EventEmitter();
+let feedLastId = null;
+let feedPolling = false;
+let liveWss = null;
+
+function toLiveReading(doc) {
+  const reading = {
+    id: String(doc._id),
+    meter_id: doc.meter_id || DEFAULT_METER_ID,
+    timestamp: formatStoredTimestamp(doc.timestamp)
+  };
+  for (const field of READING_FIELDS) {
+    if (doc[field] !== undefined) reading[field] = doc[field];
+  }
+  return reading;
+}
+
+async function pollReadingFeed() {
+  if (feedPolling || mongoose.connection.readyState !== 1) return;
+  feedPolling = true;
+  try {
+    // รอบแรกเริ่มจาก reading ล่าสุด ไม่ replay ประวัติ
+    if (!feedLastId) {
+      const latest = await PowerPXDH11.findOne().sort({ _id: -1 }).select('_id').lean();
+      feedLastId = latest ? latest._id : mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000));
+      return;
+    }
+
+    const docs = await PowerPXDH11.find({ _id: { $gt: feedLastId } }).sort({ _id: 1 }).limit(MAX_LIVE_BATCH).lean();
+    if (!docs.length) return;
+
+    feedLastId = docs[docs.length - 1]._id;
+    readingFeed.emit('readings', docs.map(toLiveReading));
+  } catch (err) {
+    console.error('❌ Error polling reading feed:', err.message);
+  } finally {
+    feedPolling = false;
+  }
+}
+
+setInterval(pollReadingFeed, LIVE_POLL_MS);
+
+function sendLive(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+function wantsMeter(subscription, meterId) {
+  return subscription.meters === 'all' || subscription.meters.includes(meterId);
+}
+
+function liveReadingMessage(reading, fields, resumed = false) {
+  const data = {};
+  for (const field of fields) {
+    if (reading[field] !== undefined) data[field] = reading[field];
+  }
+  return { type: 'reading', id: reading.id, meter_id: reading.meter_id, timestamp: reading.timestamp, data, ...(resumed && { resumed }) };
+}
+
+readingFeed.on('readings', readings => {
+  if (!liveWss) return;
+  for (const ws of liveWss.clients) {
+    const sub = ws.subscription;
+    if (!sub) continue;
+    for (const reading of readings) {
+      if (!wantsMeter(sub, reading.meter_id)) continue;
+      // ระหว่าง resume เก็บไว้ก่อน ส่งต่อท้าย backlog
+      if (sub.resuming) sub.pending.push(reading);
+      else sendLive(ws, liveReadingMessage(reading, sub.fields));
+    }
+  }
+});
+
+// alert / notification ส่งให้ทุก client ที่ subscribe มิเตอร์นั้น (ไม่มี meter_id = ส่งทุกคน)
+function broadcastLiveEvent(type, payload = {}) {
+  if (!liveWss) return;
+  for (const ws of liveWss.clients) {
+    const sub = ws.subscription;
+    if (!sub) continue;
+    if (payload.meter_id && !wantsMeter(sub, payload.meter_id)) continue;
+    sendLive(ws, { type, ...payload, sent_at: new Date().toISOString() });
+  }
+}
+
+async function handleLiveSubscribe(ws, msg) {
+  const knownMeters = new Set([DEFAULT_METER_ID, ...(await loadMeters()).map(m => m.meter_id)]);
+
+  let meters = 'all';
+  if (msg.meters && msg.meters !== 'all') {
+    meters = [].concat(msg.meters).map(String);
+    const unknown = meters.filter(id => !knownMeters.has(id));
+    if (unknown.length) return sendLive(ws, { type: 'error', error: `Unknown meter: ${unknown.join(', ')}` });
+  }
+
+  const fields = msg.fields ? [].concat(msg.fields).map(String) : READING_FIELDS;
+  const badFields = fields.filter(f => !READING_FIELDS.includes(f));
+  if (badFields.length) return sendLive(ws, { type: 'error', error: `Unknown field: ${badFields.join(', ')}`, fields: READING_FIELDS });
+
+  const since = msg.since ? new Date(msg.since) : null;
+  if (since && isNaN(since)) return sendLive(ws, { type: 'error', error: 'Invalid since timestamp' });
+
+  const sub = { meters, fields, resuming: Boolean(since), pending: [] };
+  ws.subscription = sub;
+  sendLive(ws, { type: 'subscribed', meters, fields, since: since ? since.toISOString() : null });
+
+  if (!since) return;
+
+  const backlog = await PowerPXDH11.find({ ...(meters !== 'all' && meterFilter(meters)), timestamp: { $gt: toStorageTimestamp(since) } })
+                                   .sort({ timestamp: 1 })
+                                   .limit(MAX_LIVE_BATCH)
+                                   .lean();
+  // client เปลี่ยน subscription ระหว่างดึง backlog
+  if (ws.subscription !== sub) return;
+
+  const sent = new Set();
+  for (const doc of backlog) {
+    const reading = toLiveReading(doc);
+    sent.add(reading.id);
+    sendLive(ws, liveReadingMessage(reading, fields, true));
+  }
+  for (const reading of sub.pending) {
+    if (!sent.has(reading.id)) sendLive(ws, liveReadingMessage(reading, fields));
+  }
+  sub.pending = [];
+  sub.resuming = false;
+
+  sendLive(ws, {
+    type: 'resume_complete',
+    count: backlog.length,
+    truncated: backlog.length === MAX_LIVE_BATCH,
+    last_timestamp: backlog.length ? formatStoredTimestamp(backlog[backlog.length - 1].timestamp) : formatInstant(since)
+  });
+}
+
+// WebSocket ไม่ผ่าน CORS ต้องเช็ค origin เอง (กันเว็บอื่นเปิดด้วย cookie ของผู้ใช้)
+// origin ที่ parse ไม่ได้ (รวม "null" จาก sandbox/file://) ถือว่าไม่ใช่ host เดียวกัน
+function isSameHostOrigin(origin, host) {
+  try {
+    return new URL(origin).host === host;
+  } catch (err) {
+    return false;
+  }
+}
+
+// ตั๋วใช้ครั้งเดียว อายุ LIVE_TICKET_TTL_MS ผูกกับผู้ขอ หลุดไปใน log ก็ใช้ต่อไม่ได้
+const LIVE_TICKET_TTL_MS = 60 * 1000;
+const liveTickets = new Map(); // ticket -> { principal, expires_at }
+
+function issueLiveTicket(principal) {
+  const now = Date.now();
+  for (const [ticket, entry] of liveTickets) {
+    if (entry.expires_at <= now) liveTickets.delete(ticket);
+  }
+  const ticket = crypto.randomBytes(24).toString('base64url');
+  liveTickets.set(ticket, { principal, expires_at: now + LIVE_TICKET_TTL_MS });
+  return ticket;
+}
+
+function redeemLiveTicket(ticket) {
+  const entry = liveTickets.get(ticket);
+  liveTickets.delete(ticket);
+  return entry && entry.expires_at > Date.now() ? entry.principal : null;
+}
+
+app.post('/api/live/ticket', requireRole('viewer'), (req, res) => {
+  const ticket = issueLiveTicket(req.auth);
+  res.json({
+    success: true,
+    data: { ticket, expires_in_seconds: LIVE_TICKET_TTL_MS / 1000, url: `/ws/live?ticket=${ticket}` }
+  });
+});
+
+// ws เรียกตัวนี้ใน upgrade listener แบบ sync ห้าม throw ไม่งั้น server ล่มทั้งตัว
+function verifyLiveClient(info, done) {
+  const req = info.req;
+  if (info.origin && !isAllowedOrigin(info.origin) && !isSameHostOrigin(info.origin, req.headers.host)) {
+    return done(false, 403, 'Origin not allowed');
+  }
+
+  sessionMiddleware(req, {}, async () => {
+    try {
+      const ticket = new URL(req.url, 'http://localhost').searchParams.get('ticket');
+      const principal = ticket ? redeemLiveTicket(ticket) : await resolvePrincipal(req);
+      if (!hasRole(principal, 'viewer')) return done(false, 401, 'Unauthorized');
+      req.auth = principal;
+      done(true);
+    } catch (err) {
+      console.error('❌ Live stream auth error:', err);
+      done(false, 500, 'Authentication failed');
+    }
+  });
+}
+
+function attachLiveStream(server) {
+  liveWss = new WebSocketServer({ server, path: '/ws/live', verifyClient: verifyLiveClient });
+
+  liveWss.on('connection', ws => {
+    ws.isAlive = true;
+    ws.subscription = null;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    ws.on('message', async raw => {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch (err) {
+        return sendLive(ws, { type: 'error', error: 'Invalid JSON' });
+      }
+
+      try {
+        switch (msg.type) {
+          case 'subscribe':
+            await handleLiveSubscribe(ws, msg);
+            break;
+          case 'unsubscribe':
+            ws.subscription = null;
+            sendLive(ws, { type: 'unsubscribed' });
+            break;
+          case 'ping':
+            sendLive(ws, { type: 'pong', time: new Date().toISOString() });
+            break;
+          default:
+            sendLive(ws, { type: 'error', error: `Unknown message type: ${msg.type}` });
+        }
+      } catch (err) {
+        console.error('❌ Live stream message error:', err);
+        sendLive(ws, { type: 'error', error: err.message });
+      }
+    });
+
+    sendLive(ws, { type: 'welcome', fields: READING_FIELDS, default_meter_id: DEFAULT_METER_ID, heartbeat_ms: LIVE_HEARTBEAT_MS });
+  });
+
+  // ping ระดับ protocol ตัด client ที่หลุด + heartbeat แบบ JSON ให้ browser ตรวจเองได้
+  const heartbeat = setInterval(() => {
+    for (const ws of liveWss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+      sendLive(ws, { type: 'heartbeat', time: new Date().toISOString() });
+    }
+  }, LIVE_HEARTBEAT_MS);
+  liveWss.on('close', () => clearInterval(heartbeat));
+}
+
+// ================== ALERT RULES ENGINE ==================
+// กฎแจ้งเตือนที่ผู้ใช้ตั้งเอง ประเมินจาก readingFeed (live stream) ทุกชุดที่เข้ามา
+// threshold    : field ค่าสูง/ต่ำกว่า threshold ติดต่อกัน duration_minutes (เช่น power > 50 kW 5 นาที, current > 100 A)
+// band         : field อยู่นอกช่วง min..max (เช่น voltage1..3)
+// imbalance    : กำลังไฟแต่ละเฟสต่างจากค่าเฉลี่ยเกิน threshold %
+// daily_energy : หน่วยสะสมวันนี้ (จาก rollup) เกิน threshold kWh แจ้งวันละครั้ง
+// daily_peak   : ค่าสูงสุดของวันใหม่ (แทน checkDailyPeak เดิม ส่งเป็น notification type 'peak')
+// power_quality: มี sag/swell/interruption ใหม่จากตัวตรวจ power quality (event_types ว่าง = ทุกแบบ)
+const ALERT_RULE_TYPES = ['threshold', 'band', 'imbalance', 'daily_energy', 'daily_peak', 'power_quality'];
+const PQ_EVENT_TYPES = ['sag', 'swell', 'interruption'];
+const PHASE_POWER_FIELDS = ['active_power_phase_a', 'active_power_phase_b', 'active_power_phase_c'];
+// reading ที่ช้ากว่านี้ (เช่น backfill) ไม่เอามาแจ้งเตือน
+const ALERT_MAX_LAG_MS = 15 * 60 * 1000;
+
+const alertRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  enabled: { type: Boolean, default: true },
+  type: { type: String, enum: ALERT_RULE_TYPES, required: true },
+  meter_ids: { type: [String], default: [] }, // ว่าง = ทุกมิเตอร์
+  fields: { type: [String], default: [] },
+  operator: { type: String, enum: ['above', 'below'], default: 'above' },
+  threshold: Number,
+  min: Number,
+  max: Number,
+  event_types: { type: [String], enum: PQ_EVENT_TYPES, default: [] },
+  duration_minutes: { type: Number, default: 0 },
+  cooldown_minutes: { type: Number, default: 60 },
+  severity: { type: String, enum: ['info', 'warning', 'critical'], default: 'warning' },
+  note: String
+}, { timestamps: true });
+
+const AlertRule = mongoose.model("alert_rules", alertRuleSchema);
+
+let alertRulesCache = null;
+
+async function loadAlertRules() {
+  if (!alertRulesCache) {
+    alertRulesCache = await AlertRule.find({ enabled: true }).lean();
+  }
+  return alertRulesCache;
+}
+
+function invalidateAlertRuleCache() {
+  alertRulesCache = null;
+  alertStates.clear();
+}
+
+// ครั้งแรกสร้างกฎ daily peak ให้ทำงานเหมือนเดิม
+async function ensureDefaultAlertRules() {
+  try {
+    if (await AlertRule.estimatedDocumentCount() > 0) return;
+    await AlertRule.create({ name: 'New daily peak', type: 'daily_peak', fields: ['power'], cooldown_minutes: 0, severity: 'info' });
+    console.log('🌱 Seeded default daily peak alert rule');
+  } catch (err) {
+    console.error('❌ Failed to seed alert rules:', err.message);
+  }
+}
+
+function validateAlertRule(body) {
+  const errors = [];
+  if (!body.name) errors.push('name is required');
+  if (!ALERT_RULE_TYPES.includes(body.type)) errors.push(`type must be one of ${ALERT_RULE_TYPES.join(', ')}`);
+
+  const fields = body.fields || [];
+  if (!Array.isArray(fields) || fields.some(f => !READING_FIELDS.includes(f))) {
+    errors.push(`fields must be reading fields (${READING_FIELDS.join(', ')})`);
+  }
+  if (['threshold', 'band'].includes(body.type) && !fields.length) errors.push(`fields are required for ${body.type} rules`);
+  if (body.type === 'imbalance' && fields.length && fields.length < 2) errors.push('imbalance rules need at least 2 phase fields');
+
+  if (['threshold', 'imbalance', 'daily_energy'].includes(body.type) && typeof body.threshold !== 'number') {
+    errors.push(`threshold is required for ${body.type} rules`);
+  }
+  if (body.type === 'band') {
+    if (typeof body.min !== 'number' || typeof body.max !== 'number') errors.push('min and max are required for band rules');
+    else if (body.min >= body.max) errors.push('min must be less than max');
+  }
+  if (body.event_types && (!Array.isArray(body.event_types) || body.event_types.some(t => !PQ_EVENT_TYPES.includes(t)))) {
+    errors.push(`event_types must be ${PQ_EVENT_TYPES.join(', ')}`);
+  }
+  if (body.duration_minutes !== undefined && !(body.duration_minutes >= 0)) errors.push('duration_minutes must be >= 0');
+  if (body.cooldown_minutes !== undefined && !(body.cooldown_minutes >= 0)) errors.push('cooldown_minutes must be >= 0');
+  return errors;
+}
+
+// สถานะต่อ (กฎ, มิเตอร์) { since, fired, lastFiredMs, date, max }
+const alertStates = new Map();
+
+function getAlertState(rule, meterId) {
+  const key = `${rule._id}|${meterId}`;
+  if (!alertStates.has(key)) alertStates.set(key, { since: null, fired: false, lastFiredMs: 0 });
+  return alertStates.get(key);
+}
+
+function ruleFields(rule) {
+  return rule.fields && rule.fields.length ? rule.fields : (rule.type === 'imbalance' ? PHASE_POWER_FIELDS : ['power']);
+}
+
+// คืน { field, value } ของค่าที่ผิดเงื่อนไขแย่ที่สุด หรือ null
+function evaluateReadingCondition(rule, reading) {
+  if (rule.type === 'imbalance') {
+    const values = ruleFields(rule).map(f => reading[f]).filter(v => typeof v === 'number');
+    if (values.length < 2) return null;
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    if (mean <= 0) return null;
+    const imbalance = Math.max(...values.map(v => Math.abs(v - mean))) / mean * 100;
+    return imbalance > rule.threshold ? { field: 'imbalance_pct', value: Number(imbalance.toFixed(2)) } : null;
+  }
+
+  let worst = null;
+  for (const field of ruleFields(rule)) {
+    const value = reading[field];
+    if (typeof value !== 'number') continue;
+
+    let excess = 0;
+    if (rule.type === 'threshold') {
+      excess = rule.operator === 'below' ? rule.threshold - value : value - rule.threshold;
+    } else if (rule.type === 'band') {
+      excess = Math.max(rule.min - value, value - rule.max);
+    }
+    if (excess > 0 && (!worst || excess > worst.excess)) worst = { field, value, excess };
+  }
+  return worst && { field: worst.field, value: worst.value };
+}
+
+function describeAlert(rule, event) {
+  const value = Number(event.value).toFixed(2);
+  switch (rule.type) {
+    case 'threshold':
+      return `${event.field} ${value} ${rule.operator} ${rule.threshold}` +
+        (rule.duration_minutes ? ` for ${rule.duration_minutes} min` : '');
+    case 'band':
+      return `${event.field} ${value} outside ${rule.min}-${rule.max}` +
+        (rule.duration_minutes ? ` for ${rule.duration_minutes} min` : '');
+    case 'imbalance':
+      return `phase imbalance ${value}% above ${rule.threshold}%`;
+    case 'daily_energy':
+      return `today's energy ${value} kWh above ${rule.threshold} kWh`;
+    case 'power_quality':
+      return `voltage ${event.event_type} on ${event.field} (phase ${event.phase}): ${value} V, ${event.depth_pct}% from nominal`;
+    default:
+      return `${event.field} ${value}`;
+  }
+}
+
+async function fireAlert(rule, meterId, event) {
+  const label = await meterLabel(meterId);
+  console.log(`🚨 Alert "${rule.name}" on ${meterId}: ${event.field} = ${event.value}`);
+
+  broadcastLiveEvent('alert', {
+    alert: rule.type,
+    rule_id: String(rule._id),
+    rule_name: rule.name,
+    severity: rule.severity,
+    meter_id: meterId,
+    field: event.field,
+    value: event.value,
+    timestamp: event.timestamp
+  });
+
+  if (rule.type === 'daily_peak') {
+    await sendPushNotification(
+      '⚡ New Daily Peak!',
+      `${label}: current peak ${event.field} is ${Number(event.value).toFixed(2)} kW`,
+      'peak',
+      { power: event.value, meter_id: meterId }
+    );
+    return;
+  }
+
+  await sendPushNotification(
+    `🚨 ${rule.name}`,
+    `${label}: ${describeAlert(rule, event)}`,
+    'alert',
+    {
+      rule_id: rule._id,
+      rule_name: rule.name,
+      rule_type: rule.type,
+      severity: rule.severity,
+      meter_id: meterId,
+      field: event.field,
+      value: event.value,
+      threshold: rule.type === 'band' ? undefined : rule.threshold,
+      triggered_at: event.timestamp ? toStorageTimestamp(new Date(event.timestamp)) : undefined
+    }
+  );
+}
+
+function cooledDown(rule, state, nowMs) {
+  return nowMs - state.lastFiredMs >= (rule.cooldown_minutes || 0) * 60000;
+}
+
+// threshold / band / imbalance: ต้องผิดเงื่อนไขต่อเนื่อง duration_minutes แจ้งครั้งเดียวต่อรอบ จนกว่าจะกลับปกติ
+async function evaluateSustainedRule(rule, meterId, readings) {
+  const state = getAlertState(rule, meterId);
+  for (const reading of readings) {
+    const ts = Date.parse(reading.timestamp);
+    const violation = evaluateReadingCondition(rule, reading);
+    if (!violation) {
+      state.since = null;
+      state.fired = false;
+      continue;
+    }
+
+    if (state.since === null) state.since = ts;
+    if (!state.fired && ts - state.since >= (rule.duration_minutes || 0) * 60000 && cooledDown(rule, state, ts)) {
+      state.fired = true;
+      state.lastFiredMs = ts;
+      await fireAlert(rule, meterId, { ...violation, timestamp: reading.timestamp });
+    }
+  }
+}
+
+async function evaluateDailyPeakRule(rule, meterId, readings, today) {
+  const state = getAlertState(rule, meterId);
+  const field = ruleFields(rule)[0];
+
+  // เริ่มวันใหม่ / เพิ่งรีสตาร์ท: ตั้งต้นจาก rollup ของวันนี้ จะได้ไม่แจ้งซ้ำค่าที่เคยแจ้งแล้ว
+  if (state.date !== today) {
+    const rollup = field === 'power' ? await DailyEnergyRollup.findOne({ meter_id: meterId, date: today }).lean() : null;
+    state.date = today;
+    state.max = rollup && rollup.max_power_kw != null ? rollup.max_power_kw : 0;
+    console.log(`🔁 Reset daily peak for ${meterId} on ${today}`);
+  }
+
+  let peak = null;
+  for (const reading of readings) {
+    const value = reading[field];
+    if (typeof value === 'number' && value > state.max && (!peak || value > peak.value)) {
+      peak = { field, value, timestamp: reading.timestamp };
+    }
+  }
+  if (!peak) return;
+
+  state.max = peak.value;
+  const ts = Date.parse(peak.timestamp);
+  if ((rule.threshold === undefined || rule.threshold === null || peak.value >= rule.threshold) && cooledDown(rule, state, ts)) {
+    state.lastFiredMs = ts;
+    await fireAlert(rule, meterId, peak);
+  }
+}
+
+async function evaluateDailyEnergyRule(rule, meterId, today) {
+  const state = getAlertState(rule, meterId);
+  if (state.date === today && state.fired) return;
+  if (state.date !== today) {
+    state.date = today;
+    state.fired = false;
+  }
+
+  // rollup อัปเดตทุกนาที ไม่ต้องเช็คถี่กว่านั้น
+  const nowMs = Date.now();
+  if (state.checkedMs && nowMs - state.checkedMs < 60000) return;
+  state.checkedMs = nowMs;
+
+  const rollup = await DailyEnergyRollup.findOne({ meter_id: meterId, date: today }).lean();
+  if (rollup && rollup.energy_kwh > rule.threshold) {
+    state.fired = true;
+    await fireAlert(rule, meterId, {
+      field: 'energy_kwh',
+      value: Number(rollup.energy_kwh.toFixed(2)),
+      timestamp: formatStoredTimestamp(rollup.last_timestamp)
+    });
+  }
+}
+
+async function evaluateAlertRules(readings) {
+  try {
+    const rules = await loadAlertRules();
+    if (!rules.length) return;
+
+    const today = todayIn();
+    const activeMeters = await getActiveMeterIds();
+
+    // แยกตามมิเตอร์ เรียงตามเวลา และตัด reading ย้อนหลังออก
+    const byMeter = new Map();
+    for (const reading of readings) {
+      if (!activeMeters.includes(reading.meter_id)) continue;
+      if (Date.now() - Date.parse(reading.timestamp) > ALERT_MAX_LAG_MS) continue;
+      if (!byMeter.has(reading.meter_id)) byMeter.set(reading.meter_id, []);
+      byMeter.get(reading.meter_id).push(reading);
+    }
+
+    for (const [meterId, meterReadings] of byMeter) {
+      meterReadings.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+      for (const rule of rules) {
+        if (rule.meter_ids.length && !rule.meter_ids.includes(meterId)) continue;
+
+        if (rule.type === 'power_quality') {
+          continue; // ประเมินตอนตัวตรวจ power quality พบ event (notifyPowerQualityEvents)
+        } else if (rule.type === 'daily_peak') {
+          await evaluateDailyPeakRule(rule, meterId, meterReadings.filter(r => r.timestamp.slice(0, 10) === today), today);
+        } else if (rule.type === 'daily_energy') {
+          await evaluateDailyEnergyRule(rule, meterId, today);
+        } else {
+          await evaluateSustainedRule(rule, meterId, meterReadings);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('❌ Error evaluating alert rules:', err);
+  }
+}
+
+// เรียกจาก scanPowerQuality เมื่อพบ event ใหม่
+async function notifyPowerQualityEvents(meterId, events) {
+  try {
+    const rules = (await loadAlertRules()).filter(r =>
+      r.type === 'power_quality' && (!r.meter_ids.length || r.meter_ids.includes(meterId)));
+
+    for (const rule of rules) {
+      const state = getAlertState(rule, meterId);
+      for (const event of events) {
+        if (rule.event_types.length && !rule.event_types.includes(event.type)) continue;
+        if (rule.fields.length && !rule.fields.includes(event.channel)) continue;
+
+        const ts = fromStorageTimestamp(event.start).getTime();
+        if (!cooledDown(rule, state, ts)) continue;
+        state.lastFiredMs = ts;
+        await fireAlert(rule, meterId, {
+          field: event.channel,
+          value: event.type === 'swell' ? event.max_voltage : event.min_voltage,
+          timestamp: formatStoredTimestamp(event.start),
+          event_type: event.type,
+          phase: event.phase,
+          depth_pct: event.depth_pct
+        });
+      }
+    }
+  } catch (err) {
+    console.error('❌ Error sending power quality alerts:', err);
+  }
+}
+
+async function meterLabel(meterId) {
+  const meter = await getMeter(meterId);
+  return meter ? `${meter.name} (${meterId})` : meterId;
+}
+
+readingFeed.on('readings', evaluateAlertRules);
+
+// ================== DAILY BILL AUTO NOTIFICATION ==================
+
+async function sendDailyBillNotification() {
+  try {
+    // คำนวณวันที่เมื่อวาน (เพราะตี 1 = เริ่มวันใหม่แล้ว)
+    const dateStr = addDays(todayIn(), -1);
+
+    for (const meterId of await getActiveMeterIds()) {
+      console.log(`📊 Calculating daily bill for ${meterId} on ${dateStr}...`);
+
+      // คำนวณแบบเดียวกับ /daily-bill
+      const bill = await computeDailyBill(meterId, dateStr);
+      if (!bill) {
+        console.log(`⚠️ No data found for ${meterId} on ${dateStr}`);
+        continue;
+      }
+
+      const totalEnergyKwh = bill.total_energy_kwh;
+      const electricityBill = bill.electricity_bill;
+
+      console.log(`✅ Daily Bill ${meterId}: ${totalEnergyKwh} Unit = ${electricityBill} THB (${bill.samples} samples)`);
+
+      // แนบคาดการณ์สิ้นเดือน (ปิดได้ด้วย DAILY_BILL_FORECAST=false)
+      let forecast = null;
+      if (process.env.DAILY_BILL_FORECAST !== 'false') {
+        const projection = await computeMonthForecast(meterId, todayIn());
+        if (projection) {
+          forecast = {
+            month: projection.month,
+            energy_kwh: projection.forecast.energy_kwh.point,
+            electricity_bill: projection.forecast.electricity_bill.point,
+            low: projection.forecast.electricity_bill.low,
+            high: projection.forecast.electricity_bill.high
+          };
+        }
+      }
+
+      // ส่ง Push Notification และบันทึก
+      await sendPushNotification(
+        '💰 Daily Energy Report',
+        `${await meterLabel(meterId)} yesterday (${dateStr}): ${totalEnergyKwh} Unit = ${electricityBill} THB ` +
+        `(energy ${bill.breakdown.energy_charge} + Ft ${bill.breakdown.ft_charge} + ` +
+        `service ${bill.breakdown.service_charge} + VAT ${bill.breakdown.vat})` +
+        (forecast ? ` | ${forecast.month} forecast ${forecast.electricity_bill} THB (${forecast.low}-${forecast.high})` : ''),
+        'daily_bill',
+        {
+          meter_id: meterId,
+          date: dateStr,
+          energy_kwh: totalEnergyKwh,
+          electricity_bill: electricityBill,
+          samples: bill.samples,
+          rate_per_kwh: bill.rate_per_kwh,
+          tariff_id: bill.tariff.id,
+          tariff_version: {
+            version_id: bill.tariff.version_id,
+            version: bill.tariff.version,
+            valid_from: bill.tariff.valid_from,
+            valid_to: bill.tariff.valid_to
+          },
+          tier_breakdown: bill.tier_breakdown,
+          month_to_date_kwh: bill.month_to_date_kwh,
+          breakdown: bill.breakdown,
+          tou: bill.tou,
+          forecast
+        }
+      );
+
+      console.log(`📤 Daily bill notification sent for ${meterId} on ${dateStr}`);
+    }
+
+  } catch (err) {
+    console.error('❌ Error sending daily bill notification:', err);
+  }
+}
+
+// ตั้งเวลาให้ทำงานทุกวันตอนตี 1 (01:00:00)
+// รูปแบบ: second minute hour day month weekday
+// '0 0 1 * * *' = ทุกวันเวลา 01:00:00
+cron.schedule('0 0 1 * * *', () => {
+  console.log('⏰ Running daily bill notification job at 1:00 AM');
+  sendDailyBillNotification();
+}, {
+  timezone: "Asia/Bangkok" // ใช้เวลาไทย
+});
+
+// ================== ENERGY ROLLUP JOB ==================
+let rollupJobRunning = false;
+
+async function runRollupJob() {
+  if (rollupJobRunning || timestampMigrationRunning) return;
+  rollupJobRunning = true;
+  try {
+    for (const meterId of await getActiveMeterIds()) {
+      await catchUpRollups(meterId);
+    }
+  } catch (err) {
+    console.error('❌ Error updating energy rollups:', err);
+  } finally {
+    rollupJobRunning = false;
+  }
+}
+
+// สรุป reading ใหม่ทุกนาที (ครั้งแรกจะ backfill ประวัติที่ยังไม่มี rollup)
+cron.schedule('0 * * * * *', () => {
+  runRollupJob();
+});
+
+// ================== POWER QUALITY JOB ==================
+let pqJobRunning = false;
+
+async function runPowerQualityJob() {
+  if (pqJobRunning || timestampMigrationRunning) return;
+  pqJobRunning = true;
+  try {
+    for (const meterId of await getActiveMeterIds()) {
+      await scanPowerQuality(meterId);
+    }
+  } catch (err) {
+    console.error('❌ Error scanning power quality:', err);
+  } finally {
+    pqJobRunning = false;
+  }
+}
+
+cron.schedule('30 * * * * *', () => {
+  runPowerQualityJob();
+});
+
+// ================== DELIVERY RETRY JOB ==================
+// คิวของ delivery channels และ webhook subscriptions retry ด้วยกลไกเดียวกัน (ดู delivery.js)
+const DELIVERY_QUEUES = [
+  { name: 'deliveries', model: NotificationDelivery, attempt: delivery => attemptDelivery(delivery) },
+  { name: 'webhooks', model: WebhookDelivery, attempt: delivery => attemptWebhookDelivery(delivery) }
+];
+let deliveryJobRunning = false;
+
+async function runDeliveryRetryJob() {
+  if (deliveryJobRunning) return;
+  deliveryJobRunning = true;
+  try {
+    for (const queue of DELIVERY_QUEUES) {
+      try {
+        await retryDueDeliveries(queue.model, queue.attempt);
+      } catch (err) {
+        console.error(`❌ Error retrying ${queue.name}:`, err);
+      }
+    }
+  } finally {
+    deliveryJobRunning = false;
+  }
+}
+
+cron.schedule('15 * * * * *', () => {
+  runDeliveryRetryJob();
+});
+
+// ================== METER OFFLINE JOB ==================
+// ไม่มี reading นานเกิน METER_OFFLINE_MINUTES (หรือ 3 รอบ sample_interval_seconds ถ้านานกว่า) = offline
+// สถานะอยู่ใน notification meter_offline ที่ยังไม่มี recovered_at จึงไม่แจ้งซ้ำหลัง restart
+const METER_OFFLINE_MINUTES = Number(process.env.METER_OFFLINE_MINUTES) || 15;
+let meterOfflineJobRunning = false;
+
+function offlineThresholdMs(meter) {
+  const intervalMs = meter && meter.sample_interval_seconds ? meter.sample_interval_seconds * 3000 : 0;
+  return Math.max(METER_OFFLINE_MINUTES * 60000, intervalMs);
+}
+
+async function checkMeterOnline(meterId, nowMs) {
+  const latest = await PowerPXDH11.findOne(meterFilter(meterId)).sort({ timestamp: -1 }).select('timestamp').lean();
+  if (!latest) return; // ยังไม่เคยส่งข้อมูล
+
+  const OfflineNotification = NOTIFICATION_TYPES.meter_offline.model;
+  const lastReadingAt = fromStorageTimestamp(latest.timestamp);
+  const silentMs = nowMs - lastReadingAt.getTime();
+  const open = await OfflineNotification.findOne({ meter_id: meterId, recovered_at: null }).sort({ timestamp: -1 }).lean();
+  const label = await meterLabel(meterId);
+
+  if (silentMs >= offlineThresholdMs(await getMeter(meterId))) {
+    if (open) return;
+    const minutes = Math.round(silentMs / 60000);
+    console.log(`📴 ${meterId} offline: no readings for ${minutes} min`);
+    await sendPushNotification(
+      '📴 Meter Offline',
+      `${label}: no readings for ${minutes} min (last ${formatInstant(lastReadingAt)})`,
+      'meter_offline',
+      { meter_id: meterId, last_reading_at: latest.timestamp, silent_minutes: minutes }
+    );
+    return;
+  }
+
+  if (!open) return;
+
+  // กลับมาส่งข้อมูลแล้ว ปิดรายการ offline และแจ้ง webhook
+  await OfflineNotification.updateOne({ _id: open._id }, { $set: { recovered_at: latest.timestamp } });
+  const offlineSince = fromStorageTimestamp(open.last_reading_at);
+  const downtimeMinutes = Math.round((lastReadingAt - offlineSince) / 60000);
+  console.log(`📶 ${meterId} back online after ${downtimeMinutes} min`);
+
+  await emitWebhookEvent('meter_online', {
+    notification_id: open._id,
+    type: 'meter_online',
+    title: '📶 Meter Online',
+    body: `${label}: readings resumed after ${downtimeMinutes} min`,
+    meter_id: meterId,
+    timestamp: formatInstant(lastReadingAt),
+    data: { offline_since: formatInstant(offlineSince), downtime_minutes: downtimeMinutes }
+  });
+}
+
+async function runMeterOfflineJob() {
+  if (meterOfflineJobRunning || timestampMigrationRunning) return;
+  meterOfflineJobRunning = true;
+  try {
+    const nowMs = Date.now();
+    for (const meterId of await getActiveMeterIds()) {
+      await checkMeterOnline(meterId, nowMs);
+    }
+  } catch (err) {
+    console.error('❌ Error checking meter status:', err);
+  } finally {
+    meterOfflineJobRunning = false;
+  }
+}
+
+cron.schedule('20 * * * * *', () => {
+  runMeterOfflineJob();
+});
+
+// ================== ANOMALY JOB ==================
+// เปิดด้วย ANOMALY_NOTIFY=true: ทุกชั่วโมงนาทีที่ 5 ประเมินชั่วโมงที่เพิ่งจบ (หลังเที่ยงคืนประเมินทั้งวันของเมื่อวานด้วย)
+// แจ้งเฉพาะที่สูงกว่าปกติ (ต่ำกว่าปกติส่วนใหญ่คือวันหยุดหรือข้อมูลขาด ซึ่งมี METER OFFLINE JOB แล้ว)
+let anomalyJobRunning = false;
+
+async function notifyAnomaly(meterId, result, hour) {
+  const AnomalyNotification = NOTIFICATION_TYPES.anomaly.model;
+  if (await AnomalyNotification.exists({ meter_id: meterId, date: result.date, hour })) return;
+
+  const when = hour === null ? `${result.weekday} ${result.date}` : `${result.weekday} ${result.date} ${result.hour}`;
+  await sendPushNotification(
+    '📈 Unusual Consumption',
+    `${await meterLabel(meterId)} ${when}: ${result.energy_kwh} kWh vs normal ${result.expected_kwh} kWh` +
+    (result.ratio ? ` (${result.ratio}×)` : ''),
+    'anomaly',
+    {
+      meter_id: meterId,
+      date: result.date,
+      hour,
+      energy_kwh: result.energy_kwh,
+      expected_kwh: result.expected_kwh,
+      ratio: result.ratio,
+      score: result.score,
+      direction: result.anomaly
+    }
+  );
+}
+
+async function runAnomalyJob() {
+  if (anomalyJobRunning || timestampMigrationRunning) return;
+  anomalyJobRunning = true;
+  try {
+    const lastHour = new Date(toZonedClock(new Date()).getTime() - HOUR_MS);
+    const date = lastHour.toISOString().slice(0, 10);
+    const hour = lastHour.getUTCHours();
+    const threshold = getAnomalyThreshold();
+
+    for (const meterId of await getActiveMeterIds()) {
+      const baseline = await loadAnomalyBaseline(meterId, date);
+
+      const rollup = await HourlyEnergyRollup.findOne({ meter_id: meterId, date, hour }).lean();
+      const hourResult = rollup && evaluateAnomalyHour(rollup, baseline, threshold);
+      if (hourResult && hourResult.anomaly === 'high') await notifyAnomaly(meterId, hourResult, hour);
+
+      if (hour === 23) {
+        const daily = await DailyEnergyRollup.findOne({ meter_id: meterId, date }).lean();
+        const dayResult = daily && evaluateAnomalyDay(daily, baseline, threshold);
+        if (dayResult && dayResult.anomaly === 'high') await notifyAnomaly(meterId, dayResult, null);
+      }
+    }
+  } catch (err) {
+    console.error('❌ Error checking consumption anomalies:', err);
+  } finally {
+    anomalyJobRunning = false;
+  }
+}
+
+cron.schedule('0 5 * * * *', () => {
+  if (process.env.ANOMALY_NOTIFY !== 'true') return;
+  runAnomalyJob();
+});
+
+// ================== MONTHLY REPORT JOB ==================
+// วันที่ 1 ของทุกเดือน 02:00 สร้างรายงานของเดือนก่อน (ปิดได้ด้วย MONTHLY_REPORT=false)
+cron.schedule('0 0 2 1 * *', async () => {
+  if (process.env.MONTHLY_REPORT === 'false') return;
+  try {
+    const lastMonth = shiftMonth(todayIn().slice(0, 7), -1);
+    await generateMonthlyReportFiles(lastMonth);
+  } catch (err) {
+    console.error('❌ Error generating monthly report:', err);
+  }
+}, {
+  timezone: "Asia/Bangkok"
+});
+
+// ================== TEST PUSH ==================
+app.get('/api/test-push', requireRole('admin'), async (req, res) => {
+  try {
+    await sendPushNotification(
+      '🔔 Test Push',
+      'การแจ้งเตือนทดสอบทำงานแล้ว!',
+      'test',
+      {}
+    );
+    res.send('✅ Push sent and saved to DB');
+  } catch (err) {
+    console.error('❌ test-push error:', err);
+    res.status(500).send('❌ Failed to send test push');
+  }
+});
+
+// ================== NOTIFICATION API ==================
+// GET /api/notifications?type=peak,alert&from=&to=&read=false&meter=&limit=&cursor=
+// cursor = ตำแหน่งรายการสุดท้ายของหน้าก่อน (timestamp + _id) ต่อหน้าได้ตรงแม้มีรายการใหม่เข้ามา
+// route แยกชนิดแบบเดิม (/api/notifications/peak ฯลฯ) เป็น view ของ collection เดียวกัน ยังใช้ ?page= ได้
+const MAX_NOTIFICATION_LIMIT = 200;
+const NOTIFICATION_MIGRATION_ID = 'unified_notifications';
+
+function encodeNotificationCursor(doc) {
+  return Buffer.from(JSON.stringify({ t: doc.timestamp, id: String(doc._id) })).toString('base64url');
+}
+
+function decodeNotificationCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    const timestamp = new Date(t);
+    if (isNaN(timestamp) || !mongoose.isValidObjectId(id)) return null;
+    return { timestamp, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseNotificationTypes(value) {
+  const types = value && value !== 'all'
+    ? String(value).split(',').map(t => t.trim()).filter(Boolean)
+    : Object.keys(NOTIFICATION_TYPES);
+  const unknown = types.filter(t => !NOTIFICATION_TYPES[t]);
+  return unknown.length ? { error: `Unknown type: ${unknown.join(', ')}` } : { types };
+}
+
+// filter ร่วมของทุก route: ชนิด, ช่วงวัน (ตาม tz), สถานะอ่าน, มิเตอร์ และ filter เฉพาะชนิด (เช่น severity ของ alert)
+function buildNotificationQuery(req, types) {
+  const { from, to, read, unreadOnly, meter } = req.query;
+  const query = { type: types.length === 1 ? types[0] : { $in: types } };
+
+  if ((from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) || (to && !/^\d{4}-\d{2}-\d{2}$/.test(to))) {
+    return { error: 'Invalid from/to. Use YYYY-MM-DD' };
+  }
+  if (from || to) {
+    query.timestamp = {
+      ...(from && { $gte: getDayRange(from, req.tz).start }),
+      ...(to && { $lte: getDayRange(to, req.tz).end })
+    };
+  }
+
+  if (read === 'true' || read === 'false') query.read = read === 'true';
+  else if (unreadOnly === 'true') query.read = false;
+
+  if (meter) query.meter_id = meter;
+
+  for (const type of types) {
+    for (const field of NOTIFICATION_TYPES[type].filters) {
+      if (types.length === 1 && req.query[field]) query[field] = req.query[field];
+    }
+  }
+  return { query };
+}
+
+async function listNotifications(req, types) {
+  const built = buildNotificationQuery(req, types);
+  if (built.error) return built;
+  const { query } = built;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_NOTIFICATION_LIMIT);
+
+  let find = query;
+  let page = null;
+  if (req.query.cursor) {
+    const cursor = decodeNotificationCursor(req.query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+    find = {
+      $and: [query, {
+        $or: [
+          { timestamp: { $lt: cursor.timestamp } },
+          { timestamp: cursor.timestamp, _id: { $lt: cursor.id } }
+        ]
+      }]
+    };
+  } else {
+    page = Math.max(parseInt(req.query.page) || 1, 1);
+  }
+
+  const docs = await Notification.find(find)
+    .sort({ timestamp: -1, _id: -1 })
+    .skip(page ? (page - 1) * limit : 0)
+    .limit(limit + 1)
+    .lean();
+  const data = docs.slice(0, limit);
+  const hasMore = docs.length > limit;
+  const total = await Notification.countDocuments(query);
+
+  return {
+    query,
+    data,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeNotificationCursor(data[data.length - 1]) : null
+    }
+  };
+}
+
+// { type: { total, unread } } ของทุกชนิดที่ลงทะเบียน
+async function notificationCounts(match = {}) {
+  const rows = await Notification.aggregate([
+    { $match: match },
+    { $group: { _id: '$type', total: { $sum: 1 }, unread: { $sum: { $cond: ['$read', 0, 1] } } } }
+  ]);
+  const byType = new Map(rows.map(r => [r._id, r]));
+  return Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, {
+    total: byType.has(type) ? byType.get(type).total : 0,
+    unread: byType.has(type) ? byType.get(type).unread : 0
+  }]));
+}
+
+// collection แยกแบบเก่า -> notifications (คง _id เดิม รันซ้ำได้ collection เดิมไม่ลบ)
+async function migrateLegacyNotifications() {
+  try {
+    if (await SchemaMigration.exists({ _id: NOTIFICATION_MIGRATION_ID, status: 'completed' })) return;
+
+    const db = mongoose.connection.db;
+    const existing = new Set((await db.listCollections({}, { nameOnly: true }).toArray()).map(c => c.name));
+    const copied = {};
+
+    for (const { type, legacy_collection } of Object.values(NOTIFICATION_TYPES)) {
+      if (!legacy_collection || !existing.has(legacy_collection)) continue;
+      copied[type] = 0;
+
+      const cursor = db.collection(legacy_collection).find().sort({ _id: 1 }).batchSize(1000);
+      let batch = [];
+      const flush = async () => {
+        if (!batch.length) return;
+        const result = await Notification.collection.bulkWrite(batch.map(({ _id, ...doc }) => ({
+          updateOne: { filter: { _id }, update: { $setOnInsert: { ...doc, type } }, upsert: true }
+        })), { ordered: false });
+        copied[type] += result.upsertedCount;
+        batch = [];
+      };
+      for await (const doc of cursor) {
+        batch.push(doc);
+        if (batch.length >= 1000) await flush();
+      }
+      await flush();
+    }
+
+    await SchemaMigration.updateOne(
+      { _id: NOTIFICATION_MIGRATION_ID },
+      { $set: { status: 'completed', progress: copied, completed_at: new Date() } },
+      { upsert: true }
+    );
+    if (Object.keys(copied).length) console.log('✅ Moved legacy notifications into notifications:', copied);
+  } catch (err) {
+    console.error('❌ Error migrating legacy notifications:', err);
+  }
+}
+
+// view ของชนิดเดียว (รูปแบบ response เดิม)
+function notificationViewHandler(definition) {
+  return async (req, res) => {
+    try {
+      const result = await listNotifications(req, [definition.type]);
+      if (result.error) return res.status(400).json({ success: false, error: result.error });
+
+      res.json({
+        success: true,
+        type: definition.type,
+        data: result.data,
+        pagination: result.pagination,
+        unreadCount: await Notification.countDocuments({ type: definition.type, read: false })
+      });
+    } catch (err) {
+      console.error(`❌ GET /api/notifications/${definition.path} error:`, err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  };
+}
+
+for (const definition of Object.values(NOTIFICATION_TYPES)) {
+  app.get(`/api/notifications/${definition.path}`, requireRole('viewer'), notificationViewHandler(definition));
+}
+
+// ทดสอบส่ง Daily Bill Notification ทันที
+app.get('/api/test-daily-bill', requireRole('admin'), async (req, res) => {
+  try {
+    await sendDailyBillNotification();
+    res.json({ 
+      success: true, 
+      message: 'Daily bill notification sent and saved to DB' 
+    });
+  } catch (err) {
+    console.error('❌ test-daily-bill error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+// ทุกชนิดรวมกัน (/all เป็นชื่อเดิม)
+async function allNotificationsHandler(req, res) {
+  try {
+    const parsed = parseNotificationTypes(req.query.type);
+    if (parsed.error) return res.status(400).json({ success: false, error: parsed.error, types: Object.keys(NOTIFICATION_TYPES) });
+
+    const result = await listNotifications(req, parsed.types);
+    if (result.error) return res.status(400).json({ success: false, error: result.error });
+
+    const breakdown = await notificationCounts(result.query);
+    const unread = await notificationCounts({ read: false });
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      unreadCount: Object.values(unread).reduce((sum, c) => sum + c.unread, 0),
+      breakdown: Object.fromEntries(Object.keys(breakdown).map(type => [type, { total: breakdown[type].total, unread: unread[type].unread }]))
+    });
+  } catch (err) {
+    console.error('❌ GET /api/notifications error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+app.get('/api/notifications', requireRole('viewer'), allNotificationsHandler);
+app.get('/api/notifications/all', requireRole('viewer'), allNotificationsHandler);
+
+// ล่าสุดของทุกชนิด
+app.get('/api/notifications/recent', requireRole('viewer'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_NOTIFICATION_LIMIT);
+    const notifications = await Notification.find()
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit)
+      .lean();
+    const counts = await notificationCounts({ read: false });
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount: Object.values(counts).reduce((sum, c) => sum + c.unread, 0),
+      breakdown: Object.fromEntries(Object.entries(counts).map(([type, c]) => [type, c.unread]))
+    });
+  } catch (err) {
+    console.error('❌ GET /api/notifications/recent error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ทำเครื่องหมายว่าอ่านแล้ว (type ไม่บังคับ ถ้าส่งมาจะอ่านเฉพาะชนิดนั้น)
+app.patch('/api/notifications/mark-read', requireRole('viewer'), async (req, res) => {
+  try {
+    const { type, ids } = req.body || {};
+
+    if (!Array.isArray(ids) || !ids.length || !ids.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'ids array is required',
+        example: { type: 'peak', ids: ['id1', 'id2'] }
+      });
+    }
+    if (type && !NOTIFICATION_TYPES[type]) {
+      return res.status(400).json({ success: false, error: 'Invalid type', types: Object.keys(NOTIFICATION_TYPES) });
+    }
+
+    const result = await Notification.updateMany(
+      { _id: { $in: ids }, ...(type && { type }) },
+      { $set: { read: true } }
+    );
+
+    res.json({
+      success: true,
+      message: `Marked ${result.modifiedCount}${type ? ` ${type}` : ''} notifications as read`,
+      modifiedCount: result.modifiedCount
+    });
+  } catch (err) {
+    console.error('❌ PATCH /api/notifications/mark-read error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ทำเครื่องหมายทั้งหมดว่าอ่านแล้ว (?type= เฉพาะบางชนิด)
+app.patch('/api/notifications/mark-all-read', requireRole('viewer'), async (req, res) => {
+  try {
+    const parsed = parseNotificationTypes(req.query.type || (req.body && req.body.type));
+    if (parsed.error) return res.status(400).json({ success: false, error: parsed.error, types: Object.keys(NOTIFICATION_TYPES) });
+
+    const match = { type: { $in: parsed.types }, read: false };
+    const counts = await notificationCounts(match);
+    const result = await Notification.updateMany(match, { $set: { read: true } });
+
+    res.json({
+      success: true,
+      message: `Marked ${result.modifiedCount} notifications as read`,
+      breakdown: Object.fromEntries(Object.entries(counts).map(([type, c]) => [type, c.unread])),
+      totalModified: result.modifiedCount
+    });
+  } catch (err) {
+    console.error('❌ PATCH /api/notifications/mark-all-read error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ลบ notification
+app.delete('/api/notifications/:type/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!NOTIFICATION_TYPES[type]) {
+      return res.status(400).json({ success: false, error: 'Invalid type' });
+    }
+
+    const result = mongoose.isValidObjectId(id) ? await Notification.findOneAndDelete({ _id: id, type }) : null;
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `${type} notification deleted successfully`
+    });
+  } catch (err) {
+    console.error('❌ DELETE /api/notifications error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ลบทั้งหมด (?type=peak,alert หรือไม่ระบุ/all = ทุกชนิด)
+app.delete('/api/notifications', requireRole('admin'), async (req, res) => {
+  try {
+    const parsed = parseNotificationTypes(req.query.type);
+    if (parsed.error) return res.status(400).json({ success: false, error: 'Invalid type', types: Object.keys(NOTIFICATION_TYPES) });
+
+    const breakdown = Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, 0]));
+    for (const type of parsed.types) {
+      breakdown[type] = (await Notification.deleteMany({ type })).deletedCount;
+    }
+    const totalDeleted = Object.values(breakdown).reduce((sum, n) => sum + n, 0);
+
+    console.log(`🗑️ ${req.auth.name} deleted ${totalDeleted} notifications (${parsed.types.join(', ')})`);
+    res.json({
+      success: true,
+      message: `Deleted ${totalDeleted} notifications`,
+      breakdown,
+      totalDeleted
+    });
+  } catch (err) {
+    console.error('❌ DELETE /api/notifications error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// สถิติ notification (แยกตาม type)
+app.get('/api/notifications/stats', requireRole('viewer'), async (req, res) => {
+  try {
+    const counts = await notificationCounts();
+
+    const byType = {};
+    for (const [type, c] of Object.entries(counts)) {
+      byType[type] = {
+        total: c.total,
+        unread: c.unread,
+        read: c.total - c.unread,
+        latest: await Notification.findOne({ type }).sort({ timestamp: -1, _id: -1 }).lean()
+      };
+    }
+
+    const total = Object.values(counts).reduce((sum, c) => sum + c.total, 0);
+    const unread = Object.values(counts).reduce((sum, c) => sum + c.unread, 0);
+
+    res.json({
+      success: true,
+      stats: {
+        total,
+        unread,
+        read: total - unread,
+        byType
+      }
+    });
+  } catch (err) {
+    console.error('❌ GET /api/notifications/stats error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ================= DELIVERY CHANNEL API =================
+// config มี token/รหัสผ่าน จึงจัดการได้เฉพาะ admin และไม่ส่งค่าลับกลับ (ดู maskChannel)
+
+app.get('/api/channels', requireRole('admin'), async (req, res) => {
+  try {
+    const channels = await DeliveryChannel.find().sort({ createdAt: 1 }).lean();
+    res.json({ success: true, kinds: DELIVERY_KINDS, types: Object.keys(NOTIFICATION_TYPES), data: channels.map(maskChannel) });
+  } catch (err) {
+    console.error('❌ GET /api/channels error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/channels/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const channel = mongoose.isValidObjectId(req.params.id) ? await DeliveryChannel.findById(req.params.id).lean() : null;
+    if (!channel) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+    res.json({ success: true, data: maskChannel(channel) });
+  } catch (err) {
+    console.error('❌ GET /api/channels/:id error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/channels', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateChannel(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; '),
+        example: { name: 'LINE ห้องควบคุม', kind: 'line', types: ['peak', 'daily_bill'], config: { access_token: '<channel access token>', to: 'U1234...' } }
+      });
+    }
+
+    const { name, kind, enabled, types, meter_ids, config } = req.body;
+    const channel = await DeliveryChannel.create({ name, kind, enabled, types, meter_ids, config });
+
+    console.log(`💾 Delivery channel "${channel.name}" (${channel.kind}) created`);
+    res.status(201).json({ success: true, data: maskChannel(channel.toObject()) });
+  } catch (err) {
+    console.error('❌ POST /api/channels error:', err);
+    const status = err.code === 11000 ? 409 : err.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ success: false, error: err.code === 11000 ? 'Channel name already exists' : err.message });
+  }
+});
+
+app.put('/api/channels/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const existing = mongoose.isValidObjectId(req.params.id) ? await DeliveryChannel.findById(req.params.id).lean() : null;
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    const { name, kind, enabled, types, meter_ids, config } = req.body || {};
+    const changes = Object.fromEntries(Object.entries({ name, kind, enabled, types, meter_ids }).filter(([, value]) => value !== undefined));
+    const merged = { ...existing, ...changes };
+    if (config !== undefined) {
+      // เปลี่ยน kind แล้วค่าลับเดิมใช้ต่อไม่ได้
+      merged.config = mergeChannelSecrets(merged.kind, config, merged.kind === existing.kind ? existing.config : {});
+      changes.config = merged.config;
+    }
+
+    const errors = validateChannel(merged);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const channel = await DeliveryChannel.findByIdAndUpdate(req.params.id, { $set: changes }, { new: true, runValidators: true }).lean();
+    res.json({ success: true, data: maskChannel(channel) });
+  } catch (err) {
+    console.error('❌ PUT /api/channels/:id error:', err);
+    const status = err.code === 11000 ? 409 : err.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ success: false, error: err.code === 11000 ? 'Channel name already exists' : err.message });
+  }
+});
+
+app.delete('/api/channels/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id) ? await DeliveryChannel.findByIdAndDelete(req.params.id) : null;
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    // ที่ค้าง retry อยู่ส่งต่อไม่ได้แล้ว
+    await NotificationDelivery.updateMany(
+      { channel_id: result._id, status: { $in: ['pending', 'retrying'] } },
+      { $set: { status: 'failed', next_attempt_at: null, last_error: 'Channel deleted' } }
+    );
+
+    res.json({ success: true, message: `Channel "${result.name}" deleted successfully` });
+  } catch (err) {
+    console.error('❌ DELETE /api/channels/:id error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ส่งข้อความทดสอบทันที (ไม่ผ่าน types/meter_ids และไม่สร้าง notification) ผลอยู่ใน delivery log ที่คืนกลับ
+app.post('/api/channels/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    const channel = mongoose.isValidObjectId(req.params.id) ? await DeliveryChannel.findById(req.params.id).lean() : null;
+    if (!channel) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+
+    const delivery = await createDelivery(channel, {
+      notification_id: null,
+      type: 'test',
+      title: '🔔 Test Delivery',
+      body: `ทดสอบส่งผ่านช่องทาง "${channel.name}"`,
+      meter_id: null,
+      timestamp: formatInstant(new Date(), req.tz),
+      data: {}
+    });
+
+    res.status(delivery.status === 'sent' ? 200 : 502).json({ success: delivery.status === 'sent', data: delivery });
+  } catch (err) {
+    console.error('❌ POST /api/channels/:id/test error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// delivery log: ?status=&channel=&type=&notification_id=&limit=
+app.get('/api/deliveries', requireRole('operator'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      if (!DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      query.status = req.query.status;
+    }
+    for (const [param, field] of [['channel', 'channel_id'], ['notification_id', 'notification_id']]) {
+      if (!req.query[param]) continue;
+      if (!mongoose.isValidObjectId(req.query[param])) {
+        return res.status(400).json({ success: false, error: `Invalid ${param}` });
+      }
+      query[field] = req.query[param];
+    }
+    if (req.query.type) query.notification_type = req.query.type;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const deliveries = await NotificationDelivery.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+
+    res.json({ success: true, count: deliveries.length, data: deliveries });
+  } catch (err) {
+    console.error('❌ GET /api/deliveries error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ส่งซ้ำทันที (ใช้กับ failed ที่แก้ config แล้ว) นับ attempts ต่อจากเดิม
+app.post('/api/deliveries/:id/retry', requireRole('operator'), async (req, res) => {
+  try {
+    const delivery = mongoose.isValidObjectId(req.params.id) ? await NotificationDelivery.findById(req.params.id).lean() : null;
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    if (delivery.status === 'sent') {
+      return res.status(409).json({ success: false, error: 'Delivery already sent' });
+    }
+
+    const result = await attemptDelivery({ ...delivery, attempts: Math.min(delivery.attempts, DELIVERY_RETRY_POLICY.max_attempts - 1) });
+    res.status(result.status === 'sent' ? 200 : 502).json({ success: result.status === 'sent', data: result });
+  } catch (err) {
+    console.error('❌ POST /api/deliveries/:id/retry error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ================= WEBHOOK API =================
+// secret แสดงครั้งเดียวตอนสร้างและตอน rotate-secret เหมือน API key
+
+// delivery log: ?status=&subscription=&event=&limit= (status=dead คือ dead-letter list)
+app.get('/api/webhooks/deliveries', requireRole('operator'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      if (!WEBHOOK_DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+      }
+      query.status = req.query.status;
+    }
+    if (req.query.subscription) {
+      if (!mongoose.isValidObjectId(req.query.subscription)) {
+        return res.status(400).json({ success: false, error: 'Invalid subscription' });
+      }
+      query.subscription_id = req.query.subscription;
+    }
+    if (req.query.event) query.event = req.query.event;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const deliveries = await WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+
+    res.json({ success: true, count: deliveries.length, data: deliveries });
+  } catch (err) {
+    console.error('❌ GET /api/webhooks/deliveries error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ส่ง delivery เดิมซ้ำเป็นรายการใหม่ (event_id เดิม ปลายทางกันซ้ำได้) ใช้ได้ทั้งที่ dead และที่ส่งสำเร็จแล้ว
+app.post('/api/webhooks/deliveries/:id/replay', requireRole('operator'), async (req, res) => {
+  try {
+    const delivery = mongoose.isValidObjectId(req.params.id) ? await WebhookDelivery.findById(req.params.id).lean() : null;
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    if (['pending', 'retrying'].includes(delivery.status)) {
+      return res.status(409).json({ success: false, error: 'Delivery is still being retried' });
+    }
+
+    const subscription = await WebhookSubscription.findById(delivery.subscription_id).lean();
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+
+    const result = await createWebhookDelivery(subscription, delivery.payload, delivery._id);
+    res.status(result.status === 'delivered' ? 200 : 502).json({ success: result.status === 'delivered', data: result });
+  } catch (err) {
+    console.error('❌ POST /api/webhooks/deliveries/:id/replay error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: 1 }).lean();
+    const dead = await WebhookDelivery.aggregate([
+      { $match: { status: 'dead' } },
+      { $group: { _id: '$subscription_id', count: { $sum: 1 } } }
+    ]);
+    const deadCounts = new Map(dead.map(d => [String(d._id), d.count]));
+
+    res.json({
+      success: true,
+      events: WEBHOOK_EVENTS,
+      data: subscriptions.map(sub => ({ ...publicWebhook(sub), dead_letters: deadCounts.get(String(sub._id)) || 0 }))
+    });
+  } catch (err) {
+    console.error('❌ GET /api/webhooks error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.get('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = mongoose.isValidObjectId(req.params.id) ? await WebhookSubscription.findById(req.params.id).lean() : null;
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+    res.json({ success: true, data: publicWebhook(subscription) });
+  } catch (err) {
+    console.error('❌ GET /api/webhooks/:id error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validateWebhook(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; '),
+        example: { name: 'Home Assistant', url: 'http://homeassistant.local:8123/api/webhook/px-dh', events: ['daily_bill', 'meter_offline'] }
+      });
+    }
+
+    const { name, url, events, meter_ids, enabled } = req.body;
+    const secret = generateWebhookSecret();
+    const subscription = await WebhookSubscription.create({ name, url, events, meter_ids, enabled, secret, created_by: req.auth.name });
+
+    console.log(`🪝 Webhook "${name}" registered by ${req.auth.name} for ${events.join(', ')}`);
+    res.status(201).json({ success: true, data: { ...publicWebhook(subscription), secret } });
+  } catch (err) {
+    console.error('❌ POST /api/webhooks error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ success: false, error: err.message });
+  }
+});
+
+app.put('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const existing = mongoose.isValidObjectId(req.params.id) ? await WebhookSubscription.findById(req.params.id).lean() : null;
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+
+    const { name, url, events, meter_ids, enabled } = req.body || {};
+    const changes = Object.fromEntries(Object.entries({ name, url, events, meter_ids, enabled }).filter(([, value]) => value !== undefined));
+    const errors = validateWebhook({ ...existing, ...changes });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const subscription = await WebhookSubscription.findByIdAndUpdate(req.params.id, { $set: changes }, { new: true, runValidators: true }).lean();
+    res.json({ success: true, data: publicWebhook(subscription) });
+  } catch (err) {
+    console.error('❌ PUT /api/webhooks/:id error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id) ? await WebhookSubscription.findByIdAndDelete(req.params.id) : null;
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+
+    await WebhookDelivery.deleteMany({ subscription_id: result._id });
+    console.log(`🗑 Webhook "${result.name}" deleted by ${req.auth.name}`);
+    res.json({ success: true, message: `Webhook "${result.name}" deleted successfully` });
+  } catch (err) {
+    console.error('❌ DELETE /api/webhooks/:id error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// secret เดิมใช้ไม่ได้ทันที ปลายทางต้องเปลี่ยนตาม
+app.post('/api/webhooks/:id/rotate-secret', requireRole('admin'), async (req, res) => {
+  try {
+    const secret = generateWebhookSecret();
+    const subscription = mongoose.isValidObjectId(req.params.id)
+      ? await WebhookSubscription.findByIdAndUpdate(req.params.id, { $set: { secret } }, { new: true }).lean()
+      : null;
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+
+    console.log(`🔑 Webhook "${subscription.name}" secret rotated by ${req.auth.name}`);
+    res.json({ success: true, data: { ...publicWebhook(subscription), secret } });
+  } catch (err) {
+    console.error('❌ POST /api/webhooks/:id/rotate-secret error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ส่ง event ping (ไม่อยู่ใน events ที่สมัครได้) ให้ปลายทางตรวจลายเซ็นได้ก่อนใช้จริง
+app.post('/api/webhooks/:id/ping', requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = mongoose.isValidObjectId(req.params.id) ? await WebhookSubscription.findById(req.params.id).lean() : null;
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+
+    const result = await createWebhookDelivery(subscription, {
+      id: `evt_${crypto.randomUUID()}`,
+      event: 'ping',
+      created_at: formatInstant(new Date(), req.tz),
+      data: { subscription_id: subscription._id, events: subscription.events }
+    });
+    res.status(result.status === 'delivered' ? 200 : 502).json({ success: result.status === 'delivered', data: result });
+  } catch (err) {
+    console.error('❌ POST /api/webhooks/:id/ping error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-// ================= Daily Diff Popup =================
-app.get('/daily-diff-popup', async (req, res) => {
-    try {
-        const todayStr = new Date().toISOString().split('T')[0];
+// replay dead-letter ทั้งหมดของ subscription (หลังปลายทางกลับมาใช้ได้)
+app.post('/api/webhooks/:id/replay-dead', requireRole('operator'), async (req, res) => {
+  try {
+    const subscription = mongoose.isValidObjectId(req.params.id) ? await WebhookSubscription.findById(req.params.id).lean() : null;
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+    if (!subscription.enabled) {
+      return res.status(409).json({ success: false, error: 'Subscription is disabled' });
+    }
 
-        if (!req.session.lastPopupDate || req.session.lastPopupDate !== todayStr) {
-            const axios = require('axios');
-            const diffResp = await axios.get(`http://localhost:${PORT}/daily-diff`);
+    // replay แล้วไม่ replay ซ้ำ (รายการใหม่มี replay_of ชี้กลับมา)
+    const replayed = await WebhookDelivery.distinct('replay_of', { subscription_id: subscription._id, replay_of: { $ne: null } });
+    const dead = await WebhookDelivery.find({ subscription_id: subscription._id, status: 'dead', _id: { $nin: replayed } })
+                                      .sort({ createdAt: 1 })
+                                      .limit(500)
+                                      .lean();
+
+    let delivered = 0;
+    for (const delivery of dead) {
+      const result = await createWebhookDelivery(subscription, delivery.payload, delivery._id);
+      if (result.status === 'delivered') delivered++;
+    }
 
-            req.session.lastPopupDate = todayStr;
+    res.json({ success: true, replayed: dead.length, delivered, pending: dead.length - delivered });
+  } catch (err) {
+    console.error('❌ POST /api/webhooks/:id/replay-dead error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-            return res.json({
-                showPopup: true,
-                data: diffResp.data
-            });
-        }
+// ================= ALERT RULE API =================
 
-        res.json({ showPopup: false });
+app.get('/api/alert-rules', requireRole('viewer'), async (req, res) => {
+  try {
+    const rules = await AlertRule.find().sort({ createdAt: 1 }).lean();
+    res.json({ success: true, types: ALERT_RULE_TYPES, data: rules });
+  } catch (err) {
+    console.error('❌ GET /api/alert-rules error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    } catch (err) {
-        console.error('❌ /daily-diff-popup error:', err.message);
-        res.status(500).json({ showPopup: false, error: err.message });
+app.get('/api/alert-rules/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id) ? await AlertRule.findById(req.params.id).lean() : null;
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
     }
+    res.json({ success: true, data: rule });
+  } catch (err) {
+    console.error('❌ GET /api/alert-rules/:id error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
-// ================= Solar Size =================
-app.get('/solar-size', async (req, res) => {
-    try {
-        const { date, ratePerKwh = 4.4 } = req.query;
+app.post('/api/alert-rules', requireRole('operator'), async (req, res) => {
+  try {
+    const errors = validateAlertRule(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; '),
+        example: { name: 'Power above 50 kW', type: 'threshold', fields: ['power'], operator: 'above', threshold: 50, duration_minutes: 5 }
+      });
+    }
 
-        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-            return res.status(400).json({ 
-                error: "Missing or invalid date. Use YYYY-MM-DD",
-                example: "/solar-size?date=2025-10-07"
-            });
-        }
+    const rule = await AlertRule.create(req.body);
+    invalidateAlertRuleCache();
 
-        const start = new Date(`${date}T00:00:00Z`);
-        const end = new Date(`${date}T23:59:59Z`);
+    console.log(`💾 Alert rule "${rule.name}" created`);
+    res.status(201).json({ success: true, data: rule });
+  } catch (err) {
+    console.error('❌ POST /api/alert-rules error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ success: false, error: err.message });
+  }
+});
 
-        const data = await PowerPXDH11.find({
-            timestamp: { $gte: start, $lte: end }
-        }).sort({ timestamp: 1 }).select('timestamp power');
+app.put('/api/alert-rules/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const existing = mongoose.isValidObjectId(req.params.id) ? await AlertRule.findById(req.params.id).lean() : null;
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
 
-        if (!data.length) {
-            return res.status(404).json({
-                error: `No data for ${date}`,
-                date,
-                hourly: Array.from({length:24}, (_,h) => ({
-                    hour: `${h.toString().padStart(2,'0')}:00`,
-                    energy_kwh: 0,
-                    electricity_bill: 0,
-                    peak_power: 0
-                })),
-                dayEnergy: 0,
-                nightEnergy: 0,
-                totalEnergyKwh: 0,
-                solarCapacity_kW: 0,
-                peakPowerDay: 0,
-                savingsDay: 0,
-                savingsMonth: 0,
-                savingsYear: 0
-            });
-        }
+    const { _id, createdAt, updatedAt, ...changes } = req.body || {};
+    const errors = validateAlertRule({ ...existing, ...changes });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
 
-        const hourlyEnergy = Array.from({length:24}, () => 0);
-        const hourlyPeak = Array.from({length:24}, () => 0);
+    const rule = await AlertRule.findByIdAndUpdate(req.params.id, { $set: changes }, { new: true, runValidators: true });
+    invalidateAlertRuleCache();
 
-        for (let i = 1; i < data.length; i++) {
-            const prev = data[i-1];
-            const curr = data[i];
-            let t = new Date(prev.timestamp);
-            const endTime = new Date(curr.timestamp);
-            const avgPower = (prev.power + curr.power) / 2;
+    res.json({ success: true, data: rule });
+  } catch (err) {
+    console.error('❌ PUT /api/alert-rules/:id error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ success: false, error: err.message });
+  }
+});
 
-            while (t < endTime) {
-                const hourIndex = t.getUTCHours();
-                const nextHour = new Date(t);
-                nextHour.setUTCHours(nextHour.getUTCHours()+1,0,0,0);
-                const intervalEnd = nextHour < endTime ? nextHour : endTime;
-                const intervalHours = (intervalEnd - t) / 1000 / 3600;
+app.delete('/api/alert-rules/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id) ? await AlertRule.findByIdAndDelete(req.params.id) : null;
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+    invalidateAlertRuleCache();
 
-                hourlyEnergy[hourIndex] += avgPower * intervalHours;
-                hourlyPeak[hourIndex] = Math.max(hourlyPeak[hourIndex], prev.power, curr.power);
+    res.json({ success: true, message: `Alert rule "${result.name}" deleted successfully` });
+  } catch (err) {
+    console.error('❌ DELETE /api/alert-rules/:id error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-                t = intervalEnd;
-            }
-        }
+// ================= AUTH API =================
+
+function publicUser(user) {
+  return {
+    id: String(user._id),
+    username: user.username,
+    role: user.role,
+    disabled: user.disabled,
+    last_login_at: user.last_login_at,
+    createdAt: user.createdAt
+  };
+}
 
-        const hourlyArray = hourlyEnergy.map((energy,h) => ({
-            hour: `${h.toString().padStart(2,'0')}:00`,
-            energy_kwh: Number(energy.toFixed(2)),
-            electricity_bill: Number((energy*ratePerKwh).toFixed(2)),
-            peak_power: Number(hourlyPeak[h].toFixed(2))
-        }));
+function publicApiKey(key) {
+  return {
+    id: String(key._id),
+    name: key.name,
+    prefix: key.prefix,
+    role: key.role,
+    created_by: key.created_by,
+    last_used_at: key.last_used_at,
+    revoked_at: key.revoked_at,
+    createdAt: key.createdAt
+  };
+}
 
-        const dayEnergy = hourlyArray
-            .slice(6, 19)
-            .reduce((sum,o) => sum + o.energy_kwh, 0);
+// กันเดารหัสผ่าน: ผิดเกินกำหนดภายใน LOGIN_WINDOW_MS ต่อ username หรือต่อ IP -> 429 จนหมดช่วง
+// นับใน memory ของ process (restart แล้วเริ่มนับใหม่) อยู่หลัง proxy ต้องตั้ง TRUST_PROXY ไม่งั้นทุกคนเป็น IP เดียวกัน
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES_PER_USER = Number(process.env.LOGIN_MAX_FAILURES_PER_USER) || 5;
+const LOGIN_MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const loginFailures = new Map(); // key -> { count, reset_at }
+
+function loginThrottleKeys(req, username) {
+  return [
+    { key: `user:${username}`, max: LOGIN_MAX_FAILURES_PER_USER },
+    { key: `ip:${req.ip}`, max: LOGIN_MAX_FAILURES_PER_IP }
+  ];
+}
 
-        const nightEnergy = hourlyArray
-            .filter((_,h) => h < 6 || h > 18)
-            .reduce((sum,o) => sum + o.energy_kwh, 0);
+// วินาทีที่ต้องรอ (0 = login ได้)
+function loginLockoutSeconds(keys, now = Date.now()) {
+  let wait = 0;
+  for (const { key, max } of keys) {
+    const entry = loginFailures.get(key);
+    if (entry && entry.reset_at > now && entry.count >= max) wait = Math.max(wait, Math.ceil((entry.reset_at - now) / 1000));
+  }
+  return wait;
+}
 
-        const totalEnergyKwh = dayEnergy + nightEnergy;
-        const peakPowerDay = Math.max(...hourlyPeak);
+function recordLoginFailure(keys, now = Date.now()) {
+  if (loginFailures.size > 10000) {
+    for (const [key, entry] of loginFailures) if (entry.reset_at <= now) loginFailures.delete(key);
+  }
+  for (const { key } of keys) {
+    const entry = loginFailures.get(key);
+    if (entry && entry.reset_at > now) entry.count++;
+    else loginFailures.set(key, { count: 1, reset_at: now + LOGIN_WINDOW_MS });
+  }
+}
 
-        const H_sun = 4;
-        const solarCapacity_kW = dayEnergy / H_sun;
-        const savingsDay = dayEnergy * ratePerKwh;
+app.post('/api/auth/login', requireRole('public'), async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: 'username and password are required' });
+    }
 
-        res.json({
-            date,
-            hourly: hourlyArray,
-            dayEnergy: Number(dayEnergy.toFixed(2)),
-            nightEnergy: Number(nightEnergy.toFixed(2)),
-            dayCost: Number((dayEnergy * ratePerKwh).toFixed(2)),
-            nightCost: Number((nightEnergy * ratePerKwh).toFixed(2)),
-            totalEnergyKwh: Number(totalEnergyKwh.toFixed(2)),
-            totalCost: Number((totalEnergyKwh * ratePerKwh).toFixed(2)),
-            sunHours: H_sun,
-            solarCapacity_kW: Number(solarCapacity_kW.toFixed(2)),
-            peakPowerDay: Number(peakPowerDay.toFixed(2)),
-            savingsDay: Number(savingsDay.toFixed(2)),
-            savingsMonth: Number((savingsDay*30).toFixed(2)),
-            savingsYear: Number((savingsDay*365).toFixed(2))
-        });
+    const normalized = String(username).toLowerCase().trim();
+    const throttleKeys = loginThrottleKeys(req, normalized);
+    const wait = loginLockoutSeconds(throttleKeys);
+    if (wait) {
+      console.warn(`🔒 Login throttled for ${normalized} from ${req.ip}`);
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ success: false, error: 'Too many failed login attempts, try again later', retry_after_seconds: wait });
+    }
 
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: err.message });
+    const user = await User.findOne({ username: normalized });
+    if (!user || user.disabled || !(await verifyPassword(String(password), user.password_hash))) {
+      recordLoginFailure(throttleKeys);
+      console.warn(`🔒 Failed login for ${username}`);
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
     }
+    loginFailures.delete(`user:${normalized}`);
+
+    // session ใหม่ทุกครั้งที่ login กัน session fixation
+    await promisify(req.session.regenerate.bind(req.session))();
+    req.session.user = { id: String(user._id) };
+    user.last_login_at = new Date();
+    await user.save();
+
+    console.log(`🔓 ${user.username} logged in (${user.role})`);
+    res.json({ success: true, data: publicUser(user) });
+  } catch (err) {
+    console.error('❌ POST /api/auth/login error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
-// ================= Raw Local =================
-app.get('/raw-local', async (req, res) => {
+app.post('/api/auth/logout', requireRole('public'), async (req, res) => {
   try {
-    const { date } = req.query;
-    if (!date) return res.status(400).json({ error: 'Missing date' });
+    if (req.session) await promisify(req.session.destroy.bind(req.session))();
+    res.clearCookie('connect.sid');
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ POST /api/auth/logout error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    const start = new Date(`${date}T08:00:00+07:00`);
-    const end   = new Date(`${date}T09:00:00+07:00`);
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, data: { ...req.auth, grants: ROLE_GRANTS[req.auth.role] } });
+});
 
-    const data = await PowerPXDH11.find({
-      timestamp: { $gte: start, $lte: end }
-    }).sort({ timestamp: 1 });
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 }).lean();
+    res.json({ success: true, data: users.map(publicUser) });
+  } catch (err) {
+    console.error('❌ GET /api/users error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    const totalPower = data.reduce((sum, d) => sum + d.power, 0);
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body || {};
+    if (!username || !/^[A-Za-z0-9._-]+$/.test(username) || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `username (letters, digits, . _ -) and password (min ${MIN_PASSWORD_LENGTH} chars) are required`,
+        example: { username: 'facility', password: '********', role: 'viewer' }
+      });
+    }
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    if (await User.exists({ username: username.toLowerCase() })) {
+      return res.status(409).json({ success: false, error: `User ${username} already exists` });
+    }
 
-    res.json({
-      date,
-      period: "08:00-09:00",
-      count: data.length,
-      totalPower: Number(totalPower.toFixed(3)),
-      data
-    });
+    const user = await User.create({ username, password_hash: await hashPassword(password), role });
 
+    console.log(`💾 User ${user.username} created (${role}) by ${req.auth.name}`);
+    res.status(201).json({ success: true, data: publicUser(user) });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    console.error('❌ POST /api/users error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ success: false, error: err.message });
   }
 });
 
-app.get('/raw-08-09', async (req, res) => {
+// กันไม่ให้ลด/ปิด/ลบ admin คนสุดท้าย
+async function isLastAdmin(user) {
+  return user.role === 'admin' && !user.disabled &&
+    (await User.countDocuments({ role: 'admin', disabled: false })) <= 1;
+}
+
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { date } = req.query;
-    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ error: "Invalid date. Use YYYY-MM-DD" });
+    const { role, password, disabled } = req.body || {};
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      return res.status(400).json({ success: false, error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (((role !== undefined && role !== 'admin') || disabled === true) && await isLastAdmin(user)) {
+      return res.status(409).json({ success: false, error: 'Cannot demote or disable the last admin' });
     }
 
-    const start = new Date(`${date}T08:00:00.000Z`);
-    const end = new Date(`${date}T08:59:59.999Z`);
+    if (role !== undefined) user.role = role;
+    if (disabled !== undefined) user.disabled = Boolean(disabled);
+    if (password !== undefined) user.password_hash = await hashPassword(password);
+    await user.save();
 
-    const data = await PowerPXDH11.find({
-      timestamp: { $gte: start, $lte: end }
-    }).sort({ timestamp: 1 });
+    res.json({ success: true, data: publicUser(user) });
+  } catch (err) {
+    console.error('❌ PUT /api/users/:id error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ success: false, error: err.message });
+  }
+});
 
-    const totalPower = data.reduce((sum, d) => sum + d.power, 0);
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (await isLastAdmin(user)) {
+      return res.status(409).json({ success: false, error: 'Cannot delete the last admin' });
+    }
 
-    res.json({
-      date,
-      period: "08:00-09:00 UTC",
-      count: data.length,
-      totalPower: Number(totalPower.toFixed(3)),
-      data
-    });
+    await user.deleteOne();
+    res.json({ success: true, message: `User ${user.username} deleted successfully` });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    console.error('❌ DELETE /api/users/:id error:', err);
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ================= Diagnostics Range =================
-app.get('/diagnostics-range', async (req, res) => {
+app.get('/api/api-keys', requireRole('admin'), async (req, res) => {
   try {
-    const { start, end } = req.query;
+    const keys = await ApiKey.find().sort({ createdAt: -1 }).lean();
+    res.json({ success: true, data: keys.map(publicApiKey) });
+  } catch (err) {
+    console.error('❌ GET /api/api-keys error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    if (!start || !end) {
+// คืน key ตัวจริงครั้งเดียว หลังจากนี้ดูได้แค่ prefix
+app.post('/api/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role } = req.body || {};
+    if (!name || !API_KEY_ROLES.includes(role)) {
       return res.status(400).json({
-        error: "Missing query params",
-        example: "/diagnostics-range?start=2025-10-02T17:00:00Z&end=2025-10-02T17:05:00Z"
+        success: false,
+        error: `name and role (${API_KEY_ROLES.join(', ')}) are required`,
+        example: { name: 'gateway-building-a', role: 'ingest' }
       });
     }
 
-    const data = await PowerPXDH11.find({
-      timestamp: {
-        $gte: new Date(start),
-        $lte: new Date(end)
-      }
-    })
-    .sort({ timestamp: 1 })
-    .select('timestamp power voltage current active_power_phase_a active_power_phase_b active_power_phase_c');
-
-    const result = data.map(d => ({
-      _id: d._id,
-      voltage: d.voltage,
-      current: d.current,
-      power: d.power,
-      active_power_phase_a: d.active_power_phase_a,
-      active_power_phase_b: d.active_power_phase_b,
-      active_power_phase_c: d.active_power_phase_c,
-      timestamp: d.timestamp.toISOString().replace('Z','')
-    }));
-
-    res.json(result);
+    const key = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name,
+      role,
+      prefix: key.slice(0, 12),
+      key_hash: hashApiKey(key),
+      created_by: req.auth.name
+    });
 
+    console.log(`🔑 API key ${name} (${role}) created by ${req.auth.name}`);
+    res.status(201).json({ success: true, data: { ...publicApiKey(apiKey), key } });
   } catch (err) {
-    console.error('❌ /diagnostics-range error:', err);
-    res.status(500).json({ error: "Failed", message: err.message });
+    console.error('❌ POST /api/api-keys error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ success: false, error: err.message });
   }
 });
 
-// ================== PUSH NOTIFICATION SYSTEM ==================
-const webpush = require('web-push');
-const cron = require('node-cron');
-
-webpush.setVapidDetails(
-  'mailto:admin@yourdomain.com',
-  'BB2fZ3NOzkWDKOi8H5jhbwICDTv760wIB6ZD2PwmXcUA_B5QXkXtely4b4JZ5v5b88VX1jKa7kRfr94nxqiksqY',
-  'jURJII6DrBN9N_8WtNayWs4bXWDNzeb_RyjXnTxaDmo'
-);
-
-let pushSubscriptions = [];
+// revoke แทนการลบ จะได้ยังเห็นว่าเคยมี key นี้
+app.delete('/api/api-keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.id)
+      ? await ApiKey.findOneAndUpdate({ _id: req.params.id, revoked_at: null }, { $set: { revoked_at: new Date() } }, { new: true })
+      : null;
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+    }
 
-// สมัครรับการแจ้งเตือน
-app.post('/api/subscribe', (req, res) => {
-  const sub = req.body;
-  if (!sub || !sub.endpoint) {
-    return res.status(400).json({ error: 'Invalid subscription' });
+    console.log(`🔑 API key ${apiKey.name} revoked by ${req.auth.name}`);
+    res.json({ success: true, data: publicApiKey(apiKey) });
+  } catch (err) {
+    console.error('❌ DELETE /api/api-keys/:id error:', err);
+    res.status(500).json({ success: false, error: err.message });
   }
+});
 
-  const exists = pushSubscriptions.find(s => s.endpoint === sub.endpoint);
-  if (!exists) pushSubscriptions.push(sub);
+// ================= METER API =================
 
-  console.log(`✅ Push subscription added (${pushSubscriptions.length} total)`);
-  res.status(201).json({ message: 'Subscribed successfully' });
+app.get('/api/meters', requireRole('viewer'), async (req, res) => {
+  try {
+    const meters = await Meter.find().sort({ meter_id: 1 }).lean();
+    res.json({ success: true, default_meter_id: DEFAULT_METER_ID, data: meters });
+  } catch (err) {
+    console.error('❌ GET /api/meters error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
-// ฟังก์ชันส่ง Push Notification พร้อมบันทึกลง DB แยก collection
-// แทนที่ฟังก์ชัน sendPushNotification เดิมใน server.js
+app.get('/api/meters/:meterId', requireRole('viewer'), async (req, res) => {
+  try {
+    const meter = await Meter.findOne({ meter_id: req.params.meterId }).lean();
+    if (!meter) {
+      return res.status(404).json({ success: false, error: 'Meter not found' });
+    }
+    res.json({ success: true, data: meter });
+  } catch (err) {
+    console.error('❌ GET /api/meters/:meterId error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-async function sendPushNotification(title, body, type = 'test', data = {}) {
+app.post('/api/meters', requireRole('operator'), async (req, res) => {
   try {
-    let notification;
+    const { meter_id, name } = req.body || {};
+    if (!meter_id || !/^[A-Za-z0-9_-]+$/.test(meter_id) || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'meter_id (letters, digits, _ or -) and name are required',
+        example: { meter_id: 'db2', name: 'Distribution board 2', location: 'Building B', phase_config: 'three', tariff_code: 'pea_1_2' }
+      });
+    }
+    if (await Meter.exists({ meter_id })) {
+      return res.status(409).json({ success: false, error: `Meter ${meter_id} already exists` });
+    }
 
-    // 1. บันทึกลง Database แยกตาม type
-    switch(type) {
-      case 'peak':
-        notification = await PeakNotification.create({
-          title,
-          body,
-          power: data.power
-        });
-        console.log('💾 Peak Notification saved:', notification._id);
-        break;
-
-      case 'daily_diff':
-        notification = await DailyDiffNotification.create({
-          title,
-          body,
-          yesterday: data.yesterday,
-          dayBefore: data.dayBefore,
-          diff: data.diff
-        });
-        console.log('💾 Daily Diff Notification saved:', notification._id);
-        break;
-
-      case 'daily_bill':
-        notification = await DailyBillNotification.create({
-          title,
-          body,
-          date: data.date,
-          energy_kwh: data.energy_kwh,
-          electricity_bill: data.electricity_bill,
-          samples: data.samples || 0,
-          rate_per_kwh: data.rate_per_kwh || 4.4
-        });
-        console.log('💾 Daily Bill Notification saved:', notification._id);
-        break;
+    const meter = await Meter.create(req.body);
+    invalidateMeterCache();
 
-      case 'test':
-        notification = await TestNotification.create({
-          title,
-          body
-        });
-        console.log('💾 Test Notification saved:', notification._id);
-        break;
+    console.log(`💾 Meter ${meter.meter_id} registered`);
+    res.status(201).json({ success: true, data: meter });
+  } catch (err) {
+    console.error('❌ POST /api/meters error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ success: false, error: err.message });
+  }
+});
 
-      default:
-        console.error('❌ Unknown notification type:', type);
-        return null;
+app.put('/api/meters/:meterId', requireRole('operator'), async (req, res) => {
+  try {
+    // meter_id เปลี่ยนไม่ได้เพราะผูกกับ reading ที่เก็บไว้แล้ว
+    const { meter_id, _id, ...changes } = req.body || {};
+    const meter = await Meter.findOneAndUpdate(
+      { meter_id: req.params.meterId },
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+    if (!meter) {
+      return res.status(404).json({ success: false, error: 'Meter not found' });
     }
+    invalidateMeterCache();
 
-    // 2. ส่ง Push notification
-    const payload = JSON.stringify({ title, body, url: '/' });
+    res.json({ success: true, data: meter });
+  } catch (err) {
+    console.error('❌ PUT /api/meters/:meterId error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ success: false, error: err.message });
+  }
+});
 
-    if (!pushSubscriptions.length) {
-      console.log('⚠️ No push subscriptions to send to');
-      return notification;
+// ลบแค่ข้อมูลมิเตอร์ reading เดิมยังอยู่
+app.delete('/api/meters/:meterId', requireRole('admin'), async (req, res) => {
+  try {
+    if (req.params.meterId === DEFAULT_METER_ID) {
+      return res.status(400).json({ success: false, error: 'Default meter cannot be deleted' });
     }
 
-    for (let i = pushSubscriptions.length - 1; i >= 0; i--) {
-      const sub = pushSubscriptions[i];
-      try {
-        await webpush.sendNotification(sub, payload);
-        console.log('📤 Sent notification to', sub.endpoint);
-      } catch (err) {
-        console.error('❌ Push send error for', sub.endpoint, err.statusCode || err);
-        const status = err && err.statusCode;
-        if (status === 410 || status === 404) {
-          pushSubscriptions.splice(i, 1);
-          console.log('🗑 Removed expired subscription', sub.endpoint);
-        }
-      }
+    const result = await Meter.findOneAndDelete({ meter_id: req.params.meterId });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Meter not found' });
     }
+    invalidateMeterCache();
 
-    return notification;
+    res.json({ success: true, message: `Meter ${result.meter_id} deleted successfully` });
   } catch (err) {
-    console.error('❌ Error in sendPushNotification:', err);
-    throw err;
+    console.error('❌ DELETE /api/meters/:meterId error:', err);
+    res.status(500).json({ success: false, error: err.message });
   }
-}
+});
 
-// ================== REALTIME PEAK CHECK ==================
-let dailyPeak = { date: '', maxPower: 0 };
+// ================= POWER QUALITY API =================
 
-async function checkDailyPeak() {
+app.post('/api/power-quality/rescan', requireRole('operator'), withMeters, async (req, res) => {
   try {
-    const latest = await PowerPXDH11.findOne().sort({ timestamp: -1 }).select('power timestamp');
-    if (!latest) return;
-
-    const today = new Date().toISOString().split('T')[0];
+    if (timestampMigrationRunning) {
+      return res.status(409).json({ success: false, error: 'UTC timestamp migration is running; try again when it completes' });
+    }
+    const from = (req.body && req.body.from) || req.query.from;
+    const to = (req.body && req.body.to) || req.query.to || from;
 
-    if (dailyPeak.date !== today) {
-      dailyPeak = { date: today, maxPower: 0 };
-      console.log(`🔁 Reset daily peak for ${today}`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to are required (YYYY-MM-DD, from <= to)',
+        example: { from: '2025-10-01', to: '2025-10-07' }
+      });
     }
 
-    const powerNow = latest.power || 0;
-    if (powerNow > dailyPeak.maxPower) {
-      dailyPeak.maxPower = powerNow;
-      console.log(`🚨 New peak ${powerNow.toFixed(2)} kW at ${latest.timestamp}`);
+    const dates = [];
+    for (let d = new Date(`${from}T00:00:00Z`); d <= new Date(`${to}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+      dates.push(d.toISOString().slice(0, 10));
+    }
+    if (dates.length > 31) {
+      return res.status(400).json({ success: false, error: 'Range too large (max 31 days)' });
+    }
 
-      await sendPushNotification(
-        '⚡ New Daily Peak!',
-        `Current peak power is ${powerNow.toFixed(2)} kW`,
-        'peak',
-        { power: powerNow }
-      );
+    let events = 0;
+    for (const meterId of req.meterIds) {
+      for (const date of dates) {
+        events += await rescanPowerQualityDay(meterId, date);
+      }
     }
+
+    console.log(`🔄 Rescanned power quality ${from}..${to} for ${req.meterIds.join(', ')}`);
+    res.json({ success: true, data: { meter_ids: req.meterIds, from, to, events } });
   } catch (err) {
-    console.error('❌ Error checking daily peak:', err);
+    console.error('❌ POST /api/power-quality/rescan error:', err);
+    res.status(500).json({ success: false, error: err.message });
   }
-}
-
-// ตรวจสอบ peak ทุก 10 วินาที
-cron.schedule('*/10 * * * * *', () => {
-  checkDailyPeak();
 });
 
-// ================== DAILY BILL AUTO NOTIFICATION ==================
+// ================= ROLLUP API =================
+const MAX_REBUILD_DAYS = 366;
 
-async function sendDailyBillNotification() {
+// สร้าง rollup ใหม่จาก raw ทั้งช่วง เช่น หลังแก้ tariff ย้อนหลังหรือเพิ่มข้อมูลตรงเข้า DB
+app.post('/api/rollups/rebuild', requireRole('operator'), withMeters, async (req, res) => {
   try {
-    // คำนวณวันที่เมื่อวาน (เพราะตี 1 = เริ่มวันใหม่แล้ว)
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const dateStr = yesterday.toISOString().split('T')[0]; // YYYY-MM-DD
-
-    console.log(`📊 Calculating daily bill for ${dateStr}...`);
-
-    // ดึงข้อมูลจาก /daily-bill API
-    const { start, end } = getDayRangeUTC(dateStr);
-    const data = await PowerPXDH11.find({ 
-      timestamp: { $gte: start, $lte: end } 
-    }).sort({ timestamp: 1 }).select('power timestamp');
-
-    if (!data.length) {
-      console.log(`⚠️ No data found for ${dateStr}`);
-      return;
+    if (timestampMigrationRunning) {
+      return res.status(409).json({ success: false, error: 'UTC timestamp migration is running; try again when it completes' });
     }
+    const from = (req.body && req.body.from) || req.query.from;
+    const to = (req.body && req.body.to) || req.query.to || from;
 
-    // คำนวณพลังงานรวม
-    let totalEnergyKwh = 0;
-    let totalPowerSum = 0;
-
-    for (let i = 0; i < data.length; i++) {
-      totalPowerSum += data[i].power;
-      
-      if (i === 0) continue;
-      
-      const intervalHours = (data[i].timestamp - data[i-1].timestamp) / 1000 / 3600;
-      totalEnergyKwh += ((data[i].power + data[i-1].power) / 2) * intervalHours;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to are required (YYYY-MM-DD, from <= to)',
+        example: { from: '2025-10-01', to: '2025-10-31' }
+      });
     }
 
-    totalEnergyKwh = Number(totalEnergyKwh.toFixed(2));
-    const electricityBill = calculateBill(totalEnergyKwh);
-    const samples = data.length;
-
-    console.log(`✅ Daily Bill: ${totalEnergyKwh} Unit = ${electricityBill} THB (${samples} samples)`);
+    const dates = [];
+    for (let d = new Date(`${from}T00:00:00Z`); d <= new Date(`${to}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+      dates.push(d.toISOString().slice(0, 10));
+    }
+    if (dates.length > MAX_REBUILD_DAYS) {
+      return res.status(400).json({ success: false, error: `Range too large (max ${MAX_REBUILD_DAYS} days)` });
+    }
 
-    // ส่ง Push Notification และบันทึก
-    await sendPushNotification(
-      '💰 Daily Energy Report',
-      `Yesterday (${dateStr}): ${totalEnergyKwh} Unit = ${electricityBill} THB`,
-      'daily_bill',
-      {
-        date: dateStr,
-        energy_kwh: totalEnergyKwh,
-        electricity_bill: electricityBill,
-        samples: samples,
-        rate_per_kwh: 4.4
+    let days = 0;
+    for (const meterId of req.meterIds) {
+      for (const date of dates) {
+        await rebuildRollupHours(meterId, date);
       }
-    );
-
-    console.log(`📤 Daily bill notification sent for ${dateStr}`);
+      days += await DailyEnergyRollup.countDocuments({ meter_id: meterId, date: { $gte: from, $lte: to } });
+    }
 
+    console.log(`🔄 Rebuilt rollups ${from}..${to} for ${req.meterIds.join(', ')}`);
+    res.json({ success: true, data: { meter_ids: req.meterIds, from, to, days_with_data: days } });
   } catch (err) {
-    console.error('❌ Error sending daily bill notification:', err);
+    console.error('❌ POST /api/rollups/rebuild error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ================= TIMESTAMP MIGRATION =================
+// ย้าย timestamp ที่เก็บเป็นเวลาไซต์ (local) ให้เป็น UTC จริง ทีละ batch ใน transaction และบันทึกจุดที่ทำถึง
+// ถ้า process ตายกลางทาง POST ใหม่จะทำต่อจากจุดเดิม
+// ลำดับ: หยุด job -> กั้น ingest ชั่วคราวแล้วสลับโหมด (จด _id ล่าสุดของแต่ละ collection) -> แปลงเอกสารที่ _id <= จุดนั้น
+const TIMESTAMP_MIGRATION_ID = 'utc_timestamps';
+const TIMESTAMP_MIGRATION_BATCH = 2000;
+
+const schemaMigrationSchema = new mongoose.Schema({
+  _id: String,
+  status: { type: String, enum: ['running', 'completed', 'failed'] },
+  cutoffs: mongoose.Schema.Types.Mixed,   // { collection: _id ล่าสุดตอนสลับโหมด }
+  progress: mongoose.Schema.Types.Mixed,  // { collection: { last_id, converted } }
+  started_at: Date,
+  switched_at: Date,
+  completed_at: Date,
+  error: String
+}, { minimize: false });
+
+const SchemaMigration = mongoose.model("schema_migrations", schemaMigrationSchema);
+
+const TIMESTAMP_MIGRATION_TARGETS = [
+  { model: PowerPXDH11, fields: ['timestamp'] },
+  { model: Notification, fields: ['timestamp', 'triggered_at', 'last_reading_at', 'recovered_at'] },
+  { model: HourlyEnergyRollup, fields: ['first_timestamp', 'last_timestamp'] },
+  { model: DailyEnergyRollup, fields: ['first_timestamp', 'last_timestamp'] },
+  { model: PowerQualityEvent, fields: ['start', 'end'] }
+];
+
+let timestampMigrationRunning = false;
+let timestampStorageReady = null;
+let timestampStorageKnown = false;
+let ingestInFlight = 0;
+
+// โหมดการเก็บ: TIMESTAMP_STORAGE ใน env มาก่อน ไม่งั้นดูว่า migration สลับเป็น utc แล้วหรือยัง
+async function loadTimestampStorage() {
+  if (!process.env.TIMESTAMP_STORAGE) {
+    const migration = await SchemaMigration.findById(TIMESTAMP_MIGRATION_ID).lean();
+    timestampStorage = migration && migration.switched_at ? 'utc' : 'local';
+    console.log(`🕒 Timestamp storage: ${timestampStorage}`);
   }
+  timestampStorageKnown = true;
 }
 
-// ตั้งเวลาให้ทำงานทุกวันตอนตี 1 (01:00:00)
-// รูปแบบ: second minute hour day month weekday
-// '0 0 1 * * *' = ทุกวันเวลา 01:00:00
-cron.schedule('0 0 1 * * *', () => {
-  console.log('⏰ Running daily bill notification job at 1:00 AM');
-  sendDailyBillNotification();
-}, {
-  timezone: "Asia/Bangkok" // ใช้เวลาไทย
-});
-// ================== TEST PUSH ==================
-app.get('/api/test-push', async (req, res) => {
-  try {
-    await sendPushNotification(
-      '🔔 Test Push',
-      'การแจ้งเตือนทดสอบทำงานแล้ว!',
-      'test',
-      {}
-    );
-    res.send('✅ Push sent and saved to DB');
-  } catch (err) {
-    console.error('❌ test-push error:', err);
-    res.status(500).send('❌ Failed to send test push');
+// คืน false ถ้ายังโหลดโหมดไม่ได้ (ค่าเริ่มต้น 'local' อาจผิดถ้าสลับเป็น utc ไปแล้ว) เรียกครั้งต่อไปจะลองโหลดใหม่
+function ensureTimestampStorage() {
+  if (!timestampStorageReady) {
+    timestampStorageReady = loadTimestampStorage().catch(err => {
+      console.error('❌ Failed to load timestamp storage mode:', err.message);
+      timestampStorageReady = null;
+    });
   }
-});
+  return timestampStorageReady.then(() => timestampStorageKnown);
+}
 
-// ================== NOTIFICATION API ==================
+// เวลาไซต์ที่เก็บแบบ UTC -> เวลาจริง (ค่าที่ไม่ใช่ Date เช่น null คงเดิม)
+function utcConversion(field) {
+  const value = `$${field}`;
+  return {
+    $cond: [
+      { $eq: [{ $type: value }, 'date'] },
+      {
+        $dateFromParts: {
+          year: { $year: value }, month: { $month: value }, day: { $dayOfMonth: value },
+          hour: { $hour: value }, minute: { $minute: value }, second: { $second: value },
+          millisecond: { $millisecond: value },
+          timezone: SITE_TIME_ZONE
+        }
+      },
+      value
+    ]
+  };
+}
+
+// แต่ละ batch ต้องแปลงกับบันทึก progress ใน transaction (แปลงซ้ำ = เวลาเลื่อนสองรอบ) ซึ่งมีแค่ replica set / mongos
+// ต้องเช็คก่อนสลับโหมด ไม่งั้น standalone จะสลับเป็น utc แล้วแปลงของเก่าไม่ได้ ข้อมูลปนกันถาวร
+async function supportsTransactions() {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+}
+
+async function waitUntil(check, intervalMs = 200) {
+  while (!check()) await new Promise(resolve => setTimeout(resolve, intervalMs));
+}
 
-// 1. ดึง Peak Notifications
-app.get('/api/notifications/peak', async (req, res) => {
+// กั้น ingest ระหว่างจด _id ล่าสุดกับสลับโหมด จะได้ไม่มี reading ที่เวลาเป็นแบบเก่าหลุดหลังจุดตัด
+async function switchTimestampStorage() {
+  let release;
+  timestampStorageReady = new Promise(resolve => { release = resolve; });
   try {
-    const { limit = 50, page = 1, unreadOnly = false } = req.query;
-    const query = unreadOnly === 'true' ? { read: false } : {};
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    await waitUntil(() => ingestInFlight === 0);
 
-    const notifications = await PeakNotification.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
+    const cutoffs = {};
+    for (const { model } of TIMESTAMP_MIGRATION_TARGETS) {
+      const last = await model.findOne().sort({ _id: -1 }).select('_id').lean();
+      cutoffs[model.collection.name] = last ? last._id : null;
+    }
 
-    const total = await PeakNotification.countDocuments(query);
-    const unreadCount = await PeakNotification.countDocuments({ read: false });
+    const switchedAt = new Date();
+    await SchemaMigration.updateOne({ _id: TIMESTAMP_MIGRATION_ID }, { $set: { cutoffs, switched_at: switchedAt } });
+    timestampStorage = 'utc';
+    timestampStorageKnown = true;
+    console.log(`🕒 Timestamp storage switched to utc at ${switchedAt.toISOString()}`);
+    return cutoffs;
+  } finally {
+    release();
+  }
+}
 
-    res.json({
-      success: true,
-      type: 'peak',
-      data: notifications,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
-      },
-      unreadCount
+async function convertCollectionTimestamps({ model, fields }, cutoff, migration) {
+  const name = model.collection.name;
+  const state = (migration.progress && migration.progress[name]) || { last_id: null, converted: 0 };
+  if (!cutoff) return state;
+
+  const update = [{ $set: Object.fromEntries(fields.map(f => [f, utcConversion(f)])) }];
+  for (;;) {
+    const idRange = { $lte: cutoff, ...(state.last_id && { $gt: state.last_id }) };
+    const batch = await model.find({ _id: idRange }).sort({ _id: 1 }).limit(TIMESTAMP_MIGRATION_BATCH).select('_id').lean();
+    if (!batch.length) break;
+
+    const lastId = batch[batch.length - 1]._id;
+    // แปลง batch กับบันทึกจุดที่ทำถึงใน transaction เดียว จะได้ไม่แปลงซ้ำตอนทำต่อ
+    await mongoose.connection.transaction(async session => {
+      await model.updateMany({ _id: { $in: batch.map(d => d._id) } }, update, { session });
+      await SchemaMigration.updateOne(
+        { _id: TIMESTAMP_MIGRATION_ID },
+        { $set: { [`progress.${name}`]: { last_id: lastId, converted: state.converted + batch.length } } },
+        { session }
+      );
     });
-  } catch (err) {
-    console.error('❌ GET /api/notifications/peak error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    state.last_id = lastId;
+    state.converted += batch.length;
   }
-});
+  console.log(`🕒 Converted ${state.converted} ${name} to UTC`);
+  return state;
+}
 
-// 2. ดึง Daily Diff Notifications
-app.get('/api/notifications/daily-diff', async (req, res) => {
+async function runTimestampMigration() {
+  timestampMigrationRunning = true;
   try {
-    const { limit = 50, page = 1, unreadOnly = false } = req.query;
-    const query = unreadOnly === 'true' ? { read: false } : {};
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    await waitUntil(() => !rollupJobRunning && !pqJobRunning);
 
-    const notifications = await DailyDiffNotification.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
+    let migration = await SchemaMigration.findById(TIMESTAMP_MIGRATION_ID).lean();
+    const cutoffs = migration.switched_at ? migration.cutoffs : await switchTimestampStorage();
 
-    const total = await DailyDiffNotification.countDocuments(query);
-    const unreadCount = await DailyDiffNotification.countDocuments({ read: false });
+    for (const target of TIMESTAMP_MIGRATION_TARGETS) {
+      migration = await SchemaMigration.findById(TIMESTAMP_MIGRATION_ID).lean();
+      await convertCollectionTimestamps(target, cutoffs[target.model.collection.name], migration);
+    }
 
-    res.json({
-      success: true,
-      type: 'daily_diff',
-      data: notifications,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
-      },
-      unreadCount
-    });
+    // watermark ในหน่วยความจำเป็นค่าแบบเก่า ให้ job เริ่มจาก DB ใหม่
+    for (const key of Object.keys(rollupWatermarks)) delete rollupWatermarks[key];
+    for (const key of Object.keys(pqWatermarks)) delete pqWatermarks[key];
+
+    await SchemaMigration.updateOne({ _id: TIMESTAMP_MIGRATION_ID }, { $set: { status: 'completed', completed_at: new Date() }, $unset: { error: 1 } });
+    console.log('✅ UTC timestamp migration completed');
   } catch (err) {
-    console.error('❌ GET /api/notifications/daily-diff error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    console.error('❌ UTC timestamp migration failed:', err);
+    await SchemaMigration.updateOne({ _id: TIMESTAMP_MIGRATION_ID }, { $set: { status: 'failed', error: err.message } }).catch(() => {});
+  } finally {
+    timestampMigrationRunning = false;
   }
-});
+}
 
-// 3. ดึง Test Notifications
-app.get('/api/notifications/test', async (req, res) => {
+// สถานะ + จำนวนเอกสาร + ตัวอย่างค่าก่อน/หลังแปลงของ reading ล่าสุด
+app.get('/api/migrations/utc-timestamps', requireRole('admin'), async (req, res) => {
   try {
-    const { limit = 50, page = 1, unreadOnly = false } = req.query;
-    const query = unreadOnly === 'true' ? { read: false } : {};
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const migration = await SchemaMigration.findById(TIMESTAMP_MIGRATION_ID).lean();
 
-    const notifications = await TestNotification.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
+    const counts = {};
+    for (const { model } of TIMESTAMP_MIGRATION_TARGETS) {
+      counts[model.collection.name] = await model.estimatedDocumentCount();
+    }
 
-    const total = await TestNotification.countDocuments(query);
-    const unreadCount = await TestNotification.countDocuments({ read: false });
+    let preview = null;
+    if (timestampStorage === 'local') {
+      const latest = await PowerPXDH11.findOne().sort({ _id: -1 }).select('timestamp').lean();
+      if (latest) {
+        preview = { stored: latest.timestamp.toISOString(), converted: fromZonedClock(latest.timestamp).toISOString() };
+      }
+    }
 
     res.json({
       success: true,
-      type: 'test',
-      data: notifications,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
-      },
-      unreadCount
+      data: {
+        storage: timestampStorage,
+        site_time_zone: SITE_TIME_ZONE,
+        running: timestampMigrationRunning,
+        migration,
+        counts,
+        preview
+      }
     });
   } catch (err) {
-    console.error('❌ GET /api/notifications/test error:', err);
+    console.error('❌ GET /api/migrations/utc-timestamps error:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
-// ================= DAILY BILL NOTIFICATION API =================
 
-// ดึง Daily Bill Notifications
-app.get('/api/notifications/daily-bill', async (req, res) => {
+// เริ่ม (หรือทำต่อ) migration ทำงานเบื้องหลัง ดูความคืบหน้าที่ GET
+app.post('/api/migrations/utc-timestamps', requireRole('admin'), async (req, res) => {
   try {
-    const { limit = 50, page = 1, unreadOnly = false } = req.query;
-    const query = unreadOnly === 'true' ? { read: false } : {};
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    if (timestampMigrationRunning) {
+      return res.status(409).json({ success: false, error: 'Migration is already running' });
+    }
+    if (process.env.TIMESTAMP_STORAGE) {
+      return res.status(409).json({ success: false, error: 'TIMESTAMP_STORAGE is set in env; unset it before migrating' });
+    }
 
-    const notifications = await DailyBillNotification.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
+    const existing = await SchemaMigration.findById(TIMESTAMP_MIGRATION_ID).lean();
+    if (existing && existing.status === 'completed') {
+      return res.status(409).json({ success: false, error: 'Timestamps are already stored as UTC' });
+    }
+    if (!await supportsTransactions()) {
+      return res.status(409).json({ success: false, error: 'Migration needs a replica set or sharded cluster (transactions); this MongoDB is standalone' });
+    }
 
-    const total = await DailyBillNotification.countDocuments(query);
-    const unreadCount = await DailyBillNotification.countDocuments({ read: false });
+    await SchemaMigration.updateOne(
+      { _id: TIMESTAMP_MIGRATION_ID },
+      { $set: { status: 'running' }, $setOnInsert: { progress: {}, started_at: new Date() } },
+      { upsert: true }
+    );
+    runTimestampMigration();
 
-    res.json({
-      success: true,
-      type: 'daily_bill',
-      data: notifications,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
-      },
-      unreadCount
-    });
+    console.log(`🕒 UTC timestamp migration ${existing ? 'resumed' : 'started'}`);
+    res.status(202).json({ success: true, data: { status: 'running', resumed: Boolean(existing) } });
   } catch (err) {
-    console.error('❌ GET /api/notifications/daily-bill error:', err);
+    console.error('❌ POST /api/migrations/utc-timestamps error:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ทดสอบส่ง Daily Bill Notification ทันที
-app.get('/api/test-daily-bill', async (req, res) => {
-  try {
-    await sendDailyBillNotification();
-    res.json({ 
-      success: true, 
-      message: 'Daily bill notification sent and saved to DB' 
-    });
-  } catch (err) {
-    console.error('❌ test-daily-bill error:', err);
-    res.status(500).json({ 
-      success: false, 
-      error: err.message 
-    });
-  }
-});
-// แทนที่ /api/notifications/all และ /recent ใน server.js
+// ================= TARIFF API =================
 
-// 4. ดึงทั้งหมด (รวม 4 collections)
-app.get('/api/notifications/all', async (req, res) => {
+// ดึงทุกเวอร์ชันของอัตราค่าไฟ (?code=pea_1_2)
+app.get('/api/tariffs', requireRole('viewer'), async (req, res) => {
   try {
-    const { limit = 50, page = 1, unreadOnly = false } = req.query;
-    const query = unreadOnly === 'true' ? { read: false } : {};
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const peakNoti = await PeakNotification.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-    
-    const dailyDiffNoti = await DailyDiffNotification.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-    
-    const dailyBillNoti = await DailyBillNotification.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-    
-    const testNoti = await TestNotification.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
-
-    const allNotifications = [
-      ...peakNoti.map(n => ({...n, type: 'peak'})),
-      ...dailyDiffNoti.map(n => ({...n, type: 'daily_diff'})),
-      ...dailyBillNoti.map(n => ({...n, type: 'daily_bill'})),
-      ...testNoti.map(n => ({...n, type: 'test'}))
-    ].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-     .slice(0, parseInt(limit));
-
-    const totalPeak = await PeakNotification.countDocuments(query);
-    const totalDailyDiff = await DailyDiffNotification.countDocuments(query);
-    const totalDailyBill = await DailyBillNotification.countDocuments(query);
-    const totalTest = await TestNotification.countDocuments(query);
-    const total = totalPeak + totalDailyDiff + totalDailyBill + totalTest;
-
-    const unreadPeak = await PeakNotification.countDocuments({ read: false });
-    const unreadDailyDiff = await DailyDiffNotification.countDocuments({ read: false });
-    const unreadDailyBill = await DailyBillNotification.countDocuments({ read: false });
-    const unreadTest = await TestNotification.countDocuments({ read: false });
-    const unreadCount = unreadPeak + unreadDailyDiff + unreadDailyBill + unreadTest;
+    const query = req.query.code ? { code: req.query.code } : {};
+    const tariffs = await Tariff.find(query).sort({ code: 1, valid_from: -1 }).lean();
 
     res.json({
       success: true,
-      data: allNotifications,
-      pagination: {
-        total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit))
-      },
-      unreadCount,
-      breakdown: {
-        peak: { total: totalPeak, unread: unreadPeak },
-        daily_diff: { total: totalDailyDiff, unread: unreadDailyDiff },
-        daily_bill: { total: totalDailyBill, unread: unreadDailyBill },
-        test: { total: totalTest, unread: unreadTest }
-      }
+      active_code: getTariffCode(),
+      data: tariffs,
+      builtin: Object.keys(TARIFF_PLANS)
     });
   } catch (err) {
-    console.error('❌ GET /api/notifications/all error:', err);
+    console.error('❌ GET /api/tariffs error:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// 5. ดึงล่าสุด (รวมทุก type)
-app.get('/api/notifications/recent', async (req, res) => {
+// อัตราที่ใช้จริงในวันที่ระบุ (?date=2025-10-01&code=pea_1_2)
+app.get('/api/tariffs/resolve', requireRole('viewer'), async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
-    
-    const peakNoti = await PeakNotification.find()
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .lean();
-    
-    const dailyDiffNoti = await DailyDiffNotification.find()
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .lean();
-    
-    const dailyBillNoti = await DailyBillNotification.find()
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .lean();
-    
-    const testNoti = await TestNotification.find()
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .lean();
-
-    const allNotifications = [
-      ...peakNoti.map(n => ({...n, type: 'peak'})),
-      ...dailyDiffNoti.map(n => ({...n, type: 'daily_diff'})),
-      ...dailyBillNoti.map(n => ({...n, type: 'daily_bill'})),
-      ...testNoti.map(n => ({...n, type: 'test'}))
-    ].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-     .slice(0, parseInt(limit));
-
-    const unreadPeak = await PeakNotification.countDocuments({ read: false });
-    const unreadDailyDiff = await DailyDiffNotification.countDocuments({ read: false });
-    const unreadDailyBill = await DailyBillNotification.countDocuments({ read: false });
-    const unreadTest = await TestNotification.countDocuments({ read: false });
-    const unreadCount = unreadPeak + unreadDailyDiff + unreadDailyBill + unreadTest;
+    const date = req.query.date || todayIn();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ success: false, error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
 
-    res.json({
-      success: true,
-      data: allNotifications,
-      unreadCount,
-      breakdown: {
-        peak: unreadPeak,
-        daily_diff: unreadDailyDiff,
-        daily_bill: unreadDailyBill,
-        test: unreadTest
-      }
-    });
+    const tariff = await resolveTariff(date, req.query.code || getTariffCode());
+    res.json({ success: true, date, data: tariff });
   } catch (err) {
-    console.error('❌ GET /api/notifications/recent error:', err);
+    console.error('❌ GET /api/tariffs/resolve error:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// แทนที่ PATCH /api/notifications/mark-read และ mark-all-read ใน server.js
+app.get('/api/tariffs/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const tariff = mongoose.isValidObjectId(req.params.id) ? await Tariff.findById(req.params.id).lean() : null;
+    if (!tariff) {
+      return res.status(404).json({ success: false, error: 'Tariff not found' });
+    }
+    res.json({ success: true, data: tariff });
+  } catch (err) {
+    console.error('❌ GET /api/tariffs/:id error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-// 6. ทำเครื่องหมายว่าอ่านแล้ว
-app.patch('/api/notifications/mark-read', async (req, res) => {
+// เพิ่มเวอร์ชันใหม่ เวอร์ชันเดิมที่ยังเปิดอยู่จะถูกปิดที่ valid_from ของเวอร์ชันใหม่
+// เวอร์ชันใหม่ต้องเปิดไว้ (ไม่มี valid_to) ในกรณีนี้ ไม่งั้นวันหลัง valid_to จะไม่มีอัตราใน DB แล้วไปใช้แผนในโค้ดแทน
+app.post('/api/tariffs', requireRole('operator'), async (req, res) => {
   try {
-    const { type, ids } = req.body;
+    const body = req.body || {};
+    const errors = validateTariffBody(body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid tariff', details: errors });
+    }
 
-    if (!type || !ids || !Array.isArray(ids)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'type and ids array are required',
-        example: { type: 'peak', ids: ['id1', 'id2'] }
+    const openVersion = await Tariff.findOne({
+      code: body.code,
+      valid_to: null,
+      valid_from: { $lt: body.valid_from }
+    });
+    if (openVersion && body.valid_to) {
+      return res.status(409).json({
+        success: false,
+        error: `Version ${openVersion.version} is still open; a new version after it must not have valid_to`
       });
     }
 
-    let result;
-    switch(type) {
-      case 'peak':
-        result = await PeakNotification.updateMany(
-          { _id: { $in: ids } },
-          { $set: { read: true } }
-        );
-        break;
-      case 'daily_diff':
-        result = await DailyDiffNotification.updateMany(
-          { _id: { $in: ids } },
-          { $set: { read: true } }
-        );
-        break;
-      case 'daily_bill':
-        result = await DailyBillNotification.updateMany(
-          { _id: { $in: ids } },
-          { $set: { read: true } }
-        );
-        break;
-      case 'test':
-        result = await TestNotification.updateMany(
-          { _id: { $in: ids } },
-          { $set: { read: true } }
-        );
-        break;
-      default:
-        return res.status(400).json({ success: false, error: 'Invalid type' });
+    // เวอร์ชันที่เปิดอยู่จะถูกปิดที่ valid_from จึงไม่นับว่าทับกัน
+    const overlap = await findOverlappingTariff(body.code, body.valid_from, body.valid_to, openVersion && openVersion._id);
+    if (overlap) {
+      return res.status(409).json({
+        success: false,
+        error: `Overlaps version ${overlap.version} (${overlap.valid_from} - ${overlap.valid_to || 'open'})`
+      });
     }
 
-    res.json({
-      success: true,
-      message: `Marked ${result.modifiedCount} ${type} notifications as read`,
-      modifiedCount: result.modifiedCount
+    const latest = await Tariff.findOne({ code: body.code }).sort({ version: -1 });
+    const tariff = new Tariff({
+      ...body,
+      version: latest ? latest.version + 1 : 1
     });
+    await tariff.validate();
+
+    // ปิดเวอร์ชันเดิมแล้วบันทึกเวอร์ชันใหม่ บันทึกไม่ผ่านให้เปิดเวอร์ชันเดิมกลับ (ไม่ใช้ transaction เพราะ standalone ไม่รองรับ)
+    if (openVersion) {
+      openVersion.valid_to = body.valid_from;
+      await openVersion.save();
+    }
+    try {
+      await tariff.save();
+    } catch (err) {
+      if (openVersion) await Tariff.updateOne({ _id: openVersion._id }, { $set: { valid_to: null } });
+      throw err;
+    } finally {
+      invalidateTariffCache();
+    }
+
+    console.log(`💾 Tariff ${tariff.code} v${tariff.version} saved (from ${tariff.valid_from})`);
+    res.status(201).json({ success: true, data: tariff });
   } catch (err) {
-    console.error('❌ PATCH /api/notifications/mark-read error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    console.error('❌ POST /api/tariffs error:', err);
+    const status = err.code === 11000 ? 409 : err.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ success: false, error: err.code === 11000 ? 'A version of this tariff already starts on that date' : err.message });
   }
 });
 
-// 7. ทำเครื่องหมายทั้งหมดว่าอ่านแล้ว
-app.patch('/api/notifications/mark-all-read', async (req, res) => {
+app.put('/api/tariffs/:id', requireRole('operator'), async (req, res) => {
   try {
-    const resultPeak = await PeakNotification.updateMany(
-      { read: false },
-      { $set: { read: true } }
-    );
-    
-    const resultDailyDiff = await DailyDiffNotification.updateMany(
-      { read: false },
-      { $set: { read: true } }
-    );
-    
-    const resultDailyBill = await DailyBillNotification.updateMany(
-      { read: false },
-      { $set: { read: true } }
-    );
-    
-    const resultTest = await TestNotification.updateMany(
-      { read: false },
-      { $set: { read: true } }
-    );
+    const tariff = mongoose.isValidObjectId(req.params.id) ? await Tariff.findById(req.params.id) : null;
+    if (!tariff) {
+      return res.status(404).json({ success: false, error: 'Tariff not found' });
+    }
 
-    const totalModified = resultPeak.modifiedCount + 
-                         resultDailyDiff.modifiedCount + 
-                         resultDailyBill.modifiedCount +
-                         resultTest.modifiedCount;
+    // code และ version เปลี่ยนไม่ได้
+    const { code, version, _id, ...changes } = req.body || {};
+    const merged = { ...tariff.toObject(), ...changes };
+    const errors = validateTariffBody(merged);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid tariff', details: errors });
+    }
 
-    res.json({
-      success: true,
-      message: `Marked ${totalModified} notifications as read`,
-      breakdown: {
-        peak: resultPeak.modifiedCount,
-        daily_diff: resultDailyDiff.modifiedCount,
-        daily_bill: resultDailyBill.modifiedCount,
-        test: resultTest.modifiedCount
-      },
-      totalModified
-    });
+    const overlap = await findOverlappingTariff(tariff.code, merged.valid_from, merged.valid_to, tariff._id);
+    if (overlap) {
+      return res.status(409).json({
+        success: false,
+        error: `Overlaps version ${overlap.version} (${overlap.valid_from} - ${overlap.valid_to || 'open'})`
+      });
+    }
+
+    tariff.set(changes);
+    await tariff.save();
+    invalidateTariffCache();
+
+    res.json({ success: true, data: tariff });
   } catch (err) {
-    console.error('❌ PATCH /api/notifications/mark-all-read error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    console.error('❌ PUT /api/tariffs/:id error:', err);
+    const status = err.code === 11000 ? 409 : err.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ success: false, error: err.code === 11000 ? 'A version of this tariff already starts on that date' : err.message });
   }
 });
 
-// 7. ทำเครื่องหมายทั้งหมดว่าอ่านแล้ว
-app.patch('/api/notifications/mark-all-read', async (req, res) => {
+app.delete('/api/tariffs/:id', requireRole('operator'), async (req, res) => {
   try {
-    const resultPeak = await PeakNotification.updateMany(
-      { read: false },
-      { $set: { read: true } }
-    );
-    
-    const resultDaily = await DailyDiffNotification.updateMany(
-      { read: false },
-      { $set: { read: true } }
-    );
-    
-    const resultTest = await TestNotification.updateMany(
-      { read: false },
-      { $set: { read: true } }
-    );
-
-    const totalModified = resultPeak.modifiedCount + resultDaily.modifiedCount + resultTest.modifiedCount;
+    const result = mongoose.isValidObjectId(req.params.id) ? await Tariff.findByIdAndDelete(req.params.id) : null;
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Tariff not found' });
+    }
+    invalidateTariffCache();
 
-    res.json({
-      success: true,
-      message: `Marked ${totalModified} notifications as read`,
-      breakdown: {
-        peak: resultPeak.modifiedCount,
-        daily_diff: resultDaily.modifiedCount,
-        test: resultTest.modifiedCount
-      },
-      totalModified
-    });
+    res.json({ success: true, message: `Tariff ${result.code} v${result.version} deleted successfully` });
   } catch (err) {
-    console.error('❌ PATCH /api/notifications/mark-all-read error:', err);
+    console.error('❌ DELETE /api/tariffs/:id error:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// แทนที่ DELETE /api/notifications/:type/:id และ stats ใน server.js
+// ================= TOU HOLIDAY API =================
 
-// 8. ลบ notification
-app.delete('/api/notifications/:type/:id', async (req, res) => {
+// ดึงวันหยุดที่คิด off-peak ทั้งวัน (?year=2025)
+app.get('/api/holidays', requireRole('viewer'), async (req, res) => {
   try {
-    const { type, id } = req.params;
-
-    let result;
-    switch(type) {
-      case 'peak':
-        result = await PeakNotification.findByIdAndDelete(id);
-        break;
-      case 'daily_diff':
-        result = await DailyDiffNotification.findByIdAndDelete(id);
-        break;
-      case 'daily_bill':
-        result = await DailyBillNotification.findByIdAndDelete(id);
-        break;
-      case 'test':
-        result = await TestNotification.findByIdAndDelete(id);
-        break;
-      default:
-        return res.status(400).json({ success: false, error: 'Invalid type' });
-    }
-
-    if (!result) {
-      return res.status(404).json({ success: false, error: 'Notification not found' });
-    }
+    const { year } = req.query;
+    const query = year ? { date: { $regex: `^${Number(year)}-` } } : {};
+    const holidays = await TouHoliday.find(query).sort({ date: 1 }).lean();
 
-    res.json({
-      success: true,
-      message: `${type} notification deleted successfully`
-    });
+    res.json({ success: true, data: holidays, total: holidays.length });
   } catch (err) {
-    console.error('❌ DELETE /api/notifications error:', err);
+    console.error('❌ GET /api/holidays error:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// 9. ลบทั้งหมด (ตาม type หรือทุก type)
-app.delete('/api/notifications', async (req, res) => {
+// เพิ่ม/แก้วันหยุด รับได้ทั้ง object เดียวหรือ array
+app.post('/api/holidays', requireRole('operator'), async (req, res) => {
   try {
-    const { type } = req.query;
-
-    let resultPeak, resultDailyDiff, resultDailyBill, resultTest;
-
-    if (!type || type === 'all') {
-      resultPeak = await PeakNotification.deleteMany({});
-      resultDailyDiff = await DailyDiffNotification.deleteMany({});
-      resultDailyBill = await DailyBillNotification.deleteMany({});
-      resultTest = await TestNotification.deleteMany({});
-    } else {
-      switch(type) {
-        case 'peak':
-          resultPeak = await PeakNotification.deleteMany({});
-          break;
-        case 'daily_diff':
-          resultDailyDiff = await DailyDiffNotification.deleteMany({});
-          break;
-        case 'daily_bill':
-          resultDailyBill = await DailyBillNotification.deleteMany({});
-          break;
-        case 'test':
-          resultTest = await TestNotification.deleteMany({});
-          break;
-        default:
-          return res.status(400).json({ success: false, error: 'Invalid type' });
-      }
+    const items = Array.isArray(req.body) ? req.body : [req.body];
+    const invalid = items.find(h => !h || !/^\d{4}-\d{2}-\d{2}$/.test(h.date) || !h.name);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'date (YYYY-MM-DD) and name are required',
+        example: { date: '2025-12-05', name: "Father's Day" }
+      });
     }
 
-    const totalDeleted = (resultPeak?.deletedCount || 0) + 
-                        (resultDailyDiff?.deletedCount || 0) + 
-                        (resultDailyBill?.deletedCount || 0) +
-                        (resultTest?.deletedCount || 0);
+    for (const h of items) {
+      await TouHoliday.updateOne({ date: h.date }, { $set: { name: h.name } }, { upsert: true });
+    }
+    await loadTouHolidays();
 
-    res.json({
-      success: true,
-      message: `Deleted ${totalDeleted} notifications`,
-      breakdown: {
-        peak: resultPeak?.deletedCount || 0,
-        daily_diff: resultDailyDiff?.deletedCount || 0,
-        daily_bill: resultDailyBill?.deletedCount || 0,
-        test: resultTest?.deletedCount || 0
-      },
-      totalDeleted
-    });
+    res.status(201).json({ success: true, message: `Saved ${items.length} holidays` });
   } catch (err) {
-    console.error('❌ DELETE /api/notifications error:', err);
+    console.error('❌ POST /api/holidays error:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// 10. สถิติ notification (แยกตาม type)
-app.get('/api/notifications/stats', async (req, res) => {
+app.delete('/api/holidays/:date', requireRole('operator'), async (req, res) => {
   try {
-    const totalPeak = await PeakNotification.countDocuments();
-    const unreadPeak = await PeakNotification.countDocuments({ read: false });
-    const latestPeak = await PeakNotification.findOne().sort({ timestamp: -1 });
-
-    const totalDailyDiff = await DailyDiffNotification.countDocuments();
-    const unreadDailyDiff = await DailyDiffNotification.countDocuments({ read: false });
-    const latestDailyDiff = await DailyDiffNotification.findOne().sort({ timestamp: -1 });
-
-    const totalDailyBill = await DailyBillNotification.countDocuments();
-    const unreadDailyBill = await DailyBillNotification.countDocuments({ read: false });
-    const latestDailyBill = await DailyBillNotification.findOne().sort({ timestamp: -1 });
-
-    const totalTest = await TestNotification.countDocuments();
-    const unreadTest = await TestNotification.countDocuments({ read: false });
-    const latestTest = await TestNotification.findOne().sort({ timestamp: -1 });
-
-    const total = totalPeak + totalDailyDiff + totalDailyBill + totalTest;
-    const unread = unreadPeak + unreadDailyDiff + unreadDailyBill + unreadTest;
+    const result = await TouHoliday.findOneAndDelete({ date: req.params.date });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Holiday not found' });
+    }
+    await loadTouHolidays();
 
-    res.json({
-      success: true,
-      stats: {
-        total,
-        unread,
-        read: total - unread,
-        byType: {
-          peak: {
-            total: totalPeak,
-            unread: unreadPeak,
-            read: totalPeak - unreadPeak,
-            latest: latestPeak
-          },
-          daily_diff: {
-            total: totalDailyDiff,
-            unread: unreadDailyDiff,
-            read: totalDailyDiff - unreadDailyDiff,
-            latest: latestDailyDiff
-          },
-          daily_bill: {
-            total: totalDailyBill,
-            unread: unreadDailyBill,
-            read: totalDailyBill - unreadDailyBill,
-            latest: latestDailyBill
-          },
-          test: {
-            total: totalTest,
-            unread: unreadTest,
-            read: totalTest - unreadTest,
-            latest: latestTest
-          }
-        }
-      }
-    });
+    res.json({ success: true, message: `Holiday ${req.params.date} deleted successfully` });
   } catch (err) {
-    console.error('❌ GET /api/notifications/stats error:', err);
+    console.error('❌ DELETE /api/holidays error:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -1564,19 +8161,24 @@ app.get('/api/notifications/stats', async (req, res) => {
 // ================= Graceful Shutdown =================
 process.on('SIGTERM', async () => {
     console.log('🔄 SIGTERM received, closing server...');
+    if (liveWss) liveWss.close();
     await mongoose.connection.close();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('🔄 SIGINT received, closing server...');
+    if (liveWss) liveWss.close();
     await mongoose.connection.close();
     process.exit(0);
 });
 
 // ================= Start Server =================
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+assertRouteRoles(app.router);
+const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📍 Health check: http://localhost:${PORT}/`);
-});
\ No newline at end of file
+    console.log(`📡 Live stream: ws://localhost:${PORT}/ws/live`);
+});
+attachLiveStream(server);
\ No newline at end of file
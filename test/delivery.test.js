@@ -0,0 +1,363 @@
+// ทดสอบ delivery.js กับปลายทางจำลองในเครื่อง (http.createServer สำหรับ LINE / webhook, net สำหรับ SMTP)
+// model ของคิวใช้ตัวปลอมที่เก็บ update ไว้ ไม่ต้องมี MongoDB
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const net = require('node:net');
+
+const {
+  senders,
+  signWebhookPayload,
+  isRetryableDelivery,
+  backoffMs,
+  attemptUpdate,
+  runDeliveryAttempt,
+  abandonDelivery,
+  retryDueDeliveries
+} = require('../delivery');
+
+// server ที่ตอบตามคิว responses ทีละ request และเก็บ request ที่ได้รับไว้ตรวจ
+function startHttpServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      server.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const { status = 200, body: reply = { ok: true } } = server.responses.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  server.requests = [];
+  server.responses = [];
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    server.url = `http://127.0.0.1:${server.address().port}`;
+    resolve(server);
+  }));
+}
+
+// SMTP แบบย่อ: ไม่มี AUTH/STARTTLS ปฏิเสธผู้รับที่อยู่ใน rejectRecipients ด้วย 550
+function startSmtpServer({ rejectRecipients = [] } = {}) {
+  const server = net.createServer(socket => {
+    const message = { from: null, to: [], data: '' };
+    let inData = false;
+    let buffer = '';
+    socket.write('220 localhost ESMTP test\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            server.messages.push(message);
+            socket.write('250 2.0.0 OK queued\r\n');
+          } else {
+            message.data += `${line}\n`;
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+        else if (command === 'MAIL') {
+          message.from = line;
+          socket.write('250 2.1.0 OK\r\n');
+        } else if (command === 'RCPT') {
+          if (rejectRecipients.some(address => line.includes(address))) socket.write('550 5.1.1 No such user\r\n');
+          else {
+            message.to.push(line);
+            socket.write('250 2.1.5 OK\r\n');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') socket.end('221 Bye\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  server.messages = [];
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    server.port = server.address().port;
+    resolve(server);
+  }));
+}
+
+// เก็บ update ที่ได้รับแล้วคืน document หลัง $set (เหมือน findByIdAndUpdate(..., { new: true }).lean())
+function fakeModel(documents = []) {
+  const model = {
+    documents: new Map(documents.map(doc => [doc._id, { ...doc, attempt_log: [] }])),
+    updates: [],
+    findByIdAndUpdate(id, update) {
+      model.updates.push(update);
+      const doc = model.documents.get(id);
+      if (doc) {
+        Object.assign(doc, update.$set);
+        if (update.$push) doc.attempt_log.push(update.$push.attempt_log);
+      }
+      return { lean: async () => (doc ? { ...doc } : null) };
+    },
+    find(query) {
+      const due = [...model.documents.values()].filter(doc =>
+        doc.status === query.status && doc.next_attempt_at <= query.next_attempt_at.$lte
+      );
+      const chain = {
+        sort: () => chain,
+        limit: count => ({ lean: async () => due.slice(0, count).map(doc => ({ ...doc })) })
+      };
+      return chain;
+    }
+  };
+  return model;
+}
+
+const message = {
+  notification_id: 'n1',
+  type: 'peak',
+  title: '⚡ Peak',
+  body: 'กำลังไฟสูงสุด 42 kW',
+  meter_id: 'main',
+  timestamp: '2026-01-01T10:00:00+07:00',
+  data: {}
+};
+
+describe('line sender', () => {
+  let server;
+  before(async () => { server = await startHttpServer(); });
+  after(() => server.close());
+
+  test('push to one recipient with the channel token', async () => {
+    const result = await senders.line({ access_token: 'tok', to: 'U1', api_base: `${server.url}/` }, message);
+    const request = server.requests.pop();
+
+    assert.equal(result.response_status, 200);
+    assert.equal(request.url, '/v2/bot/message/push');
+    assert.equal(request.headers.authorization, 'Bearer tok');
+    assert.deepEqual(JSON.parse(request.body), {
+      to: 'U1',
+      messages: [{ type: 'text', text: `${message.title}\n${message.body}` }]
+    });
+  });
+
+  test('multicast when there are several recipients', async () => {
+    await senders.line({ access_token: 'tok', to: ['U1', ' U2 ', ''], api_base: server.url }, message);
+    const request = server.requests.pop();
+
+    assert.equal(request.url, '/v2/bot/message/multicast');
+    assert.deepEqual(JSON.parse(request.body).to, ['U1', 'U2']);
+  });
+
+  test('invalid token is a permanent failure', async () => {
+    server.responses.push({ status: 401, body: { message: 'Authentication failed' } });
+    const err = await senders.line({ access_token: 'bad', to: 'U1', api_base: server.url }, message).catch(e => e);
+
+    assert.equal(err.response.status, 401);
+    assert.equal(isRetryableDelivery(err), false);
+  });
+
+  test('rate limit and server errors are retried', async () => {
+    for (const status of [429, 500]) {
+      server.responses.push({ status });
+      const err = await senders.line({ access_token: 'tok', to: 'U1', api_base: server.url }, message).catch(e => e);
+      assert.equal(isRetryableDelivery(err), true, `status ${status}`);
+    }
+  });
+});
+
+describe('email sender', () => {
+  let server;
+  before(async () => { server = await startSmtpServer({ rejectRecipients: ['nobody@example.com'] }); });
+  after(() => server.close());
+
+  test('sends title and body to every recipient', async () => {
+    const config = { host: '127.0.0.1', port: server.port, from: 'px@example.com', to: ['a@example.com', 'b@example.com'] };
+    const result = await senders.email(config, message);
+    const sent = server.messages.pop();
+
+    assert.equal(result.response_status, 250);
+    assert.equal(sent.to.length, 2);
+    // ข้อความภาษาไทยถูก encode เป็น base64
+    const [headers, encoded] = sent.data.split('\n\n');
+    assert.match(headers, /^Subject: =\?UTF-8\?Q\?=E2=9A=A1_Peak\?=$/m);
+    assert.equal(Buffer.from(encoded, 'base64').toString(), `${message.body}\n\n${message.timestamp}`);
+  });
+
+  test('rejected recipient is a permanent failure', async () => {
+    const config = { host: '127.0.0.1', port: server.port, from: 'px@example.com', to: 'nobody@example.com' };
+    const err = await senders.email(config, message).catch(e => e);
+
+    assert.equal(err.responseCode, 550);
+    assert.equal(isRetryableDelivery(err), false);
+  });
+
+  test('connection refused is retried', async () => {
+    const closed = await startSmtpServer();
+    const port = closed.port;
+    await new Promise(resolve => closed.close(resolve));
+
+    const err = await senders.email({ host: '127.0.0.1', port, from: 'px@example.com', to: 'a@example.com' }, message).catch(e => e);
+    assert.ok(err instanceof Error);
+    assert.equal(isRetryableDelivery(err), true);
+  });
+});
+
+describe('webhook sender', () => {
+  let server;
+  before(async () => { server = await startHttpServer(); });
+  after(() => server.close());
+
+  test('posts the payload with the configured headers', async () => {
+    const result = await senders.webhook({ url: `${server.url}/hook`, headers: { 'X-Token': 'abc' } }, message);
+    const request = server.requests.pop();
+
+    assert.equal(result.response_status, 200);
+    assert.equal(request.headers['x-token'], 'abc');
+    assert.equal(request.headers['x-px-signature'], undefined);
+    assert.deepEqual(JSON.parse(request.body), message);
+  });
+
+  test('signs the raw body when a secret is set', async () => {
+    const envelope = { id: 'evt_1', event: 'peak', data: message };
+    await senders.webhook({ url: `${server.url}/hook`, secret: 'whsec_test' }, envelope, { event: 'peak', event_id: 'evt_1', attempt: 3 });
+    const request = server.requests.pop();
+
+    const { t, v1 } = Object.fromEntries(request.headers['x-px-signature'].split(',').map(part => part.split('=')));
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`${t}.${request.body}`).digest('hex');
+    assert.equal(v1, expected);
+    assert.equal(request.headers['x-px-signature'], signWebhookPayload('whsec_test', request.body, Number(t)));
+    assert.equal(request.headers['x-px-event'], 'peak');
+    assert.equal(request.headers['x-px-event-id'], 'evt_1');
+    assert.equal(request.headers['x-px-delivery-attempt'], '3');
+  });
+
+  test('does not follow redirects', async () => {
+    server.responses.push({ status: 302 });
+    const err = await senders.webhook({ url: `${server.url}/hook` }, message).catch(e => e);
+
+    assert.equal(err.response.status, 302);
+    assert.equal(server.requests.length, 1);
+    server.requests.pop();
+  });
+});
+
+describe('retry state machine', () => {
+  const policy = {
+    max_attempts: 3,
+    backoff_ms: 1000,
+    max_backoff_ms: 3000,
+    retryable: isRetryableDelivery,
+    sent_status: 'sent',
+    failed_status: 'failed',
+    sent_field: 'sent_at'
+  };
+  const deadLetterPolicy = {
+    ...policy,
+    retryable: () => true,
+    sent_status: 'delivered',
+    failed_status: 'dead',
+    sent_field: 'delivered_at',
+    failed_field: 'dead_at'
+  };
+  const now = new Date('2026-01-01T00:00:00Z');
+  const noJitter = () => 0.5;
+  const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+  test('backoff doubles per attempt up to the cap, with ±20% jitter', () => {
+    assert.deepEqual([1, 2, 3, 4].map(attempts => backoffMs(policy, attempts, noJitter)), [1000, 2000, 3000, 3000]);
+    assert.equal(backoffMs(policy, 1, () => 0), 800);
+    assert.equal(backoffMs(policy, 1, () => 1), 1200);
+  });
+
+  test('success clears the schedule and stamps the sent field', () => {
+    const update = attemptUpdate(policy, 2, { response_status: 200, duration_ms: 5 }, now);
+
+    assert.deepEqual(update.$set, {
+      status: 'sent',
+      attempts: 2,
+      next_attempt_at: null,
+      last_error: null,
+      response_status: 200,
+      sent_at: now
+    });
+    assert.deepEqual(update.$push.attempt_log, { at: now, ok: true, response_status: 200, duration_ms: 5 });
+  });
+
+  test('retryable failure schedules the next attempt', () => {
+    const update = attemptUpdate(policy, 2, { error: httpError(503), duration_ms: 5 }, now, noJitter);
+
+    assert.equal(update.$set.status, 'retrying');
+    assert.equal(update.$set.response_status, 503);
+    assert.equal(update.$set.next_attempt_at.getTime(), now.getTime() + 2000);
+    assert.equal(update.$push.attempt_log.ok, false);
+  });
+
+  test('permanent failure and the last attempt end the delivery', () => {
+    const permanent = attemptUpdate(policy, 1, { error: httpError(400), duration_ms: 5 }, now);
+    const exhausted = attemptUpdate(policy, 3, { error: httpError(503), duration_ms: 5 }, now);
+
+    for (const update of [permanent, exhausted]) {
+      assert.equal(update.$set.status, 'failed');
+      assert.equal(update.$set.next_attempt_at, null);
+    }
+  });
+
+  test('dead-letter policy retries any failure and stamps dead_at when exhausted', () => {
+    const retried = attemptUpdate(deadLetterPolicy, 1, { error: httpError(400), duration_ms: 5 }, now);
+    const dead = attemptUpdate(deadLetterPolicy, 3, { error: httpError(400), duration_ms: 5 }, now);
+
+    assert.equal(retried.$set.status, 'retrying');
+    assert.equal(retried.$set.dead_at, null);
+    assert.equal(dead.$set.status, 'dead');
+    assert.equal(dead.$set.dead_at, now);
+  });
+
+  test('runs attempts against a real endpoint until it recovers', async () => {
+    const server = await startHttpServer();
+    server.responses.push({ status: 503 }, { status: 502 }, { status: 204 });
+    const model = fakeModel([{ _id: 'd1', status: 'pending', attempts: 0 }]);
+    const send = attempt => senders.webhook({ url: server.url }, message, { attempt });
+
+    try {
+      let delivery = await runDeliveryAttempt(model, model.documents.get('d1'), policy, send);
+      assert.equal(delivery.status, 'retrying');
+      delivery = await runDeliveryAttempt(model, delivery, policy, send);
+      assert.equal(delivery.status, 'retrying');
+      delivery = await runDeliveryAttempt(model, delivery, policy, send);
+
+      assert.equal(delivery.status, 'sent');
+      assert.equal(delivery.attempts, 3);
+      assert.equal(delivery.response_status, 204);
+      assert.deepEqual(delivery.attempt_log.map(entry => entry.response_status), [503, 502, 204]);
+      assert.deepEqual(server.requests.map(request => request.headers['x-px-delivery-attempt']), ['1', '2', '3']);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('abandon marks the delivery final without another attempt', async () => {
+    const model = fakeModel([{ _id: 'd1', status: 'retrying', attempts: 2, next_attempt_at: now }]);
+    const delivery = await abandonDelivery(model, model.documents.get('d1'), deadLetterPolicy, 'Subscription deleted');
+
+    assert.equal(delivery.status, 'dead');
+    assert.equal(delivery.next_attempt_at, null);
+    assert.equal(delivery.last_error, 'Subscription deleted');
+    assert.ok(delivery.dead_at instanceof Date);
+    assert.equal(delivery.attempts, 2);
+  });
+
+  test('retry job only picks deliveries that are due', async () => {
+    const model = fakeModel([
+      { _id: 'due', status: 'retrying', attempts: 1, next_attempt_at: new Date(Date.now() - 1000) },
+      { _id: 'later', status: 'retrying', attempts: 1, next_attempt_at: new Date(Date.now() + 60000) },
+      { _id: 'done', status: 'sent', attempts: 1, next_attempt_at: null }
+    ]);
+    const attempted = [];
+
+    const count = await retryDueDeliveries(model, async delivery => { attempted.push(delivery._id); });
+    assert.equal(count, 1);
+    assert.deepEqual(attempted, ['due']);
+  });
+});